@@ -0,0 +1,111 @@
+// Sales tax rates by country and province/state, used by lib/pricing.js.
+// Rates are fractions. Each region lists the taxes charged there; `shipping`
+// says whether shipping charges are taxed too (for US states, the state's
+// general rule for separately stated delivery charges).
+//
+// Canada: GST everywhere, HST in place of GST in the participating provinces,
+// and provincial sales tax (PST/RST/QST) where the province levies its own.
+// United States: state base rates only. County and city taxes are not
+// included, and states without a sales tax are listed with no taxes.
+//
+// Review these whenever a government changes a rate.
+
+const gst = { name: 'GST', rate: 0.05 };
+const hst = (rate) => ({ name: 'HST', rate });
+
+const CA = {
+  AB: { name: 'Alberta', taxes: [gst], shipping: true },
+  BC: { name: 'British Columbia', taxes: [gst, { name: 'PST', rate: 0.07 }], shipping: true },
+  MB: { name: 'Manitoba', taxes: [gst, { name: 'RST', rate: 0.07 }], shipping: true },
+  NB: { name: 'New Brunswick', taxes: [hst(0.15)], shipping: true },
+  NL: { name: 'Newfoundland and Labrador', taxes: [hst(0.15)], shipping: true },
+  NS: { name: 'Nova Scotia', taxes: [hst(0.14)], shipping: true },
+  NT: { name: 'Northwest Territories', taxes: [gst], shipping: true },
+  NU: { name: 'Nunavut', taxes: [gst], shipping: true },
+  ON: { name: 'Ontario', taxes: [hst(0.13)], shipping: true },
+  PE: { name: 'Prince Edward Island', taxes: [hst(0.15)], shipping: true },
+  QC: { name: 'Quebec', taxes: [gst, { name: 'QST', rate: 0.09975 }], shipping: true },
+  SK: { name: 'Saskatchewan', taxes: [gst, { name: 'PST', rate: 0.06 }], shipping: true },
+  YT: { name: 'Yukon', taxes: [gst], shipping: true }
+};
+
+const state = (name, rate, shipping = false) => ({
+  name,
+  taxes: rate > 0 ? [{ name: 'Sales Tax', rate }] : [],
+  shipping
+});
+
+const US = {
+  AL: state('Alabama', 0.04),
+  AK: state('Alaska', 0),
+  AZ: state('Arizona', 0.056),
+  AR: state('Arkansas', 0.065, true),
+  CA: state('California', 0.0725),
+  CO: state('Colorado', 0.029),
+  CT: state('Connecticut', 0.0635, true),
+  DE: state('Delaware', 0),
+  DC: state('District of Columbia', 0.06, true),
+  FL: state('Florida', 0.06),
+  GA: state('Georgia', 0.04, true),
+  HI: state('Hawaii', 0.04, true),
+  ID: state('Idaho', 0.06),
+  IL: state('Illinois', 0.0625),
+  IN: state('Indiana', 0.07),
+  IA: state('Iowa', 0.06),
+  KS: state('Kansas', 0.065, true),
+  KY: state('Kentucky', 0.06, true),
+  LA: state('Louisiana', 0.05),
+  ME: state('Maine', 0.055),
+  MD: state('Maryland', 0.06),
+  MA: state('Massachusetts', 0.0625),
+  MI: state('Michigan', 0.06, true),
+  MN: state('Minnesota', 0.06875, true),
+  MS: state('Mississippi', 0.07, true),
+  MO: state('Missouri', 0.04225),
+  MT: state('Montana', 0),
+  NE: state('Nebraska', 0.055, true),
+  NV: state('Nevada', 0.0685),
+  NH: state('New Hampshire', 0),
+  NJ: state('New Jersey', 0.06625, true),
+  NM: state('New Mexico', 0.04875, true),
+  NY: state('New York', 0.04, true),
+  NC: state('North Carolina', 0.0475, true),
+  ND: state('North Dakota', 0.05, true),
+  OH: state('Ohio', 0.0575, true),
+  OK: state('Oklahoma', 0.045),
+  OR: state('Oregon', 0),
+  PA: state('Pennsylvania', 0.06, true),
+  RI: state('Rhode Island', 0.07, true),
+  SC: state('South Carolina', 0.06, true),
+  SD: state('South Dakota', 0.042, true),
+  TN: state('Tennessee', 0.07, true),
+  TX: state('Texas', 0.0625, true),
+  UT: state('Utah', 0.061),
+  VT: state('Vermont', 0.06, true),
+  VA: state('Virginia', 0.053),
+  WA: state('Washington', 0.065, true),
+  WV: state('West Virginia', 0.06, true),
+  WI: state('Wisconsin', 0.05, true),
+  WY: state('Wyoming', 0.04, true)
+};
+
+// Names and abbreviations customers type into the country field
+const COUNTRY_ALIASES = {
+  CA: ['CA', 'CAN', 'CANADA'],
+  US: ['US', 'USA', 'UNITED STATES', 'UNITED STATES OF AMERICA']
+};
+
+// First letter of a Canadian postal code, used when the province is missing
+// or doesn't match a known code or name. X covers both NT and NU; it resolves
+// to NT, which has the same rate.
+const CA_POSTAL_PREFIXES = {
+  A: 'NL', B: 'NS', C: 'PE', E: 'NB', G: 'QC', H: 'QC', J: 'QC',
+  K: 'ON', L: 'ON', M: 'ON', N: 'ON', P: 'ON', R: 'MB', S: 'SK',
+  T: 'AB', V: 'BC', X: 'NT', Y: 'YT'
+};
+
+module.exports = {
+  regions: { CA, US },
+  COUNTRY_ALIASES,
+  CA_POSTAL_PREFIXES
+};
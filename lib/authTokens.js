@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('./prisma');
+
+// Lifetimes for emailed one-time tokens, in minutes
+const TOKEN_TTL_MINUTES = {
+  EMAIL_VERIFICATION: 24 * 60,
+  PASSWORD_RESET: 60
+};
+
+// Issue a signed, expiring, single-use token for an emailed link.
+// The JWT carries the purpose as its audience so a reset token can never be
+// used for verification (or as an access token). Issuing a new token
+// invalidates any unused ones of the same type for that user.
+const issueUserToken = async (userId, type) => {
+  const jti = crypto.randomUUID();
+  const ttlMinutes = TOKEN_TTL_MINUTES[type];
+
+  await prisma.$transaction([
+    prisma.userToken.updateMany({
+      where: { userId, type, usedAt: null },
+      data: { usedAt: new Date() }
+    }),
+    prisma.userToken.create({
+      data: {
+        userId,
+        type,
+        jti,
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+      }
+    })
+  ]);
+
+  return jwt.sign({ userId, jti }, process.env.JWT_SECRET, {
+    audience: type,
+    expiresIn: `${ttlMinutes}m`
+  });
+};
+
+// Verify and burn a token. Returns the user id, or null if the token is
+// invalid, expired, of the wrong type or already used.
+const consumeUserToken = async (token, type) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: type });
+  } catch (error) {
+    return null;
+  }
+
+  const result = await prisma.userToken.updateMany({
+    where: {
+      jti: decoded.jti,
+      userId: decoded.userId,
+      type,
+      usedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    data: { usedAt: new Date() }
+  });
+
+  return result.count === 1 ? decoded.userId : null;
+};
+
+module.exports = {
+  issueUserToken,
+  consumeUserToken
+};
@@ -0,0 +1,381 @@
+const crypto = require('crypto');
+const prisma = require('./prisma');
+const { createHttpError } = require('./errors');
+const { availableQuantity } = require('./inventory');
+
+const CART_ITEM_INCLUDE = {
+  product: true,
+  productVariant: {
+    include: {
+      color: true,
+      size: true
+    }
+  }
+};
+
+// What a line would cost if it were added now. CartItem.price is a snapshot
+// of this taken when the line was added or last updated.
+const currentUnitPrice = (product, variant, isPreorder) => {
+  const price = variant?.price || product.basePrice;
+  return isPreorder ? (product.preorderPrice || price) : price;
+};
+
+// Check a cart line (loaded with product and productVariant.inventory)
+// against the catalog as it is now. Returns a list of issues, empty when the
+// line can be checked out as it is.
+const validateCartItem = (item) => {
+  const issues = [];
+  const { product, productVariant: variant } = item;
+
+  if (!product.isActive) {
+    issues.push({ code: 'PRODUCT_UNAVAILABLE', message: 'This product is no longer available' });
+    return issues;
+  }
+
+  if (variant && !variant.isActive) {
+    issues.push({ code: 'VARIANT_UNAVAILABLE', message: 'This color/size is no longer available' });
+    return issues;
+  }
+
+  if (item.isPreorder && !product.allowPreorder) {
+    issues.push({ code: 'PREORDER_UNAVAILABLE', message: 'This product can no longer be preordered' });
+  }
+
+  if (!item.isPreorder && variant && availableQuantity(variant.inventory) < item.quantity) {
+    issues.push({
+      code: 'INSUFFICIENT_STOCK',
+      message: 'Not enough stock for this quantity',
+      available: availableQuantity(variant.inventory)
+    });
+  }
+
+  const price = currentUnitPrice(product, variant, item.isPreorder);
+  if (Number(price) !== Number(item.price)) {
+    issues.push({
+      code: 'PRICE_CHANGED',
+      message: 'The price has changed since this was added',
+      previousPrice: item.price,
+      currentPrice: price
+    });
+  }
+
+  return issues;
+};
+
+const getOrCreateCart = (userId, db = prisma) => {
+  return db.cart.upsert({
+    where: { userId },
+    update: {},
+    create: { userId }
+  });
+};
+
+// Line changes don't touch the Cart row by themselves, and its updatedAt is
+// what tells an abandoned guest cart from one still in use
+const touchCart = (db, cartId) => db.cart.update({
+  where: { id: cartId },
+  data: { updatedAt: new Date() }
+});
+
+// Guests are identified by an opaque token the client keeps and sends back in
+// the X-Cart-Token header. Only its hash is stored, on the cart and on any
+// order placed from it, so the same token also lets the guest see and pay
+// those orders.
+const GUEST_TOKEN_HEADER = 'x-cart-token';
+
+const hashGuestToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const getGuestToken = (req) => req.get(GUEST_TOKEN_HEADER) || null;
+
+const findGuestCart = (token) => {
+  if (!token) {
+    return null;
+  }
+
+  return prisma.cart.findUnique({
+    where: { guestTokenHash: hashGuestToken(token) }
+  });
+};
+
+// The cart of whoever is making the request: the logged-in user's, or the
+// guest cart named by X-Cart-Token. With `create`, a guest without a valid
+// token gets a new cart; the new token is returned as `issuedToken` and must
+// be handed to the client. `cart` is null for a guest without a cart
+// otherwise.
+const resolveCart = async (req, { create = false } = {}) => {
+  if (req.user) {
+    return { cart: await getOrCreateCart(req.user.id), issuedToken: null };
+  }
+
+  const cart = await findGuestCart(getGuestToken(req));
+  if (cart || !create) {
+    return { cart, issuedToken: null };
+  }
+
+  const issuedToken = crypto.randomBytes(24).toString('base64url');
+  const newCart = await prisma.cart.create({
+    data: { guestTokenHash: hashGuestToken(issuedToken) }
+  });
+
+  return { cart: newCart, issuedToken };
+};
+
+// Add `quantity` of a product (or one of its variants) to a cart, merging with
+// a matching line. Regular items must be covered by available stock; preorder
+// items need a product that allows preorders and take its preorder price.
+// Returns { item, created }; throws a 404/400 HttpError when the item can't
+// be added. Pass `tx` to add inside a transaction.
+const addCartItem = async (cartId, { productId, productVariantId = null, quantity, isPreorder = false }, { tx } = {}) => {
+  const db = tx || prisma;
+
+  const product = await db.product.findFirst({
+    where: {
+      id: productId,
+      isActive: true
+    }
+  });
+
+  if (!product) {
+    throw createHttpError(404, 'Product not found');
+  }
+
+  let variant = null;
+
+  if (productVariantId) {
+    variant = await db.productVariant.findFirst({
+      where: {
+        id: productVariantId,
+        productId,
+        isActive: true
+      },
+      include: {
+        inventory: true
+      }
+    });
+
+    if (!variant) {
+      throw createHttpError(404, 'Product variant not found');
+    }
+
+    // Check stock availability for regular orders
+    if (!isPreorder && availableQuantity(variant.inventory) < quantity) {
+      throw createHttpError(400, 'Insufficient stock', { available: availableQuantity(variant.inventory) });
+    }
+  }
+
+  // For preorders, check if product allows preorders
+  if (isPreorder && !product.allowPreorder) {
+    throw createHttpError(400, 'Preorders not allowed for this product');
+  }
+
+  const price = currentUnitPrice(product, variant, isPreorder);
+
+  const existingItem = await db.cartItem.findFirst({
+    where: {
+      cartId,
+      productId,
+      productVariantId,
+      isPreorder
+    }
+  });
+
+  if (existingItem) {
+    const newQuantity = existingItem.quantity + quantity;
+
+    // Check stock for updated quantity (if not preorder)
+    if (!isPreorder && variant && availableQuantity(variant.inventory) < newQuantity) {
+      throw createHttpError(400, 'Insufficient stock', { available: availableQuantity(variant.inventory) });
+    }
+
+    const item = await db.cartItem.update({
+      where: { id: existingItem.id },
+      data: { quantity: newQuantity, price },
+      include: CART_ITEM_INCLUDE
+    });
+    await touchCart(db, cartId);
+
+    return { item, created: false };
+  }
+
+  const item = await db.cartItem.create({
+    data: {
+      cartId,
+      productId,
+      productVariantId,
+      quantity,
+      price,
+      isPreorder
+    },
+    include: CART_ITEM_INCLUDE
+  });
+  await touchCart(db, cartId);
+
+  return { item, created: true };
+};
+
+// Change a line's quantity. The line is re-priced at the current price, since
+// the customer has just looked at it again.
+const updateCartItem = async (cartId, itemId, quantity) => {
+  const item = await prisma.cartItem.findFirst({
+    where: { id: itemId, cartId },
+    include: {
+      product: true,
+      productVariant: {
+        include: { inventory: true }
+      }
+    }
+  });
+
+  if (!item) {
+    throw createHttpError(404, 'Cart item not found');
+  }
+
+  const issues = validateCartItem({ ...item, quantity }).filter(issue => issue.code !== 'PRICE_CHANGED');
+  if (issues.length > 0) {
+    throw createHttpError(400, issues[0].message, { issues });
+  }
+
+  const updated = await prisma.cartItem.update({
+    where: { id: item.id },
+    data: {
+      quantity,
+      price: currentUnitPrice(item.product, item.productVariant, item.isPreorder)
+    },
+    include: CART_ITEM_INCLUDE
+  });
+  await touchCart(prisma, cartId);
+
+  return updated;
+};
+
+const removeCartItem = async (cartId, itemId) => {
+  const result = await prisma.cartItem.deleteMany({
+    where: { id: itemId, cartId }
+  });
+
+  if (result.count === 0) {
+    throw createHttpError(404, 'Cart item not found');
+  }
+
+  await touchCart(prisma, cartId);
+};
+
+// Returns the number of lines removed
+const clearCart = async (cartId) => {
+  const result = await prisma.cartItem.deleteMany({
+    where: { cartId }
+  });
+
+  if (result.count > 0) {
+    await touchCart(prisma, cartId);
+  }
+
+  return result.count;
+};
+
+// Fold a guest cart into a user's cart after they log in or register. Lines
+// for the same product, variant and preorder flag are summed; the stock check
+// is repeated on the total, and a regular line that no longer fits is capped
+// at what is left (or dropped when nothing is). Lines for products that are no
+// longer available are dropped too. The guest cart is deleted in the same
+// transaction, before anything is merged, so a second login racing this one
+// finds nothing left to merge.
+// Returns null when there is no guest cart, otherwise { merged, adjusted }
+// where `adjusted` lists every line that could not be merged in full.
+const mergeGuestCart = async (token, userId) => {
+  const guestCart = await findGuestCart(token);
+  if (!guestCart) {
+    return null;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const guestItems = await tx.cartItem.findMany({
+      where: { cartId: guestCart.id },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const claimed = await tx.cart.deleteMany({
+      where: { id: guestCart.id }
+    });
+
+    if (claimed.count === 0) {
+      return null;
+    }
+
+    const cart = await getOrCreateCart(userId, tx);
+    const adjusted = [];
+    let merged = 0;
+
+    for (const guestItem of guestItems) {
+      const line = {
+        productId: guestItem.productId,
+        productVariantId: guestItem.productVariantId,
+        isPreorder: guestItem.isPreorder
+      };
+
+      try {
+        await addCartItem(cart.id, { ...line, quantity: guestItem.quantity }, { tx });
+        merged++;
+        continue;
+      } catch (error) {
+        if (!error.status) {
+          throw error;
+        }
+
+        if (error.details?.available === undefined) {
+          adjusted.push({ ...line, requested: guestItem.quantity, quantity: 0, reason: error.message });
+          continue;
+        }
+
+        const existing = await tx.cartItem.findFirst({
+          where: { cartId: cart.id, ...line }
+        });
+        const room = error.details.available - (existing?.quantity || 0);
+
+        if (room > 0) {
+          await addCartItem(cart.id, { ...line, quantity: room }, { tx });
+          merged++;
+        }
+
+        adjusted.push({ ...line, requested: guestItem.quantity, quantity: Math.max(room, 0), reason: error.message });
+      }
+    }
+
+    return { merged, adjusted };
+  });
+};
+
+// Guest carts untouched for GUEST_CART_TTL_DAYS are abandoned; their tokens
+// stay valid for the orders placed from them. Every change to a cart's lines
+// bumps its updatedAt. Returns the number deleted.
+const purgeStaleGuestCarts = async () => {
+  const days = parseInt(process.env.GUEST_CART_TTL_DAYS) || 30;
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const result = await prisma.cart.deleteMany({
+    where: {
+      userId: null,
+      updatedAt: { lt: cutoff }
+    }
+  });
+
+  return result.count;
+};
+
+module.exports = {
+  currentUnitPrice,
+  validateCartItem,
+  GUEST_TOKEN_HEADER,
+  hashGuestToken,
+  getGuestToken,
+  getOrCreateCart,
+  resolveCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  mergeGuestCart,
+  purgeStaleGuestCarts
+};
@@ -0,0 +1,123 @@
+const { createHttpError } = require('./errors');
+
+// Categories form a tree through parentId. The whole tree is small, so it is
+// loaded in one query and assembled in memory whenever it's needed.
+
+const slugify = (name) => String(name)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '') || 'category';
+
+// `base`, or base-2, base-3... when another category already has it
+const uniqueSlug = async (db, base, excludeId = null) => {
+  const taken = await db.category.findMany({
+    where: {
+      slug: { startsWith: base },
+      ...(excludeId && { id: { not: excludeId } })
+    },
+    select: { slug: true }
+  });
+  const slugs = new Set(taken.map(category => category.slug));
+
+  let slug = base;
+  for (let n = 2; slugs.has(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+
+  return slug;
+};
+
+// Every category as a node { id, name, slug, description, parentId,
+// productCount, totalProductCount, breadcrumbs, children }, linked into a
+// tree. productCount counts the category's own active products and
+// totalProductCount adds its subcategories'. breadcrumbs is the path from
+// the root down to the category itself, as [{ id, name, slug }].
+// Returns { roots, nodes } where nodes maps id to node.
+const loadCategoryTree = async (db) => {
+  const categories = await db.category.findMany({
+    include: {
+      _count: {
+        select: { products: { where: { isActive: true } } }
+      }
+    },
+    orderBy: { name: 'asc' }
+  });
+
+  const nodes = new Map(categories.map(category => [category.id, {
+    id: category.id,
+    name: category.name,
+    slug: category.slug,
+    description: category.description,
+    parentId: category.parentId,
+    productCount: category._count.products,
+    totalProductCount: 0,
+    breadcrumbs: [],
+    children: []
+  }]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.parentId);
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const visit = (node, path) => {
+    node.breadcrumbs = [...path, { id: node.id, name: node.name, slug: node.slug }];
+    node.totalProductCount = node.productCount +
+      node.children.reduce((sum, child) => sum + visit(child, node.breadcrumbs), 0);
+    return node.totalProductCount;
+  };
+  roots.forEach(root => visit(root, []));
+
+  return { roots, nodes };
+};
+
+// A node's id followed by the ids of everything below it
+const descendantIds = (node) => [node.id, ...node.children.flatMap(descendantIds)];
+
+// The node for a category id or slug, or undefined
+const findCategoryNode = (nodes, idOrSlug) => {
+  if (/^\d+$/.test(String(idOrSlug))) {
+    return nodes.get(parseInt(idOrSlug));
+  }
+
+  return [...nodes.values()].find(node => node.slug === idOrSlug);
+};
+
+// Ids of a category (by id or slug) and all its subcategories, for filtering
+// products. Returns [] when there is no such category.
+const categoryAndDescendantIds = async (db, idOrSlug) => {
+  const { nodes } = await loadCategoryTree(db);
+  const node = findCategoryNode(nodes, idOrSlug);
+
+  return node ? descendantIds(node) : [];
+};
+
+// Check that `categoryId` can move under `parentId` (null for the top
+// level): the parent has to exist and can't be the category itself or one of
+// its subcategories. Throws a 400 HttpError.
+const assertValidParent = (nodes, categoryId, parentId) => {
+  if (parentId === null) {
+    return;
+  }
+
+  if (!nodes.has(parentId)) {
+    throw createHttpError(400, 'Parent category not found');
+  }
+
+  if (categoryId !== null && descendantIds(nodes.get(categoryId)).includes(parentId)) {
+    throw createHttpError(400, 'A category cannot be moved under itself or one of its subcategories');
+  }
+};
+
+module.exports = {
+  slugify,
+  uniqueSlug,
+  loadCategoryTree,
+  descendantIds,
+  findCategoryNode,
+  categoryAndDescendantIds,
+  assertValidParent
+};
@@ -0,0 +1,137 @@
+const { createHttpError } = require('./errors');
+const { roundMoney } = require('./money');
+
+// Catalog prices, promotion amounts and shipping rates are all entered in the
+// store's base currency. A customer can shop in any currency with an active
+// ExchangeRate (`rate` units of that currency per unit of the base currency):
+// amounts are converted at that rate unless a product or variant sets its own
+// price for the currency in `currencyPrices` ({ "USD": 24.99 }). Amounts are
+// rounded to cents and charged in hundredths (toMinorUnits), so currencies
+// with no or three decimals (JPY, KWD, ...) can't be offered.
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+const CURRENCIES_WITHOUT_CENTS = [
+  'BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF',
+  'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF',
+  'BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND'
+];
+
+const hasCents = (code) => !CURRENCIES_WITHOUT_CENTS.includes(code);
+
+if (!hasCents(BASE_CURRENCY)) {
+  throw new Error(`BASE_CURRENCY ${BASE_CURRENCY} has no cents; choose a currency with two decimals`);
+}
+
+const CURRENCY_HEADER = 'x-currency';
+
+const baseCurrency = () => ({ code: BASE_CURRENCY, rate: 1 });
+
+const isBaseCurrency = (currency) => currency.code === BASE_CURRENCY;
+
+const normalizeCurrencyCode = (code) => String(code).trim().toUpperCase();
+
+// The currency a request asked for (?currency= or X-Currency) as
+// { code, rate }, or the base currency when it asked for none. Throws a 400
+// HttpError listing the supported codes for anything else.
+const resolveCurrency = async (db, code) => {
+  if (!code || normalizeCurrencyCode(code) === BASE_CURRENCY) {
+    return baseCurrency();
+  }
+
+  const exchangeRate = await db.exchangeRate.findFirst({
+    where: { currency: normalizeCurrencyCode(code), isActive: true }
+  });
+
+  if (!exchangeRate) {
+    const supported = await db.exchangeRate.findMany({
+      where: { isActive: true },
+      select: { currency: true },
+      orderBy: { currency: 'asc' }
+    });
+
+    throw createHttpError(400, 'This currency is not supported', {
+      supported: [BASE_CURRENCY, ...supported.map(rate => rate.currency)]
+    });
+  }
+
+  return { code: exchangeRate.currency, rate: Number(exchangeRate.rate) };
+};
+
+const convertAmount = (amount, currency) => roundMoney(Number(amount) * currency.rate);
+
+// A base-currency price in `currency`, using the override for it when set
+const priceIn = (amount, currencyPrices, currency) => {
+  const override = currencyPrices?.[currency.code];
+  return override !== undefined && override !== null ? roundMoney(override) : convertAmount(amount, currency);
+};
+
+// A variant with its price in `currency`. A variant without its own price
+// keeps null (it sells at the product's price) unless it overrides this
+// currency.
+const localizeVariant = (variant, currency) => {
+  if (!variant || isBaseCurrency(currency)) {
+    return variant;
+  }
+
+  const override = variant.currencyPrices?.[currency.code];
+
+  return {
+    ...variant,
+    price: variant.price === null && (override === undefined || override === null)
+      ? null
+      : priceIn(variant.price, variant.currencyPrices, currency)
+  };
+};
+
+// A product (and its variants, when loaded) with basePrice, preorderPrice
+// and variant prices in `currency`
+const localizeProduct = (product, currency) => {
+  if (!product || isBaseCurrency(currency)) {
+    return product;
+  }
+
+  return {
+    ...product,
+    basePrice: priceIn(product.basePrice, product.currencyPrices, currency),
+    preorderPrice: product.preorderPrice === null ? null : convertAmount(product.preorderPrice, currency),
+    ...(product.variants && { variants: product.variants.map(variant => localizeVariant(variant, currency)) })
+  };
+};
+
+// Check a currencyPrices map from an admin request: three-letter codes other
+// than the base currency, with prices of zero or more ({} clears every
+// override). Throws a 400 HttpError.
+const assertValidCurrencyPrices = (currencyPrices) => {
+  if (!currencyPrices || typeof currencyPrices !== 'object' || Array.isArray(currencyPrices)) {
+    throw createHttpError(400, 'currencyPrices must map currency codes to prices');
+  }
+
+  for (const [code, price] of Object.entries(currencyPrices)) {
+    if (!/^[A-Z]{3}$/.test(code) || code === BASE_CURRENCY) {
+      throw createHttpError(400, `currencyPrices has an invalid currency code: ${code}`);
+    }
+
+    if (!hasCents(code)) {
+      throw createHttpError(400, `currencyPrices has a currency without cents: ${code}`);
+    }
+
+    if (typeof price !== 'number' || !(price >= 0)) {
+      throw createHttpError(400, `currencyPrices.${code} must be a price of 0 or more`);
+    }
+  }
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCY_HEADER,
+  baseCurrency,
+  isBaseCurrency,
+  normalizeCurrencyCode,
+  hasCents,
+  resolveCurrency,
+  convertAmount,
+  priceIn,
+  localizeVariant,
+  localizeProduct,
+  assertValidCurrencyPrices
+};
@@ -0,0 +1,17 @@
+// Errors thrown from lib/ modules that map onto an HTTP response.
+// Routes check `error.status` and reply with `{ error: message, ...details }`.
+const createHttpError = (status, message, details = null) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+const sendHttpError = (res, error) => {
+  return res.status(error.status).json({ error: error.message, ...(error.details || {}) });
+};
+
+module.exports = {
+  createHttpError,
+  sendHttpError
+};
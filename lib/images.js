@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { createHttpError } = require('./errors');
+
+// Uploaded product images are kept as sent (the `original`) plus WebP
+// renditions for the storefront. Each image is a ProductImage row belonging to
+// a product, or to one of its variants when productVariantId is set. The
+// `images` URL arrays on Product and ProductVariant are kept in step with
+// those rows (primary first) so existing readers keep working.
+const IMAGE_TYPES = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  png: { mimeType: 'image/png', extension: 'png' },
+  webp: { mimeType: 'image/webp', extension: 'webp' }
+};
+
+const MAX_IMAGE_BYTES = Math.floor(parseFloat(process.env.IMAGE_UPLOAD_MAX_MB || '10') * 1024 * 1024);
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+const RENDITIONS = {
+  thumbnail: { width: 300, height: 300, fit: 'cover' },
+  medium: { width: 800, height: 800, fit: 'inside' },
+  large: { width: 1600, height: 1600, fit: 'inside' }
+};
+
+const isAllowedMimeType = (mimeType) => Object.values(IMAGE_TYPES).some(type => type.mimeType === mimeType);
+
+// The image's type and sharp metadata. The declared content type isn't
+// trusted: anything sharp doesn't read as JPEG, PNG or WebP is a 400.
+const readImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw createHttpError(400, 'File is not a readable image');
+  }
+
+  const type = IMAGE_TYPES[metadata.format];
+  if (!type) {
+    throw createHttpError(400, 'Images must be JPEG, PNG or WebP', { format: metadata.format });
+  }
+
+  return { type, metadata };
+};
+
+// Check an upload and build its renditions
+const processImage = async (buffer) => {
+  const { type, metadata } = await readImage(buffer);
+
+  // Phone photos are often stored sideways with an EXIF orientation; 5-8
+  // turn them a quarter, swapping width and height
+  const upright = sharp(buffer).rotate();
+  const turned = (metadata.orientation || 1) >= 5;
+  const width = turned ? metadata.height : metadata.width;
+  const height = turned ? metadata.width : metadata.height;
+
+  const renditions = await Promise.all(Object.entries(RENDITIONS).map(async ([name, { width: maxWidth, height: maxHeight, fit }]) => {
+    const { data, info } = await upright.clone()
+      .resize({ width: maxWidth, height: maxHeight, fit, withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer({ resolveWithObject: true });
+
+    return { name, buffer: data, width: info.width, height: info.height };
+  }));
+
+  return { ...type, width, height, sizeBytes: buffer.length, renditions };
+};
+
+// Write a processed image under products/<productId>/<random id>/ and return
+// the fields for its ProductImage row. Files already written are removed if
+// a later write fails.
+const storeImage = async (storage, productId, buffer, processed) => {
+  const prefix = `products/${productId}/${crypto.randomUUID()}`;
+  const written = [];
+
+  try {
+    const original = await storage.put(`${prefix}/original.${processed.extension}`, buffer, {
+      contentType: processed.mimeType
+    });
+    written.push(original.key);
+
+    const renditions = {};
+    for (const rendition of processed.renditions) {
+      const stored = await storage.put(`${prefix}/${rendition.name}.webp`, rendition.buffer, {
+        contentType: 'image/webp'
+      });
+      written.push(stored.key);
+
+      renditions[rendition.name] = {
+        key: stored.key,
+        url: stored.url,
+        width: rendition.width,
+        height: rendition.height
+      };
+    }
+
+    return {
+      storageKey: original.key,
+      url: original.url,
+      renditions,
+      mimeType: processed.mimeType,
+      width: processed.width,
+      height: processed.height,
+      sizeBytes: processed.sizeBytes
+    };
+  } catch (error) {
+    await Promise.all(written.map(key => storage.delete(key).catch(() => {})));
+    throw error;
+  }
+};
+
+// Remove an image's original and renditions from storage
+const deleteStoredImage = async (storage, image) => {
+  const keys = [image.storageKey, ...Object.values(image.renditions || {}).map(rendition => rendition.key)];
+  await Promise.all(keys.map(key => storage.delete(key)));
+};
+
+// Which images share ordering and a primary image: the product's own
+// (productVariantId null) or one variant's
+const imageOwnerWhere = (productId, productVariantId = null) => ({ productId, productVariantId });
+
+// Rewrite the owner's `images` array from its ProductImage rows, primary
+// first. URLs added by hand (not uploads) stay after them; `removedUrls` are
+// uploads that were just deleted.
+const syncImageUrls = async (tx, productId, productVariantId = null, removedUrls = []) => {
+  const images = await tx.productImage.findMany({
+    where: imageOwnerWhere(productId, productVariantId),
+    orderBy: [{ isPrimary: 'desc' }, { sortOrder: 'asc' }, { id: 'asc' }],
+    select: { url: true }
+  });
+  const urls = images.map(image => image.url);
+
+  const owner = productVariantId
+    ? await tx.productVariant.findUnique({ where: { id: productVariantId }, select: { images: true } })
+    : await tx.product.findUnique({ where: { id: productId }, select: { images: true } });
+
+  const otherUrls = owner.images.filter(url => !urls.includes(url) && !removedUrls.includes(url));
+
+  const data = { images: [...urls, ...otherUrls] };
+  if (productVariantId) {
+    await tx.productVariant.update({ where: { id: productVariantId }, data });
+  } else {
+    await tx.product.update({ where: { id: productId }, data });
+  }
+};
+
+const formatProductImage = (image) => ({
+  id: image.id,
+  productId: image.productId,
+  productVariantId: image.productVariantId,
+  url: image.url,
+  renditions: Object.fromEntries(Object.entries(image.renditions || {}).map(([name, { url, width, height }]) =>
+    [name, { url, width, height }]
+  )),
+  mimeType: image.mimeType,
+  width: image.width,
+  height: image.height,
+  sizeBytes: image.sizeBytes,
+  altText: image.altText,
+  sortOrder: image.sortOrder,
+  isPrimary: image.isPrimary
+});
+
+module.exports = {
+  IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+  MAX_IMAGES_PER_UPLOAD,
+  RENDITIONS,
+  isAllowedMimeType,
+  readImage,
+  processImage,
+  storeImage,
+  deleteStoredImage,
+  imageOwnerWhere,
+  syncImageUrls,
+  formatProductImage
+};
@@ -0,0 +1,119 @@
+const { createHttpError } = require('./errors');
+const { availableQuantity, refreshStockStatus } = require('./stockStatus');
+
+// Change a variant's on-hand quantity and append the change to the
+// InventoryMovement ledger. Every write to Inventory.quantity goes through
+// here, inside the caller's transaction, and refreshes the stock status.
+//
+// `reservedChange` moves Inventory.reservedQuantity along with it (a sale
+// consuming a checkout hold). With `ifAvailable` the change is skipped and
+// null returned when it would eat into stock held by other checkouts;
+// otherwise going below zero on hand is a 400.
+const adjustInventory = async (tx, {
+  productVariantId,
+  change,
+  reason,
+  actorId = null,
+  orderId = null,
+  note = null,
+  reservedChange = 0,
+  ifAvailable = false
+}) => {
+  let balance;
+
+  if (ifAvailable) {
+    const rows = await tx.$queryRaw`
+      UPDATE "inventory"
+      SET "quantity" = "quantity" + ${change}, "updated_at" = NOW()
+      WHERE "product_variant_id" = ${productVariantId}
+        AND "quantity" - "reserved_quantity" + ${change} >= 0
+      RETURNING "quantity"`;
+
+    if (rows.length === 0) {
+      return null;
+    }
+    balance = rows[0].quantity;
+  } else {
+    const inventory = await tx.inventory.update({
+      where: { productVariantId },
+      data: {
+        quantity: { increment: change },
+        ...(reservedChange !== 0 && { reservedQuantity: { increment: reservedChange } })
+      }
+    });
+
+    if (inventory.quantity < 0) {
+      throw createHttpError(400, `Insufficient stock for variant ${productVariantId}`, {
+        productVariantId,
+        quantity: inventory.quantity - change
+      });
+    }
+    balance = inventory.quantity;
+  }
+
+  await tx.inventoryMovement.create({
+    data: {
+      productVariantId,
+      change,
+      balance,
+      reason,
+      actorId,
+      orderId,
+      note
+    }
+  });
+
+  await refreshStockStatus(tx, [productVariantId]);
+
+  return { productVariantId, quantity: balance };
+};
+
+// Set a variant's on-hand quantity and/or low-stock threshold, creating its
+// Inventory row if it has none. A new quantity is recorded in the ledger as
+// the difference from the current one, with `reason`; it can't go below what
+// checkouts are holding. Throws a 400 HttpError.
+const setInventoryLevels = async (tx, {
+  productVariantId,
+  quantity,
+  lowStockThreshold,
+  reason = 'MANUAL_CORRECTION',
+  actorId = null,
+  note = null
+}) => {
+  const current = await tx.inventory.upsert({
+    where: { productVariantId },
+    update: {
+      ...(lowStockThreshold !== undefined && { lowStockThreshold })
+    },
+    create: {
+      productVariantId,
+      ...(lowStockThreshold !== undefined && { lowStockThreshold })
+    }
+  });
+
+  if (quantity !== undefined && quantity !== current.quantity) {
+    if (quantity < current.reservedQuantity) {
+      throw createHttpError(400, 'Quantity cannot be below the reserved quantity', {
+        productVariantId,
+        reservedQuantity: current.reservedQuantity
+      });
+    }
+
+    await adjustInventory(tx, {
+      productVariantId,
+      change: quantity - current.quantity,
+      reason,
+      actorId,
+      note
+    });
+  } else {
+    // A new threshold (or a new row) can move the variant between stock statuses
+    await refreshStockStatus(tx, [productVariantId]);
+  }
+};
+
+module.exports = {
+  availableQuantity,
+  adjustInventory,
+  setInventoryLevels
+};
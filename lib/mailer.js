@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Mail transport is chosen with MAIL_TRANSPORT:
+//   smtp   - real delivery through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+//   memory - messages are kept in an in-process outbox (tests, local dev)
+//   file   - messages are written as JSON files to MAIL_OUTBOX_DIR
+// Without MAIL_TRANSPORT, smtp is used when SMTP_HOST is set, memory otherwise.
+const DEFAULT_FROM = process.env.MAIL_FROM || 'Bam&Bosey <no-reply@bambosey.com>';
+
+const memoryOutbox = [];
+let transport = null;
+let transportType = null;
+
+const resolveTransportType = () => {
+  return process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'memory');
+};
+
+const createTransport = (type) => {
+  switch (type) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        } : undefined
+      });
+    case 'memory':
+    case 'file':
+      // jsonTransport builds the full message without delivering it
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${type}"`);
+  }
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transportType = resolveTransportType();
+    transport = createTransport(transportType);
+  }
+  return transport;
+};
+
+// Swap the transport (e.g. a stub in tests). Pass a type name to rebuild a
+// built-in transport, or any nodemailer-compatible transporter.
+const setTransport = (typeOrTransport) => {
+  if (typeof typeOrTransport === 'string') {
+    transportType = typeOrTransport;
+    transport = createTransport(typeOrTransport);
+  } else {
+    transportType = 'custom';
+    transport = typeOrTransport;
+  }
+};
+
+const writeToFileOutbox = (message) => {
+  const dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+  fs.mkdirSync(dir, { recursive: true });
+  const safeId = String(message.messageId || Date.now()).replace(/[^a-zA-Z0-9.-]/g, '_');
+  fs.writeFileSync(path.join(dir, `${Date.now()}-${safeId}.json`), JSON.stringify(message, null, 2));
+};
+
+const sendMail = async ({ to, subject, text, html, from = DEFAULT_FROM }) => {
+  const info = await getTransport().sendMail({ from, to, subject, text, html });
+
+  if (transportType === 'memory' || transportType === 'file') {
+    const message = { ...JSON.parse(info.message), sentAt: new Date().toISOString() };
+
+    if (transportType === 'memory') {
+      memoryOutbox.push(message);
+    } else {
+      writeToFileOutbox(message);
+    }
+
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`📧 [${transportType}] ${subject} -> ${to}`);
+    }
+  }
+
+  return info;
+};
+
+const getOutbox = () => [...memoryOutbox];
+
+const clearOutbox = () => {
+  memoryOutbox.length = 0;
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getOutbox,
+  clearOutbox
+};
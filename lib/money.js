@@ -0,0 +1,7 @@
+// Money helpers. Prices are stored as Decimal(10, 2) and handled as numbers
+// in JS, so every computed amount is rounded back to cents.
+const roundMoney = (amount) => Math.round(Number(amount) * 100) / 100;
+
+module.exports = {
+  roundMoney
+};
@@ -0,0 +1,183 @@
+// Email templates for queued notifications. Each template renders a subject
+// and a list of paragraphs, which become both the text and the HTML body.
+// Bump a template's version whenever its wording or data changes: the outbox
+// records the version every message was rendered with.
+//
+// `category` names the NotificationPreference flag that lets a user opt out.
+const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || 'http://localhost:3001';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// `currency` is given for order amounts, which may not be in the base currency
+const formatMoney = (amount, currency) => `$${Number(amount || 0).toFixed(2)}${currency ? ` ${currency}` : ''}`;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const templates = {
+  ORDER_CONFIRMED: {
+    version: 2,
+    category: 'orderUpdates',
+    render: (data) => ({
+      subject: `Your Bam&Bosey order ${data.orderNumber} is confirmed`,
+      paragraphs: [
+        `Hi ${data.firstName},`,
+        `Thank you for your order! We've received your payment of ${formatMoney(data.totalAmount, data.currency)} and order ${data.orderNumber} is confirmed.`,
+        'We will email you again when it ships.'
+      ]
+    })
+  },
+  ORDER_SHIPPED: {
+    version: 1,
+    category: 'orderUpdates',
+    render: (data) => ({
+      subject: `Your Bam&Bosey order ${data.orderNumber} has shipped`,
+      paragraphs: [
+        `Hi ${data.firstName},`,
+        `Good news: order ${data.orderNumber} is on its way.`,
+        data.trackingNumber
+          ? `Tracking number: ${data.trackingNumber}${data.carrier ? ` (${data.carrier})` : ''}`
+          : 'Tracking details will follow once the carrier has them.'
+      ]
+    })
+  },
+  ORDER_DELIVERED: {
+    version: 1,
+    category: 'orderUpdates',
+    render: (data) => ({
+      subject: `Your Bam&Bosey order ${data.orderNumber} was delivered`,
+      paragraphs: [
+        `Hi ${data.firstName},`,
+        `Order ${data.orderNumber} has been delivered. We hope you love it!`,
+        `If anything isn't right, reply to this email or visit ${CLIENT_ORIGIN}/orders.`
+      ]
+    })
+  },
+  ORDER_CANCELLED: {
+    version: 1,
+    category: 'orderUpdates',
+    render: (data) => ({
+      subject: `Your Bam&Bosey order ${data.orderNumber} was cancelled`,
+      paragraphs: [
+        `Hi ${data.firstName},`,
+        `Order ${data.orderNumber} has been cancelled${data.reason ? `: ${data.reason}` : '.'}`,
+        'If you were charged, the refund will be confirmed in a separate email.'
+      ]
+    })
+  },
+  REFUND_ISSUED: {
+    version: 2,
+    category: 'orderUpdates',
+    render: (data) => ({
+      subject: 'Your Bam&Bosey refund is on its way',
+      paragraphs: [
+        `Hi ${data.firstName},`,
+        `We've issued a refund of ${formatMoney(data.amount, data.currency)} for ${data.orderNumber ? `order ${data.orderNumber}` : `your preorder of ${data.productName}`}.`,
+        'Depending on your bank it can take 5-10 business days to appear on your statement.'
+      ]
+    })
+  },
+  PREORDER_CONFIRMED: {
+    version: 1,
+    category: 'preorderUpdates',
+    render: (data) => ({
+      subject: `Your preorder of ${data.productName} is confirmed`,
+      paragraphs: [
+        `Hi ${data.firstName},`,
+        `Your preorder of ${data.quantity} x ${data.productName} is confirmed.`,
+        data.expectedDate
+          ? `We expect it in stock around ${formatDate(data.expectedDate)} and will let you know as soon as it's ready.`
+          : "We'll let you know as soon as it's ready."
+      ]
+    })
+  },
+  PREORDER_READY: {
+    version: 1,
+    category: 'preorderUpdates',
+    render: (data) => ({
+      subject: `Your preorder of ${data.productName} is ready`,
+      paragraphs: [
+        `Hi ${data.firstName},`,
+        `Your preorder of ${data.quantity} x ${data.productName} has arrived and is set aside for you as order ${data.orderNumber}.`,
+        Number(data.amountDue) > 0
+          ? `The remaining balance of ${formatMoney(data.amountDue)} will be charged to your saved card. If that isn't possible you can pay it at ${CLIENT_ORIGIN}/orders.`
+          : 'It is fully paid and will ship shortly.'
+      ]
+    })
+  },
+  PREORDER_EXPIRED: {
+    version: 1,
+    category: 'preorderUpdates',
+    render: (data) => ({
+      subject: `Your preorder of ${data.productName} has expired`,
+      paragraphs: [
+        `Hi ${data.firstName},`,
+        `Your preorder of ${data.quantity} x ${data.productName} expired because it wasn't confirmed in time.`,
+        'Any deposit you paid will be refunded. You are welcome to place a new preorder.'
+      ]
+    })
+  },
+  PREORDER_DATE_CHANGED: {
+    version: 1,
+    category: 'preorderUpdates',
+    render: (data) => ({
+      subject: `Update on your Bam&Bosey preorder: ${data.productName}`,
+      paragraphs: [
+        `Hi ${data.firstName},`,
+        `The expected arrival date for your preorder of ${data.productName} has moved to ${formatDate(data.expectedDate)} (previously ${formatDate(data.previousDate)}).`,
+        'Your preorder is still reserved. If you no longer want to wait, you can cancel it from your account.'
+      ]
+    })
+  },
+  BACK_IN_STOCK: {
+    version: 1,
+    category: 'stockAlerts',
+    render: (data) => ({
+      subject: `${data.productName} is back in stock`,
+      paragraphs: [
+        `Hi ${data.firstName},`,
+        `${data.productName}${data.variantName ? ` (${data.variantName})` : ''} is back in stock.`,
+        `Get it before it's gone: ${CLIENT_ORIGIN}/products/${data.productId}`
+      ]
+    })
+  },
+  PRICE_DROP: {
+    version: 1,
+    category: 'stockAlerts',
+    render: (data) => ({
+      subject: `Price drop: ${data.productName} is now ${formatMoney(data.price)}`,
+      paragraphs: [
+        `Hi ${data.firstName},`,
+        `${data.productName} dropped from ${formatMoney(data.previousPrice)} to ${formatMoney(data.price)}.`,
+        `Take a look: ${CLIENT_ORIGIN}/products/${data.productId}`
+      ]
+    })
+  }
+};
+
+// Render a template to { version, category, subject, text, html }
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown notification template "${name}"`);
+  }
+
+  const { subject, paragraphs } = template.render(data);
+
+  return {
+    version: template.version,
+    category: template.category,
+    subject,
+    text: paragraphs.join('\n\n'),
+    html: paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('')
+  };
+};
+
+module.exports = {
+  escapeHtml,
+  templates,
+  renderTemplate
+};
@@ -0,0 +1,152 @@
+const prisma = require('./prisma');
+const { sendMail } = require('./mailer');
+const { renderTemplate } = require('./notificationTemplates');
+
+// Customer emails go through the Notification outbox: queueNotification
+// renders the template and stores the message (inside the caller's
+// transaction when given one), and deliverPendingNotifications sends whatever
+// is due, retrying failures with exponential backoff.
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const BATCH_SIZE = 50;
+// How long a worker owns a message it is sending before others may retry it
+const CLAIM_SECONDS = 300;
+
+const PREFERENCE_DEFAULTS = {
+  orderUpdates: true,
+  preorderUpdates: true,
+  stockAlerts: true
+};
+
+const pickPreferences = (preference) => Object.fromEntries(
+  Object.keys(PREFERENCE_DEFAULTS).map(name => [name, preference ? preference[name] : PREFERENCE_DEFAULTS[name]])
+);
+
+const getNotificationPreferences = async (userId) => {
+  const preference = await prisma.notificationPreference.findUnique({
+    where: { userId }
+  });
+
+  return pickPreferences(preference);
+};
+
+// `changes` holds only the flags to change
+const updateNotificationPreferences = async (userId, changes) => {
+  const preference = await prisma.notificationPreference.upsert({
+    where: { userId },
+    update: changes,
+    create: { userId, ...changes }
+  });
+
+  return pickPreferences(preference);
+};
+
+// Queue `template` for a user, unless they opted out of its category or are
+// inactive. Without a userId the message goes to `to` unconditionally.
+// `key` makes queueing idempotent: a second message with the same key is
+// dropped. Returns true when a message was queued.
+const queueNotification = async (template, { userId = null, to = null, data = {}, key = null, tx } = {}) => {
+  const db = tx || prisma;
+  let recipient = { email: to, firstName: data.firstName || 'there', notificationPreference: null };
+
+  if (userId) {
+    recipient = await db.user.findUnique({
+      where: { id: userId },
+      select: { email: true, firstName: true, isActive: true, notificationPreference: true }
+    });
+
+    if (!recipient || !recipient.isActive) {
+      return false;
+    }
+  }
+
+  if (!recipient.email) {
+    return false;
+  }
+
+  const { version, category, subject, text, html } = renderTemplate(template, { ...data, firstName: recipient.firstName });
+
+  if (userId && category && !pickPreferences(recipient.notificationPreference)[category]) {
+    return false;
+  }
+
+  // createMany so a duplicate key is skipped instead of aborting the caller's transaction
+  const { count } = await db.notification.createMany({
+    data: [{ userId, to: recipient.email, template, version, key, subject, text, html, data }],
+    skipDuplicates: true
+  });
+
+  // Outside a transaction the row is already visible, so don't wait for the next sweep
+  if (count > 0 && !tx) {
+    deliverPendingNotifications().catch(error => console.error('Error delivering notifications:', error));
+  }
+
+  return count > 0;
+};
+
+const retryDelayMs = (attempts) => Math.pow(2, attempts) * 60 * 1000;
+
+// Send every due message. Each one is claimed first by pushing its
+// nextAttemptAt out, so concurrent workers don't send it twice. Returns the
+// number sent.
+const deliverPendingNotifications = async (now = new Date()) => {
+  const due = await prisma.notification.findMany({
+    where: { status: 'PENDING', nextAttemptAt: { lte: now } },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: BATCH_SIZE
+  });
+
+  let sent = 0;
+
+  for (const notification of due) {
+    const claimed = await prisma.notification.updateMany({
+      where: { id: notification.id, status: 'PENDING', attempts: notification.attempts },
+      data: {
+        attempts: { increment: 1 },
+        nextAttemptAt: new Date(Date.now() + CLAIM_SECONDS * 1000)
+      }
+    });
+
+    if (claimed.count === 0) {
+      continue;
+    }
+
+    const attempts = notification.attempts + 1;
+
+    try {
+      await sendMail({
+        to: notification.to,
+        subject: notification.subject,
+        text: notification.text,
+        html: notification.html
+      });
+    } catch (error) {
+      console.error(`Error sending notification ${notification.id} (attempt ${attempts}):`, error.message);
+
+      await prisma.notification.update({
+        where: { id: notification.id },
+        data: {
+          status: attempts >= MAX_ATTEMPTS ? 'FAILED' : 'PENDING',
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + retryDelayMs(attempts))
+        }
+      });
+      continue;
+    }
+
+    await prisma.notification.update({
+      where: { id: notification.id },
+      data: { status: 'SENT', sentAt: new Date(), lastError: null }
+    });
+    sent++;
+  }
+
+  return sent;
+};
+
+module.exports = {
+  PREFERENCE_DEFAULTS,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  queueNotification,
+  deliverPendingNotifications
+};
@@ -0,0 +1,222 @@
+const prisma = require('./prisma');
+const { createHttpError } = require('./errors');
+const { orderStateMachine } = require('./stateMachine');
+const { commitOrderReservations, restockCancelledOrder } = require('./reservations');
+const { refundOrder } = require('./refunds');
+const { queueNotification } = require('./notifications');
+const { reclaimPromotionRedemption, releasePromotionRedemption } = require('./promotions');
+
+const inTransaction = (tx, fn) => (tx ? fn(tx) : prisma.$transaction(fn));
+
+// Customer email queued when an order reaches each status
+const STATUS_NOTIFICATIONS = {
+  CONFIRMED: 'ORDER_CONFIRMED',
+  SHIPPED: 'ORDER_SHIPPED',
+  DELIVERED: 'ORDER_DELIVERED',
+  CANCELLED: 'ORDER_CANCELLED'
+};
+
+// Move an order to `status` if the state machine allows it, stamping
+// shippedAt/deliveredAt and appending to OrderStatusHistory. The update is
+// conditional on the status read, so two concurrent changes can't both apply.
+// The customer's email is queued in the same transaction, and a cancelled
+// order gives back the use of its promotion code. Pass `tx` to run
+// inside a caller's transaction.
+const changeOrderStatus = async (orderId, status, { actorId = null, note = null, carrier, trackingNumber, tx } = {}) => {
+  return inTransaction(tx, async (db) => {
+    const order = await db.order.findUnique({
+      where: { id: orderId },
+      select: {
+        id: true,
+        status: true,
+        userId: true,
+        guestEmail: true,
+        orderNumber: true,
+        totalAmount: true,
+        currency: true,
+        carrier: true,
+        trackingNumber: true,
+        shippingAddress: { select: { firstName: true } }
+      }
+    });
+
+    if (!order) {
+      throw createHttpError(404, 'Order not found');
+    }
+
+    orderStateMachine.assertTransition(order.status, status);
+
+    const updated = await db.order.updateMany({
+      where: { id: orderId, status: order.status },
+      data: {
+        status,
+        ...(carrier !== undefined && { carrier }),
+        ...(trackingNumber !== undefined && { trackingNumber }),
+        ...(status === 'SHIPPED' && { shippedAt: new Date() }),
+        ...(status === 'DELIVERED' && { deliveredAt: new Date() })
+      }
+    });
+
+    if (updated.count === 0) {
+      throw createHttpError(409, 'Order status changed concurrently, please retry');
+    }
+
+    await db.orderStatusHistory.create({
+      data: {
+        orderId,
+        fromStatus: order.status,
+        toStatus: status,
+        note,
+        changedById: actorId
+      }
+    });
+
+    if (status === 'CANCELLED') {
+      await releasePromotionRedemption(db, orderId);
+    }
+
+    if (STATUS_NOTIFICATIONS[status]) {
+      await queueNotification(STATUS_NOTIFICATIONS[status], {
+        tx: db,
+        userId: order.userId,
+        to: order.guestEmail,
+        key: `order-${orderId}-${status}`,
+        data: {
+          firstName: order.shippingAddress?.firstName,
+          orderNumber: order.orderNumber,
+          totalAmount: order.totalAmount,
+          currency: order.currency,
+          carrier: carrier !== undefined ? carrier : order.carrier,
+          trackingNumber: trackingNumber !== undefined ? trackingNumber : order.trackingNumber,
+          reason: status === 'CANCELLED' ? note : null
+        }
+      });
+    }
+
+    return { fromStatus: order.status, toStatus: status };
+  });
+};
+
+// Commit the stock held at checkout and confirm the order once its payment
+// succeeded. Safe to repeat: webhook retries find the stock committed and the
+// order already confirmed. A paid order that can't be filled - its stock sold
+// while it was unpaid, or it was cancelled before the payment came through -
+// is cancelled and refunded instead of confirmed.
+const confirmPaidOrder = async (orderId) => {
+  const { shortfall } = await commitOrderReservations(orderId);
+
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    select: { status: true, paymentStatus: true }
+  });
+
+  if (order?.status === 'PENDING' && shortfall.length === 0) {
+    await prisma.$transaction(async (tx) => {
+      await reclaimPromotionRedemption(tx, orderId, { enforceLimits: false });
+      await changeOrderStatus(orderId, 'CONFIRMED', { tx, note: 'Payment received' });
+    });
+    return;
+  }
+
+  if (order?.status === 'PENDING') {
+    await cancelOrder(orderId, { note: 'Some items sold out before your payment went through' });
+  } else if (order?.status === 'CANCELLED') {
+    await refundCancelledOrder(orderId, { reason: 'Order cancelled before it could be filled' });
+  }
+};
+
+// Refund what a cancelled order has left to refund, if it was paid. Runs after
+// the cancellation committed: when the provider rejects the refund the order
+// stays cancelled, and the FAILED refund shows an admin what is still owed.
+// Returns the refund, or null for an unpaid order.
+const refundCancelledOrder = async (orderId, { reason = 'Order cancelled', actorId = null } = {}) => {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    select: { paymentStatus: true }
+  });
+
+  if (!['COMPLETED', 'PARTIAL'].includes(order?.paymentStatus)) {
+    return null;
+  }
+
+  try {
+    return await refundOrder({ orderId, reason, actorId });
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+    // The refund row was already marked FAILED
+    console.error(`Error refunding cancelled order ${orderId}:`, error);
+    return prisma.refund.findFirst({
+      where: { orderId },
+      orderBy: { createdAt: 'desc' },
+      include: { items: true }
+    });
+  }
+};
+
+// Cancel an order: its held stock is released, stock it already took is put
+// back and, if it was paid, the payment is refunded. Returns the refund, or
+// null.
+const cancelOrder = async (orderId, { actorId = null, note = null } = {}) => {
+  await prisma.$transaction(async (tx) => {
+    await changeOrderStatus(orderId, 'CANCELLED', { tx, actorId, note });
+    await restockCancelledOrder(tx, orderId, { actorId });
+  });
+
+  return refundCancelledOrder(orderId, { reason: note || undefined, actorId });
+};
+
+// Cancel unpaid orders once every hold they had has lapsed: expired, or
+// released by a failed payment and past its expiry. Each order is locked and
+// checked again first, so one being paid at that moment is left alone.
+// Preorder balance orders are left to the preorder jobs. Returns the number
+// cancelled.
+const cancelLapsedOrders = async (now = new Date()) => {
+  const lapsed = await prisma.order.findMany({
+    where: {
+      status: 'PENDING',
+      orderType: 'REGULAR',
+      paymentStatus: { in: ['PENDING', 'FAILED'] },
+      reservations: {
+        some: {},
+        every: { status: 'RELEASED', expiresAt: { lte: now } }
+      }
+    },
+    select: { id: true }
+  });
+
+  let cancelled = 0;
+
+  for (const { id } of lapsed) {
+    const done = await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT id FROM "orders" WHERE id = ${id} FOR UPDATE`;
+
+      const order = await tx.order.findUnique({
+        where: { id },
+        select: { status: true, paymentStatus: true }
+      });
+
+      if (order.status !== 'PENDING' || !['PENDING', 'FAILED'].includes(order.paymentStatus)) {
+        return false;
+      }
+
+      await changeOrderStatus(id, 'CANCELLED', { tx, note: 'Payment was not completed in time' });
+      return true;
+    });
+
+    if (done) {
+      cancelled++;
+    }
+  }
+
+  return cancelled;
+};
+
+module.exports = {
+  changeOrderStatus,
+  confirmPaidOrder,
+  refundCancelledOrder,
+  cancelOrder,
+  cancelLapsedOrders
+};
@@ -0,0 +1,218 @@
+const prisma = require('./prisma');
+const { createHttpError } = require('./errors');
+const { availableQuantity } = require('./inventory');
+const { reserveOrderStock } = require('./reservations');
+const { redeemPromotion } = require('./promotions');
+const { priceCart } = require('./pricing');
+const { baseCurrency } = require('./currency');
+const { roundMoney } = require('./money');
+
+// Generate order number
+const generateOrderNumber = () => {
+  return 'ORD-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+};
+
+const ORDER_INCLUDE = {
+  items: {
+    include: {
+      product: true,
+      productVariant: {
+        include: {
+          color: true,
+          size: true
+        }
+      }
+    }
+  },
+  shippingAddress: true,
+  billingAddress: true
+};
+
+// Place an order for everything in a cart, reserve stock for its regular items
+// and empty the cart, all in one transaction. The order belongs either to a
+// user (`userId`, whose saved addresses must be used) or to a guest
+// (`guestEmail` and `guestTokenHash`, with `shippingAddress`/`billingAddress`
+// given as new address data). Totals come from the pricing pipeline for the
+// shipping address and are stored component by component, along with the
+// shipping method (`shippingMethodId`, or the cheapest) and its delivery
+// estimate. Everything is charged in `currency` ({ code, rate }, default the
+// base currency), which the order records with its rate. A promotion code
+// applied to the cart is checked again and redeemed; when it no longer applies
+// the order is refused with the reason, so the customer can remove the code
+// and retry.
+// Returns { order, reservationExpiresAt }.
+const createOrderFromCart = async (cartId, {
+  userId = null,
+  guestEmail = null,
+  guestTokenHash = null,
+  shippingAddressId = null,
+  billingAddressId = null,
+  shippingAddress = null,
+  billingAddress = null,
+  shippingMethodId = null,
+  currency = baseCurrency(),
+  paymentMethod
+}) => {
+  const cart = await prisma.cart.findUnique({
+    where: { id: cartId },
+    include: {
+      items: {
+        include: {
+          product: true,
+          productVariant: {
+            include: {
+              inventory: true
+            }
+          }
+        }
+      },
+      promotion: true
+    }
+  });
+
+  if (!cart || cart.items.length === 0) {
+    throw createHttpError(400, 'Cart is empty');
+  }
+
+  if (userId) {
+    const addressIds = [shippingAddressId, billingAddressId].filter(Boolean);
+    const owned = await prisma.address.findMany({
+      where: { id: { in: addressIds }, userId }
+    });
+
+    if (owned.length !== new Set(addressIds).size) {
+      throw createHttpError(400, 'Address not found');
+    }
+
+    shippingAddress = owned.find(address => address.id === shippingAddressId);
+  }
+
+  // Separate regular items and preorders
+  const regularItems = cart.items.filter(item => !item.isPreorder);
+  const preorderItems = cart.items.filter(item => item.isPreorder);
+
+  // Verify stock availability for regular items (the reservation below is
+  // the authoritative check; this one just fails fast)
+  for (const item of regularItems) {
+    if (item.productVariant && availableQuantity(item.productVariant.inventory) < item.quantity) {
+      throw createHttpError(400, `Insufficient stock for ${item.product.name}`);
+    }
+  }
+
+  const email = userId
+    ? (await prisma.user.findUnique({ where: { id: userId }, select: { email: true } })).email
+    : guestEmail;
+
+  const pricing = await priceCart(prisma, cart.items, {
+    promotion: cart.promotion,
+    customer: { userId, email },
+    address: shippingAddress,
+    shippingMethodId,
+    currency,
+    strictPromotion: true,
+    strictShipping: true
+  });
+
+  // Determine order type
+  const orderType = preorderItems.length > 0 ? 'PREORDER' : 'REGULAR';
+
+  let reservationExpiresAt = null;
+  const order = await prisma.$transaction(async (tx) => {
+    if (!userId) {
+      const shipping = await tx.address.create({
+        data: { ...shippingAddress, type: 'SHIPPING' }
+      });
+      const billing = billingAddress
+        ? await tx.address.create({ data: { ...billingAddress, type: 'BILLING' } })
+        : shipping;
+
+      shippingAddressId = shipping.id;
+      billingAddressId = billing.id;
+    }
+
+    const newOrder = await tx.order.create({
+      data: {
+        userId,
+        guestEmail,
+        guestTokenHash,
+        orderNumber: generateOrderNumber(),
+        subtotalAmount: pricing.subtotal,
+        discountAmount: pricing.discountAmount,
+        freeShipping: pricing.freeShipping,
+        promotionId: cart.promotion?.id,
+        shippingMethodId: pricing.shippingMethod.id,
+        shippingMethodName: pricing.shippingMethod.name,
+        shippingAmount: pricing.shippingAmount,
+        expectedDeliveryDate: pricing.shippingMethod.estimate?.latest || null,
+        taxAmount: pricing.taxAmount,
+        taxRegion: pricing.taxRegion,
+        taxBreakdown: pricing.taxBreakdown,
+        totalAmount: pricing.total,
+        currency: currency.code,
+        exchangeRate: currency.rate,
+        shippingAddressId,
+        billingAddressId: billingAddressId || shippingAddressId,
+        paymentMethod,
+        orderType,
+        statusHistory: {
+          create: {
+            toStatus: 'PENDING',
+            note: userId ? 'Order placed' : 'Order placed as guest',
+            changedById: userId
+          }
+        },
+        items: {
+          create: cart.items.map((item, index) => ({
+            productId: item.productId,
+            productVariantId: item.productVariantId,
+            quantity: item.quantity,
+            price: pricing.lines[index].price,
+            total: roundMoney(pricing.lines[index].price * item.quantity),
+            discount: pricing.lines[index].discount,
+            taxAmount: pricing.lines[index].tax,
+            isPreorder: item.isPreorder
+          }))
+        }
+      },
+      include: ORDER_INCLUDE
+    });
+
+    // Redemptions are totalled across orders, so they are kept in the base
+    // currency
+    if (cart.promotion) {
+      await redeemPromotion(tx, cart.promotion, {
+        orderId: newOrder.id,
+        userId,
+        email,
+        amount: roundMoney(pricing.discountAmount / currency.rate)
+      });
+    }
+
+    // Hold stock for regular items until the order is paid
+    if (regularItems.length > 0) {
+      reservationExpiresAt = await reserveOrderStock(tx, newOrder.id, regularItems);
+    }
+
+    // Clear cart
+    await tx.cartItem.deleteMany({
+      where: { cartId: cart.id }
+    });
+
+    if (cart.promotion) {
+      await tx.cart.update({
+        where: { id: cart.id },
+        data: { promotionId: null }
+      });
+    }
+
+    return newOrder;
+  });
+
+  return { order, reservationExpiresAt };
+};
+
+module.exports = {
+  ORDER_INCLUDE,
+  generateOrderNumber,
+  createOrderFromCart
+};
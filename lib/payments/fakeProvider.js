@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+
+// Deterministic in-memory payment provider for tests and local development.
+// Mirrors Stripe's test payment methods so the same fixtures work against both:
+//   pm_card_authenticationRequired -> requires_action (3-D Secure)
+//   pm_card_chargeDeclined         -> declined (requires_payment_method)
+//   anything else                  -> succeeded
+// Webhook signatures use Stripe's "t=<timestamp>,v1=<hmac>" scheme. Without
+// a webhookSecret a random one is used, so only signWebhookPayload can sign.
+const ACTION_REQUIRED_METHODS = ['pm_card_authenticationRequired', 'pm_card_threeDSecure2Required'];
+const DECLINED_METHODS = ['pm_card_chargeDeclined', 'pm_card_visa_chargeDeclined'];
+
+const CARD_FIXTURES = {
+  pm_card_mastercard: { brand: 'mastercard', last4: '4444' },
+  pm_card_amex: { brand: 'amex', last4: '8431' }
+};
+
+const createFakeProvider = ({ webhookSecret = crypto.randomBytes(32).toString('hex') } = {}) => {
+  let sequence = 0;
+  const intentsByKey = new Map();
+  const intents = new Map();
+  const attachments = new Map();
+  const refundsByKey = new Map();
+
+  const nextId = (prefix) => `${prefix}_fake_${++sequence}`;
+
+  const sign = (payload, timestamp) => {
+    return crypto.createHmac('sha256', webhookSecret).update(`${timestamp}.${payload}`).digest('hex');
+  };
+
+  return {
+    name: 'fake',
+
+    async createPaymentIntent({ amount, currency, customerId, paymentMethodId, idempotencyKey, metadata = {}, offSession = false }) {
+      if (idempotencyKey && intentsByKey.has(idempotencyKey)) {
+        return intentsByKey.get(idempotencyKey);
+      }
+
+      const id = nextId('pi');
+      let intent = {
+        id,
+        status: 'succeeded',
+        clientSecret: `${id}_secret`,
+        nextAction: null,
+        amount,
+        currency
+      };
+
+      if (ACTION_REQUIRED_METHODS.includes(paymentMethodId)) {
+        intent = offSession
+          ? { ...intent, status: 'requires_payment_method', declineCode: 'authentication_required', errorMessage: 'Authentication required' }
+          : { ...intent, status: 'requires_action', nextAction: { type: 'use_stripe_sdk' } };
+      } else if (DECLINED_METHODS.includes(paymentMethodId)) {
+        intent = { ...intent, status: 'requires_payment_method', declineCode: 'generic_decline', errorMessage: 'Your card was declined.' };
+      }
+
+      intents.set(id, { ...intent, customerId, paymentMethodId, metadata });
+      if (idempotencyKey) {
+        intentsByKey.set(idempotencyKey, intent);
+      }
+      return intent;
+    },
+
+    constructWebhookEvent(rawBody, signature) {
+      const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+      const parts = Object.fromEntries(String(signature || '').split(',').map(part => part.split('=')));
+
+      if (!parts.t || !parts.v1) {
+        throw new Error('Unable to extract timestamp and signatures from header');
+      }
+
+      const expected = Buffer.from(sign(payload, parts.t));
+      const received = Buffer.from(parts.v1);
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new Error('No signatures found matching the expected signature for payload');
+      }
+
+      return JSON.parse(payload);
+    },
+
+    async createCustomer() {
+      return { id: nextId('cus') };
+    },
+
+    async attachPaymentMethod(paymentMethodId, customerId) {
+      attachments.set(paymentMethodId, customerId);
+      return {
+        id: paymentMethodId,
+        card: CARD_FIXTURES[paymentMethodId] || { brand: 'visa', last4: '4242' }
+      };
+    },
+
+    async detachPaymentMethod(paymentMethodId) {
+      attachments.delete(paymentMethodId);
+      return { id: paymentMethodId, card: null };
+    },
+
+    async createRefund({ paymentIntentId, amount, idempotencyKey }) {
+      if (idempotencyKey && refundsByKey.has(idempotencyKey)) {
+        return refundsByKey.get(idempotencyKey);
+      }
+
+      const intent = intents.get(paymentIntentId);
+      const refund = {
+        id: nextId('re'),
+        // Refunds against an intent that never succeeded fail like they would on Stripe
+        status: intent && intent.status !== 'succeeded' ? 'failed' : 'succeeded',
+        amount
+      };
+
+      if (idempotencyKey) {
+        refundsByKey.set(idempotencyKey, refund);
+      }
+      return refund;
+    },
+
+    // Test helpers (not part of the provider interface)
+    signWebhookPayload(payload, timestamp = Math.floor(Date.now() / 1000)) {
+      return `t=${timestamp},v1=${sign(payload, timestamp)}`;
+    },
+
+    getPaymentIntent(id) {
+      return intents.get(id) || null;
+    }
+  };
+};
+
+module.exports = createFakeProvider;
@@ -0,0 +1,93 @@
+const prisma = require('../prisma');
+const createStripeProvider = require('./stripeProvider');
+const createFakeProvider = require('./fakeProvider');
+
+// Payment provider interface. Amounts are in the currency's minor unit (cents).
+//
+//   createPaymentIntent({ amount, currency, customerId, paymentMethodId,
+//                         idempotencyKey, metadata, offSession })
+//     -> { id, status, clientSecret, nextAction, amount, currency,
+//          declineCode?, errorMessage? }
+//     status is Stripe's: succeeded | requires_action | processing |
+//     requires_payment_method (declined) | ...
+//   constructWebhookEvent(rawBody, signature) -> event (throws if the signature is invalid)
+//   createCustomer({ email, name, userId }) -> { id }
+//   attachPaymentMethod(paymentMethodId, customerId) -> { id, card: { brand, last4 } }
+//   detachPaymentMethod(paymentMethodId) -> { id }
+//   createRefund({ paymentIntentId, amount, idempotencyKey, metadata })
+//     -> { id, status, amount }   status: succeeded | pending | failed | ...
+//
+// PAYMENT_PROVIDER selects the implementation (stripe | fake) and defaults to
+// stripe. The fake provider approves any card, so it has to be asked for
+// explicitly and is refused in production.
+let provider = null;
+
+const createProvider = (name) => {
+  switch (name) {
+    case 'stripe':
+      if (!process.env.STRIPE_SECRET_KEY) {
+        throw new Error('STRIPE_SECRET_KEY must be set to take payments with Stripe (or set PAYMENT_PROVIDER=fake outside production)');
+      }
+      return createStripeProvider({
+        secretKey: process.env.STRIPE_SECRET_KEY,
+        webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+        returnUrl: process.env.PAYMENT_RETURN_URL || 'https://bambosey.com/return'
+      });
+    case 'fake':
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('PAYMENT_PROVIDER=fake cannot be used in production');
+      }
+      return createFakeProvider({
+        webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
+      });
+    default:
+      throw new Error(`Unknown PAYMENT_PROVIDER "${name}"`);
+  }
+};
+
+const getPaymentProvider = () => {
+  if (!provider) {
+    provider = createProvider(process.env.PAYMENT_PROVIDER || 'stripe');
+  }
+  return provider;
+};
+
+// Replace the active provider (tests inject a fresh fake provider per run)
+const setPaymentProvider = (nextProvider) => {
+  provider = nextProvider;
+};
+
+// Return the user's provider customer id, creating the customer on first use
+const getOrCreateCustomerId = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, firstName: true, lastName: true, stripeCustomerId: true }
+  });
+
+  if (user.stripeCustomerId) {
+    return user.stripeCustomerId;
+  }
+
+  const customer = await getPaymentProvider().createCustomer({
+    email: user.email,
+    name: `${user.firstName} ${user.lastName}`,
+    userId: user.id
+  });
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { stripeCustomerId: customer.id }
+  });
+
+  return customer.id;
+};
+
+// Convert a Decimal/number amount to minor units
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+
+module.exports = {
+  getPaymentProvider,
+  setPaymentProvider,
+  getOrCreateCustomerId,
+  toMinorUnits
+};
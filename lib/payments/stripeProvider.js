@@ -0,0 +1,90 @@
+const Stripe = require('stripe');
+
+// Stripe-backed payment provider. See lib/payments/index.js for the interface.
+const createStripeProvider = ({ secretKey, webhookSecret, returnUrl }) => {
+  const stripe = new Stripe(secretKey);
+
+  return {
+    name: 'stripe',
+
+    async createPaymentIntent({ amount, currency, customerId, paymentMethodId, idempotencyKey, metadata = {}, offSession = false }) {
+      try {
+        const intent = await stripe.paymentIntents.create({
+          amount,
+          currency,
+          customer: customerId,
+          payment_method: paymentMethodId,
+          confirm: true,
+          off_session: offSession || undefined,
+          return_url: offSession ? undefined : returnUrl,
+          metadata
+        }, { idempotencyKey });
+
+        return normalizeIntent(intent);
+      } catch (error) {
+        // Declines come back as errors carrying the failed intent
+        if (error.type === 'StripeCardError') {
+          return {
+            ...normalizeIntent(error.payment_intent || { status: 'requires_payment_method', amount, currency }),
+            declineCode: error.decline_code || error.code,
+            errorMessage: error.message
+          };
+        }
+        throw error;
+      }
+    },
+
+    constructWebhookEvent(rawBody, signature) {
+      return stripe.webhooks.constructEvent(rawBody, signature, webhookSecret);
+    },
+
+    async createCustomer({ email, name, userId }) {
+      const customer = await stripe.customers.create({
+        email,
+        name,
+        metadata: { userId: String(userId) }
+      }, { idempotencyKey: `customer-user-${userId}` });
+
+      return { id: customer.id };
+    },
+
+    async attachPaymentMethod(paymentMethodId, customerId) {
+      const paymentMethod = await stripe.paymentMethods.attach(paymentMethodId, { customer: customerId });
+      return normalizePaymentMethod(paymentMethod);
+    },
+
+    async detachPaymentMethod(paymentMethodId) {
+      const paymentMethod = await stripe.paymentMethods.detach(paymentMethodId);
+      return normalizePaymentMethod(paymentMethod);
+    },
+
+    async createRefund({ paymentIntentId, amount, idempotencyKey, metadata = {} }) {
+      const refund = await stripe.refunds.create({
+        payment_intent: paymentIntentId,
+        amount,
+        metadata
+      }, { idempotencyKey });
+
+      return { id: refund.id, status: refund.status, amount: refund.amount };
+    }
+  };
+};
+
+const normalizeIntent = (intent) => ({
+  id: intent.id || null,
+  status: intent.status,
+  clientSecret: intent.client_secret || null,
+  nextAction: intent.next_action || null,
+  amount: intent.amount,
+  currency: intent.currency
+});
+
+const normalizePaymentMethod = (paymentMethod) => ({
+  id: paymentMethod.id,
+  card: paymentMethod.card ? {
+    brand: paymentMethod.card.brand,
+    last4: paymentMethod.card.last4
+  } : null
+});
+
+module.exports = createStripeProvider;
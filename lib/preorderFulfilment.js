@@ -0,0 +1,229 @@
+const prisma = require('./prisma');
+const { getPaymentProvider, getOrCreateCustomerId, toMinorUnits } = require('./payments');
+const { reserveOrderStock, releaseOrderReservations } = require('./reservations');
+const { changePreorderStatus } = require('./preorderStatus');
+const { changeOrderStatus, confirmPaidOrder } = require('./orderStatus');
+const { orderStateMachine } = require('./stateMachine');
+const { refundOrder } = require('./refunds');
+const { generateOrderNumber } = require('./orders');
+const { roundMoney } = require('./money');
+const { BASE_CURRENCY } = require('./currency');
+
+// How long an allocated preorder holds its stock while the balance is collected
+const PAYMENT_WINDOW_HOURS = parseInt(process.env.PREORDER_PAYMENT_WINDOW_HOURS) || 72;
+
+// Turn one preorder into a PREORDER order holding its stock, and mark it
+// READY. The order charges only what is left after the deposit, in the base
+// currency the preorder was priced in. Throws a 400
+// (leaving everything untouched) when the variant is out of unreserved stock.
+const allocatePreorder = async (preorder, actorId) => {
+  return prisma.$transaction(async (tx) => {
+    const amountDue = roundMoney(preorder.remainingAmount || 0);
+
+    const order = await tx.order.create({
+      data: {
+        userId: preorder.userId,
+        orderNumber: generateOrderNumber(),
+        totalAmount: amountDue,
+        currency: BASE_CURRENCY,
+        shippingAddressId: preorder.shippingAddressId,
+        billingAddressId: preorder.shippingAddressId,
+        orderType: 'PREORDER',
+        paymentStatus: amountDue > 0 ? 'PENDING' : 'COMPLETED',
+        statusHistory: {
+          create: {
+            toStatus: 'PENDING',
+            note: `Allocated from preorder ${preorder.id}`,
+            changedById: actorId
+          }
+        },
+        items: {
+          create: [{
+            productId: preorder.productId,
+            productVariantId: preorder.productVariantId,
+            quantity: preorder.quantity,
+            price: preorder.price,
+            total: roundMoney(Number(preorder.price) * preorder.quantity),
+            isPreorder: true
+          }]
+        }
+      }
+    });
+
+    // Not flagged isPreorder here: the allocated stock has to be held like a regular sale
+    await reserveOrderStock(tx, order.id, [{
+      productVariantId: preorder.productVariantId,
+      quantity: preorder.quantity,
+      product: preorder.product
+    }], { ttlMinutes: PAYMENT_WINDOW_HOURS * 60 });
+
+    await changePreorderStatus(preorder.id, 'READY', {
+      tx,
+      actorId,
+      note: `Stock allocated to order ${order.orderNumber}`,
+      data: { orderId: order.id }
+    });
+
+    return order;
+  });
+};
+
+// Charge the remaining balance off-session to the customer's default saved
+// card. When that isn't possible the order stays PENDING with its stock held,
+// and the customer pays it through POST /api/payments/process.
+const collectBalance = async (order, preorder) => {
+  if (order.paymentStatus === 'COMPLETED') {
+    await confirmPaidOrder(order.id);
+    return { status: 'PAID' };
+  }
+
+  const paymentMethod = await prisma.paymentMethod.findFirst({
+    where: { userId: preorder.userId },
+    orderBy: [{ isDefault: 'desc' }, { createdAt: 'desc' }]
+  });
+
+  if (!paymentMethod) {
+    return { status: 'AWAITING_PAYMENT', reason: 'No saved payment method' };
+  }
+
+  let paymentIntent;
+  try {
+    paymentIntent = await getPaymentProvider().createPaymentIntent({
+      amount: toMinorUnits(order.totalAmount),
+      currency: order.currency.toLowerCase(),
+      customerId: await getOrCreateCustomerId(preorder.userId),
+      paymentMethodId: paymentMethod.stripePaymentMethodId,
+      idempotencyKey: `preorder-${preorder.id}-balance-${order.id}`,
+      metadata: {
+        orderId: String(order.id),
+        orderNumber: order.orderNumber,
+        preorderId: String(preorder.id)
+      },
+      offSession: true
+    });
+  } catch (error) {
+    console.error(`Error charging balance for preorder ${preorder.id}:`, error);
+    return { status: 'AWAITING_PAYMENT', reason: 'Payment provider error' };
+  }
+
+  const paid = paymentIntent.status === 'succeeded';
+
+  await prisma.order.update({
+    where: { id: order.id },
+    data: {
+      stripePaymentIntentId: paymentIntent.id,
+      ...(paid && { paymentStatus: 'COMPLETED' })
+    }
+  });
+
+  if (!paid) {
+    return {
+      status: 'AWAITING_PAYMENT',
+      reason: paymentIntent.errorMessage || paymentIntent.status,
+      paymentIntentId: paymentIntent.id
+    };
+  }
+
+  await confirmPaidOrder(order.id);
+  return { status: 'PAID', paymentIntentId: paymentIntent.id };
+};
+
+// Allocate a product's stock to its CONFIRMED preorders, oldest first. The
+// queue is strict per variant: once a variant runs out, later preorders for it
+// stay queued even if they are smaller, so nobody is overtaken.
+const allocatePreorders = async ({ productId, productVariantId = null, actorId = null }) => {
+  const preorders = await prisma.preorder.findMany({
+    where: {
+      productId,
+      status: 'CONFIRMED',
+      ...(productVariantId && { productVariantId })
+    },
+    include: {
+      product: {
+        select: { name: true }
+      }
+    },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+  });
+
+  const exhaustedVariants = new Set();
+  const allocated = [];
+  const queued = [];
+
+  for (const preorder of preorders) {
+    const queue = (reason) => queued.push({
+      preorderId: preorder.id,
+      productVariantId: preorder.productVariantId,
+      quantity: preorder.quantity,
+      reason
+    });
+
+    if (!preorder.productVariantId) {
+      queue('Preorder has no variant to allocate stock from');
+      continue;
+    }
+
+    if (exhaustedVariants.has(preorder.productVariantId)) {
+      queue('Insufficient stock');
+      continue;
+    }
+
+    let order;
+    try {
+      order = await allocatePreorder(preorder, actorId);
+    } catch (error) {
+      if (error.status === 400) {
+        exhaustedVariants.add(preorder.productVariantId);
+        queue('Insufficient stock');
+        continue;
+      }
+      if (error.status === 409) {
+        // Changed (e.g. cancelled) while we were allocating
+        continue;
+      }
+      throw error;
+    }
+
+    allocated.push({
+      preorderId: preorder.id,
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      productVariantId: preorder.productVariantId,
+      quantity: preorder.quantity,
+      amountDue: Number(order.totalAmount),
+      payment: await collectBalance(order, preorder)
+    });
+  }
+
+  return { allocated, queued };
+};
+
+// Cancel the order created when a preorder was allocated, putting its stock
+// back and refunding whatever balance was already collected. An order the
+// deposit covered in full charged nothing, so there is nothing to refund here;
+// callers refund the deposit itself with refundPreorderDeposit.
+const cancelAllocatedOrder = async (orderId, reason, actorId = null) => {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    select: { id: true, status: true, paymentStatus: true, stripePaymentIntentId: true, totalAmount: true }
+  });
+
+  if (!order || !orderStateMachine.canTransition(order.status, 'CANCELLED')) {
+    return;
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await changeOrderStatus(order.id, 'CANCELLED', { tx, actorId, note: reason });
+    await releaseOrderReservations(order.id, 'CANCELLED', { tx, restoreCommitted: true, actorId });
+  });
+
+  const charged = order.stripePaymentIntentId && Number(order.totalAmount) > 0;
+  if (charged && ['COMPLETED', 'PARTIAL'].includes(order.paymentStatus)) {
+    await refundOrder({ orderId: order.id, reason, actorId });
+  }
+};
+
+module.exports = {
+  allocatePreorders,
+  cancelAllocatedOrder
+};
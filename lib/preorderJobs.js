@@ -0,0 +1,116 @@
+const prisma = require('./prisma');
+const { queueNotification } = require('./notifications');
+const { changePreorderStatus } = require('./preorderStatus');
+const { refundPreorderDeposit } = require('./refunds');
+const { cancelAllocatedOrder } = require('./preorderFulfilment');
+
+// A PENDING preorder that hasn't been confirmed within this many hours expires
+const PENDING_GRACE_HOURS = parseInt(process.env.PREORDER_PENDING_GRACE_HOURS) || 48;
+
+// Expire PENDING preorders older than the grace period, releasing any stock
+// held for them and refunding their deposit. Returns the number expired.
+const expireStalePreorders = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - PENDING_GRACE_HOURS * 60 * 60 * 1000);
+
+  const stale = await prisma.preorder.findMany({
+    where: { status: 'PENDING', createdAt: { lte: cutoff } },
+    select: { id: true, orderId: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const reason = `Not confirmed within ${PENDING_GRACE_HOURS} hours`;
+  let expired = 0;
+
+  for (const preorder of stale) {
+    try {
+      await changePreorderStatus(preorder.id, 'EXPIRED', {
+        note: reason,
+        data: { cancellationReason: reason }
+      });
+    } catch (error) {
+      // Confirmed or cancelled since we looked
+      if (error.status === 409 || error.status === 400) {
+        continue;
+      }
+      throw error;
+    }
+    expired++;
+
+    try {
+      if (preorder.orderId) {
+        await cancelAllocatedOrder(preorder.orderId, reason);
+      }
+      await refundPreorderDeposit(preorder.id, { reason: 'Preorder expired' });
+    } catch (error) {
+      console.error(`Error releasing expired preorder ${preorder.id}:`, error);
+    }
+  }
+
+  return expired;
+};
+
+// Tell customers when a product's expectedStockDate moves past the date their
+// open preorder was promised. The preorder's expectedDate is moved in the same
+// transaction, with a conditional update, so each slip is only announced once
+// even when several schedulers run. Returns the number of notices queued.
+const notifyPreorderDateSlips = async () => {
+  // Prisma can't compare columns of two tables, so the slipped ones are found in SQL
+  const rows = await prisma.$queryRaw`
+    SELECT p.id
+    FROM preorders p
+    JOIN products pr ON pr.id = p.product_id
+    WHERE p.status IN ('PENDING', 'CONFIRMED') AND pr.expected_stock_date > p.expected_date
+  `;
+
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const slipped = await prisma.preorder.findMany({
+    where: { id: { in: rows.map(row => row.id) } },
+    include: {
+      product: {
+        select: { name: true, expectedStockDate: true }
+      }
+    }
+  });
+
+  let notified = 0;
+
+  for (const preorder of slipped) {
+    const newDate = preorder.product.expectedStockDate;
+
+    const queued = await prisma.$transaction(async (tx) => {
+      const updated = await tx.preorder.updateMany({
+        where: { id: preorder.id, expectedDate: preorder.expectedDate },
+        data: { expectedDate: newDate }
+      });
+
+      if (updated.count === 0) {
+        return false;
+      }
+
+      return queueNotification('PREORDER_DATE_CHANGED', {
+        tx,
+        userId: preorder.userId,
+        key: `preorder-${preorder.id}-date-${newDate.toISOString()}`,
+        data: {
+          productName: preorder.product.name,
+          expectedDate: newDate,
+          previousDate: preorder.expectedDate
+        }
+      });
+    });
+
+    if (queued) {
+      notified++;
+    }
+  }
+
+  return notified;
+};
+
+module.exports = {
+  expireStalePreorders,
+  notifyPreorderDateSlips
+};
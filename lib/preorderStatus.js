@@ -0,0 +1,110 @@
+const prisma = require('./prisma');
+const { createHttpError } = require('./errors');
+const { preorderStateMachine } = require('./stateMachine');
+const { queueNotification } = require('./notifications');
+
+const inTransaction = (tx, fn) => (tx ? fn(tx) : prisma.$transaction(fn));
+
+// Customer email queued when a preorder reaches each status
+const STATUS_NOTIFICATIONS = {
+  CONFIRMED: 'PREORDER_CONFIRMED',
+  READY: 'PREORDER_READY',
+  EXPIRED: 'PREORDER_EXPIRED'
+};
+
+// Queue the customer's email for a preorder that just reached `status`, if
+// that status has one. READY is only announced to customers who asked to be
+// told (notifyWhenReady).
+const queuePreorderStatusNotification = async (db, preorderId, status) => {
+  const template = STATUS_NOTIFICATIONS[status];
+  if (!template) {
+    return;
+  }
+
+  const preorder = await db.preorder.findUnique({
+    where: { id: preorderId },
+    include: {
+      product: {
+        select: { name: true }
+      }
+    }
+  });
+
+  if (status === 'READY' && !preorder.notifyWhenReady) {
+    return;
+  }
+
+  const order = preorder.orderId && await db.order.findUnique({
+    where: { id: preorder.orderId },
+    select: { orderNumber: true, totalAmount: true }
+  });
+
+  await queueNotification(template, {
+    tx: db,
+    userId: preorder.userId,
+    key: `preorder-${preorder.id}-${status}`,
+    data: {
+      productName: preorder.product.name,
+      quantity: preorder.quantity,
+      expectedDate: preorder.expectedDate,
+      orderNumber: order ? order.orderNumber : null,
+      amountDue: order ? order.totalAmount : preorder.remainingAmount
+    }
+  });
+};
+
+// Move a preorder to `status` if the state machine allows it, stamping the
+// lifecycle timestamps and who made the change, and appending to
+// PreorderStatusHistory. `data` carries extra columns to set in the same
+// update (trackingNumber, adminNotes, cancellationReason). The customer's
+// email is queued in the same transaction. Pass `tx` to run inside a caller's
+// transaction.
+const changePreorderStatus = async (preorderId, status, { actorId = null, note = null, data = {}, tx } = {}) => {
+  return inTransaction(tx, async (db) => {
+    const preorder = await db.preorder.findUnique({
+      where: { id: preorderId },
+      select: { id: true, status: true }
+    });
+
+    if (!preorder) {
+      throw createHttpError(404, 'Preorder not found');
+    }
+
+    preorderStateMachine.assertTransition(preorder.status, status);
+
+    const updated = await db.preorder.updateMany({
+      where: { id: preorderId, status: preorder.status },
+      data: {
+        ...data,
+        status,
+        updatedById: actorId,
+        ...(status === 'SHIPPED' && { shippedAt: new Date() }),
+        ...(status === 'DELIVERED' && { deliveredAt: new Date() }),
+        ...(status === 'CANCELLED' && { cancelledAt: new Date() })
+      }
+    });
+
+    if (updated.count === 0) {
+      throw createHttpError(409, 'Preorder status changed concurrently, please retry');
+    }
+
+    await db.preorderStatusHistory.create({
+      data: {
+        preorderId,
+        fromStatus: preorder.status,
+        toStatus: status,
+        note,
+        changedById: actorId
+      }
+    });
+
+    await queuePreorderStatusNotification(db, preorderId, status);
+
+    return { fromStatus: preorder.status, toStatus: status };
+  });
+};
+
+module.exports = {
+  changePreorderStatus,
+  queuePreorderStatusNotification
+};
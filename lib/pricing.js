@@ -0,0 +1,173 @@
+const { regions } = require('../config/taxRates');
+const { resolveRegion } = require('./regions');
+const { applyPromotion } = require('./promotions');
+const { quoteShipping } = require('./shipping');
+const { currentUnitPrice } = require('./cart');
+const { baseCurrency, isBaseCurrency, convertAmount, localizeProduct, localizeVariant } = require('./currency');
+const { roundMoney } = require('./money');
+
+// The pricing pipeline shared by the cart and checkout, so the total a
+// customer is shown is the total they are charged:
+//   subtotal  - sum of line prices
+//   discount  - the applied promotion's per-line discounts
+//   shipping  - the chosen (or cheapest) method for the address, see
+//               lib/shipping.js; waived by free-shipping promotions
+//   tax       - per config/taxRates.js for the shipping address, on the
+//               discounted lines (and on shipping where the region taxes it)
+//   total     - subtotal - discount + shipping + tax
+// Everything is priced in one currency, the base currency unless the
+// customer chose another (see lib/currency.js).
+
+// The tax region for an address ({ country, state, postalCode }): { country,
+// region, name, taxes, shipping }, or null when we don't collect tax there
+const resolveTaxRegion = (address) => {
+  const location = resolveRegion(address);
+  const region = location && location.region && regions[location.country]?.[location.region];
+
+  return region ? { ...location, ...region } : null;
+};
+
+// A cart line's unit price in `currency`. CartItem.price is a base-currency
+// snapshot: while it still matches the catalog the line sells at the
+// catalog price in `currency` (including any override for it), otherwise
+// the snapshot is converted.
+const unitPriceIn = (item, currency) => {
+  if (isBaseCurrency(currency)) {
+    return Number(item.price);
+  }
+
+  if (Number(currentUnitPrice(item.product, item.productVariant, item.isPreorder)) !== Number(item.price)) {
+    return convertAmount(item.price, currency);
+  }
+
+  return Number(currentUnitPrice(
+    localizeProduct(item.product, currency),
+    localizeVariant(item.productVariant, currency),
+    item.isPreorder
+  ));
+};
+
+// Fixed discounts and minimum spends are base-currency amounts
+const promotionIn = (promotion, currency) => {
+  if (isBaseCurrency(currency)) {
+    return promotion;
+  }
+
+  return {
+    ...promotion,
+    value: promotion.type === 'FIXED_AMOUNT' && promotion.value !== null ? convertAmount(promotion.value, currency) : promotion.value,
+    minSubtotal: promotion.minSubtotal === null ? null : convertAmount(promotion.minSubtotal, currency)
+  };
+};
+
+// Tax on each line (after its discount) and on shipping, itemised per tax.
+// Each tax is rounded per line so the line amounts add up to the total.
+const calculateTax = (taxRegion, lineAmounts, shippingAmount) => {
+  const lineTaxes = lineAmounts.map(() => 0);
+
+  if (!taxRegion || taxRegion.taxes.length === 0) {
+    return { lineTaxes, shippingTax: 0, breakdown: [], taxAmount: 0 };
+  }
+
+  let shippingTax = 0;
+  const breakdown = taxRegion.taxes.map(({ name, rate }) => {
+    let amount = 0;
+
+    lineAmounts.forEach((lineAmount, index) => {
+      const tax = roundMoney(lineAmount * rate);
+      lineTaxes[index] = roundMoney(lineTaxes[index] + tax);
+      amount += tax;
+    });
+
+    if (taxRegion.shipping && shippingAmount > 0) {
+      const tax = roundMoney(shippingAmount * rate);
+      shippingTax = roundMoney(shippingTax + tax);
+      amount += tax;
+    }
+
+    return { name, rate, amount: roundMoney(amount) };
+  });
+
+  return {
+    lineTaxes,
+    shippingTax,
+    breakdown,
+    taxAmount: roundMoney(breakdown.reduce((sum, tax) => sum + tax.amount, 0))
+  };
+};
+
+// Price a cart's lines (each with price, quantity, productId, product and,
+// for variant lines, productVariant).
+//   promotion - the Promotion applied to the cart, if any
+//   customer  - { userId, email } for the promotion's per-customer limit
+//   address   - shipping address; without one, tax is left out
+//   shippingMethodId - the customer's choice; defaults to the cheapest
+//   currency  - { code, rate } to price in; defaults to the base currency
+//   strictPromotion - throw when the promotion doesn't apply (applying a
+//               code, checkout) instead of pricing without it and
+//               reporting why in promotion.issue
+//   strictShipping - throw when we can't ship to the address (checkout)
+//               instead of leaving shipping out and reporting why in
+//               shippingIssue
+// Returns every component, plus per-line unit price, discount and tax in
+// item order.
+const priceCart = async (db, cartItems, { promotion = null, customer = {}, address = null, shippingMethodId = null, currency = baseCurrency(), strictPromotion = false, strictShipping = false } = {}) => {
+  const items = cartItems.map(item => ({ ...item, price: unitPriceIn(item, currency) }));
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+  let discount = { discounts: items.map(() => 0), discountAmount: 0, freeShipping: false };
+  let promotionSummary = null;
+
+  if (promotion) {
+    const { code, type, description } = promotion;
+    promotionSummary = { code, type, description };
+
+    try {
+      discount = await applyPromotion(db, promotionIn(promotion, currency), items, { ...customer, currency });
+    } catch (error) {
+      if (strictPromotion || !error.status) {
+        throw error;
+      }
+      promotionSummary.issue = error.message;
+    }
+  }
+
+  const shipping = await quoteShipping(db, items, address, {
+    merchandiseTotal: roundMoney(subtotal - discount.discountAmount),
+    currency,
+    freeShipping: discount.freeShipping,
+    shippingMethodId,
+    strict: strictShipping
+  });
+  const shippingAmount = shipping.amount;
+  const taxRegion = resolveTaxRegion(address);
+  const lineAmounts = items.map((item, index) => item.price * item.quantity - discount.discounts[index]);
+  const tax = calculateTax(taxRegion, lineAmounts, shippingAmount);
+
+  return {
+    currency: currency.code,
+    promotion: promotionSummary,
+    lines: items.map((item, index) => ({
+      price: item.price,
+      discount: discount.discounts[index],
+      tax: tax.lineTaxes[index]
+    })),
+    subtotal,
+    discountAmount: discount.discountAmount,
+    freeShipping: discount.freeShipping,
+    shippingMethod: shipping.method,
+    shippingIssue: shipping.issue || null,
+    shippingAmount,
+    shippingTax: tax.shippingTax,
+    taxRegion: taxRegion ? `${taxRegion.country}-${taxRegion.region}` : null,
+    taxBreakdown: tax.breakdown,
+    taxAmount: tax.taxAmount,
+    total: roundMoney(subtotal - discount.discountAmount + shippingAmount + tax.taxAmount)
+  };
+};
+
+module.exports = {
+  resolveTaxRegion,
+  calculateTax,
+  priceCart
+};
@@ -0,0 +1,316 @@
+const prisma = require('./prisma');
+const { roundMoney } = require('./money');
+const { queueNotification } = require('./notifications');
+
+// Back-in-stock alerts are per variant and one-shot: once sent, notifiedAt is
+// set and the customer subscribes again if they want another. Price-drop
+// alerts are per product and remember the last price the customer saw, so
+// they only fire when the price goes below it. Both are capped at
+// ALERT_EMAILS_PER_DAY per user; an alert skipped by the cap stays armed, is
+// marked with heldBackAt and is sent by the retry-product-alerts job once the
+// user is under it again.
+const ALERT_EMAILS_PER_DAY = parseInt(process.env.ALERT_EMAILS_PER_DAY) || 5;
+
+const RETRY_BATCH_SIZE = 50;
+
+const ALERT_TEMPLATES = ['BACK_IN_STOCK', 'PRICE_DROP'];
+
+const underDailyLimit = async (db, userId) => {
+  const sentToday = await db.notification.count({
+    where: {
+      userId,
+      template: { in: ALERT_TEMPLATES },
+      createdAt: { gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+    }
+  });
+
+  return sentToday < ALERT_EMAILS_PER_DAY;
+};
+
+const variantName = (variant) => [variant.color?.name, variant.size?.name].filter(Boolean).join(' / ');
+
+// The lowest price a product can currently be bought at: its cheapest active
+// variant, falling back to basePrice for variants without their own price
+const getLowestPrice = async (db, productId) => {
+  const product = await db.product.findUnique({
+    where: { id: productId },
+    select: {
+      basePrice: true,
+      variants: {
+        where: { isActive: true },
+        select: { price: true }
+      }
+    }
+  });
+
+  if (!product) {
+    return null;
+  }
+
+  const prices = product.variants.length > 0
+    ? product.variants.map(variant => Number(variant.price ?? product.basePrice))
+    : [Number(product.basePrice)];
+
+  return roundMoney(Math.min(...prices));
+};
+
+const STOCK_ALERT_INCLUDE = {
+  productVariant: {
+    include: {
+      color: { select: { name: true } },
+      size: { select: { name: true } },
+      product: { select: { id: true, name: true, isActive: true } }
+    }
+  }
+};
+
+// Claiming the alert is what de-duplicates it. When nothing is queued (the
+// user opted out or was deactivated) the claim is undone, so the alert stays
+// armed but isn't retried. Returns true when an email was queued.
+const sendStockAlert = async (tx, alert) => {
+  const { productVariant: variant } = alert;
+  if (!variant.isActive || !variant.product.isActive) {
+    return false;
+  }
+
+  if (!(await underDailyLimit(tx, alert.userId))) {
+    await tx.stockAlert.update({ where: { id: alert.id }, data: { heldBackAt: new Date() } });
+    return false;
+  }
+
+  const claimed = await tx.stockAlert.updateMany({
+    where: { id: alert.id, notifiedAt: null },
+    data: { notifiedAt: new Date(), heldBackAt: null }
+  });
+
+  if (claimed.count === 0) {
+    return false;
+  }
+
+  const queued = await queueNotification('BACK_IN_STOCK', {
+    tx,
+    userId: alert.userId,
+    data: {
+      productId: variant.product.id,
+      productName: variant.product.name,
+      variantName: variantName(variant)
+    }
+  });
+
+  if (!queued) {
+    await tx.stockAlert.update({ where: { id: alert.id }, data: { notifiedAt: null } });
+  }
+
+  return queued;
+};
+
+// Same as sendStockAlert; the claim moves the baseline down to `price`
+const sendPriceAlert = async (tx, alert, price) => {
+  if (!alert.product.isActive) {
+    return false;
+  }
+
+  if (!(await underDailyLimit(tx, alert.userId))) {
+    await tx.priceAlert.update({ where: { id: alert.id }, data: { heldBackAt: new Date() } });
+    return false;
+  }
+
+  const claimed = await tx.priceAlert.updateMany({
+    where: { id: alert.id, lastPrice: alert.lastPrice },
+    data: { lastPrice: price, notifiedAt: new Date(), heldBackAt: null }
+  });
+
+  if (claimed.count === 0) {
+    return false;
+  }
+
+  const queued = await queueNotification('PRICE_DROP', {
+    tx,
+    userId: alert.userId,
+    key: `price-alert-${alert.id}-${price}`,
+    data: {
+      productId: alert.productId,
+      productName: alert.product.name,
+      previousPrice: alert.lastPrice,
+      price
+    }
+  });
+
+  if (!queued) {
+    await tx.priceAlert.update({
+      where: { id: alert.id },
+      data: { lastPrice: alert.lastPrice, notifiedAt: alert.notifiedAt }
+    });
+  }
+
+  return queued;
+};
+
+// Called from refreshStockStatus, inside the transaction that brought the
+// variants back from OUT_OF_STOCK. Returns the number of alerts queued.
+const queueBackInStockAlerts = async (tx, productVariantIds) => {
+  const alerts = await tx.stockAlert.findMany({
+    where: {
+      productVariantId: { in: productVariantIds },
+      notifiedAt: null
+    },
+    include: STOCK_ALERT_INCLUDE,
+    orderBy: { createdAt: 'asc' }
+  });
+
+  let queued = 0;
+
+  for (const alert of alerts) {
+    if (await sendStockAlert(tx, alert)) {
+      queued++;
+    }
+  }
+
+  return queued;
+};
+
+// Called after a product's prices changed, inside the same transaction.
+// Alerts whose last seen price is above the new lowest price fire and move
+// their baseline down to it. Returns the number of alerts queued.
+const queuePriceDropAlerts = async (tx, productId) => {
+  const price = await getLowestPrice(tx, productId);
+  if (price === null) {
+    return 0;
+  }
+
+  const alerts = await tx.priceAlert.findMany({
+    where: { productId, lastPrice: { gt: price } },
+    include: {
+      product: { select: { name: true, isActive: true } }
+    }
+  });
+
+  let queued = 0;
+
+  for (const alert of alerts) {
+    if (await sendPriceAlert(tx, alert, price)) {
+      queued++;
+    }
+  }
+
+  return queued;
+};
+
+// Alerts only fire when stock comes back or a price changes, so ones held
+// back by the daily cap would wait for the next change. This job goes through
+// the held-back ones a batch at a time: each loses its mark and is sent if it
+// is still due (its variant in stock, or its baseline above the current
+// lowest price). One the cap blocks again is marked again; one for a user who
+// opted out is left armed for the next change. Returns the number queued.
+const retryArmedAlerts = async () => {
+  let queued = 0;
+  let cursor = 0;
+
+  for (;;) {
+    const alerts = await prisma.stockAlert.findMany({
+      where: { id: { gt: cursor }, heldBackAt: { not: null } },
+      include: STOCK_ALERT_INCLUDE,
+      orderBy: { id: 'asc' },
+      take: RETRY_BATCH_SIZE
+    });
+
+    if (alerts.length === 0) {
+      break;
+    }
+
+    queued += await prisma.$transaction(async (tx) => {
+      let sent = 0;
+
+      await tx.stockAlert.updateMany({
+        where: { id: { in: alerts.map(alert => alert.id) } },
+        data: { heldBackAt: null }
+      });
+
+      for (const alert of alerts) {
+        const inStock = ['IN_STOCK', 'LOW_STOCK'].includes(alert.productVariant.stockStatus);
+        if (alert.notifiedAt === null && inStock && await sendStockAlert(tx, alert)) {
+          sent++;
+        }
+      }
+
+      return sent;
+    });
+
+    cursor = alerts[alerts.length - 1].id;
+  }
+
+  const lowestPrices = new Map();
+  cursor = 0;
+
+  for (;;) {
+    const alerts = await prisma.priceAlert.findMany({
+      where: { id: { gt: cursor }, heldBackAt: { not: null } },
+      include: {
+        product: { select: { name: true, isActive: true } }
+      },
+      orderBy: { id: 'asc' },
+      take: RETRY_BATCH_SIZE
+    });
+
+    if (alerts.length === 0) {
+      break;
+    }
+
+    for (const alert of alerts) {
+      if (!lowestPrices.has(alert.productId)) {
+        lowestPrices.set(alert.productId, await getLowestPrice(prisma, alert.productId));
+      }
+    }
+
+    queued += await prisma.$transaction(async (tx) => {
+      let sent = 0;
+
+      await tx.priceAlert.updateMany({
+        where: { id: { in: alerts.map(alert => alert.id) } },
+        data: { heldBackAt: null }
+      });
+
+      for (const alert of alerts) {
+        const price = lowestPrices.get(alert.productId);
+        if (price !== null && Number(alert.lastPrice) > price && await sendPriceAlert(tx, alert, price)) {
+          sent++;
+        }
+      }
+
+      return sent;
+    });
+
+    cursor = alerts[alerts.length - 1].id;
+  }
+
+  return queued;
+};
+
+// Subscribing again re-arms an alert that already fired
+const subscribeStockAlert = (userId, productVariantId) => {
+  return prisma.stockAlert.upsert({
+    where: { userId_productVariantId: { userId, productVariantId } },
+    update: { notifiedAt: null },
+    create: { userId, productVariantId }
+  });
+};
+
+// The baseline is the price the customer sees when subscribing
+const subscribePriceAlert = async (userId, productId) => {
+  const lastPrice = await getLowestPrice(prisma, productId);
+
+  return prisma.priceAlert.upsert({
+    where: { userId_productId: { userId, productId } },
+    update: { lastPrice },
+    create: { userId, productId, lastPrice }
+  });
+};
+
+module.exports = {
+  getLowestPrice,
+  queueBackInStockAlerts,
+  queuePriceDropAlerts,
+  retryArmedAlerts,
+  subscribeStockAlert,
+  subscribePriceAlert
+};
@@ -0,0 +1,276 @@
+const { createHttpError } = require('./errors');
+const { roundMoney } = require('./money');
+const { baseCurrency } = require('./currency');
+
+// Promotions are codes a customer applies to their cart. A code is one of:
+//   PERCENTAGE    - `value` percent off every eligible line
+//   FIXED_AMOUNT  - `value` off the eligible lines, split across them by price
+//   FREE_SHIPPING - no discount on the lines; the order ships free
+//   BUY_X_GET_Y   - for every buyQuantity + getQuantity eligible units, the
+//                   getQuantity cheapest are `value` percent off (free when
+//                   value is empty)
+// A line is eligible when the code has no productIds/categoryIds, or when its
+// product or category is listed. minSubtotal is checked against the whole
+// cart. maxUses and maxUsesPerUser count orders placed with the code, except
+// cancelled ones and unpaid ones that lost their stock holds.
+const PROMOTION_TYPES = ['PERCENTAGE', 'FIXED_AMOUNT', 'FREE_SHIPPING', 'BUY_X_GET_Y'];
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+const lineTotal = (item) => Number(item.price) * item.quantity;
+
+const isEligible = (promotion, item) => {
+  if (promotion.productIds.length === 0 && promotion.categoryIds.length === 0) {
+    return true;
+  }
+
+  return promotion.productIds.includes(item.productId) ||
+    promotion.categoryIds.includes(item.product.categoryId);
+};
+
+// Check the rules that make up a promotion before it is saved, after merging
+// an update into the stored promotion. Throws a 400 HttpError.
+const assertValidPromotion = (promotion) => {
+  const value = promotion.value === null || promotion.value === undefined ? null : Number(promotion.value);
+
+  if (promotion.type === 'PERCENTAGE' && !(value > 0 && value <= 100)) {
+    throw createHttpError(400, 'A percentage promotion needs a value between 0 and 100');
+  }
+
+  if (promotion.type === 'FIXED_AMOUNT' && !(value > 0)) {
+    throw createHttpError(400, 'A fixed-amount promotion needs a positive value');
+  }
+
+  if (promotion.type === 'BUY_X_GET_Y') {
+    if (!(promotion.buyQuantity >= 1) || !(promotion.getQuantity >= 1)) {
+      throw createHttpError(400, 'A buy-X-get-Y promotion needs buyQuantity and getQuantity of at least 1');
+    }
+
+    if (value !== null && !(value > 0 && value <= 100)) {
+      throw createHttpError(400, 'A buy-X-get-Y value is the percentage off the free items, between 0 and 100');
+    }
+  }
+
+  if (promotion.startsAt && promotion.endsAt && new Date(promotion.startsAt) >= new Date(promotion.endsAt)) {
+    throw createHttpError(400, 'endsAt must be after startsAt');
+  }
+};
+
+// Split `amount` over the lines in proportion to their totals. The rounding
+// remainder goes to the last line so the parts add up to the amount exactly.
+const spreadAmount = (amount, totals) => {
+  const sum = totals.reduce((a, b) => a + b, 0);
+  let left = amount;
+
+  return totals.map((total, index) => {
+    if (index === totals.length - 1) {
+      return roundMoney(left);
+    }
+    const share = roundMoney(amount * total / sum);
+    left -= share;
+    return share;
+  });
+};
+
+// Work out a promotion's discount on a set of cart lines (each with price,
+// quantity, productId and product.categoryId). Returns the discount for each
+// line, in the same order, and the total.
+const calculateDiscount = (promotion, items) => {
+  const discounts = items.map(() => 0);
+  const eligible = items
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => isEligible(promotion, item));
+
+  if (promotion.type === 'PERCENTAGE') {
+    eligible.forEach(({ item, index }) => {
+      discounts[index] = roundMoney(lineTotal(item) * Number(promotion.value) / 100);
+    });
+  }
+
+  if (promotion.type === 'FIXED_AMOUNT' && eligible.length > 0) {
+    const totals = eligible.map(({ item }) => lineTotal(item));
+    const amount = Math.min(Number(promotion.value), totals.reduce((a, b) => a + b, 0));
+
+    spreadAmount(amount, totals).forEach((share, i) => {
+      discounts[eligible[i].index] = share;
+    });
+  }
+
+  if (promotion.type === 'BUY_X_GET_Y') {
+    const percentOff = promotion.value === null ? 100 : Number(promotion.value);
+    const units = eligible
+      .flatMap(({ item, index }) => Array.from({ length: item.quantity }, () => ({ index, price: Number(item.price) })))
+      .sort((a, b) => a.price - b.price);
+    const freeUnits = Math.floor(units.length / (promotion.buyQuantity + promotion.getQuantity)) * promotion.getQuantity;
+
+    units.slice(0, freeUnits).forEach(({ index, price }) => {
+      discounts[index] = roundMoney(discounts[index] + price * percentOff / 100);
+    });
+  }
+
+  return {
+    discounts,
+    discountAmount: roundMoney(discounts.reduce((a, b) => a + b, 0)),
+    freeShipping: promotion.type === 'FREE_SHIPPING'
+  };
+};
+
+const countCustomerRedemptions = (db, promotionId, { userId, email }) => db.promotionRedemption.count({
+  where: {
+    promotionId,
+    OR: [
+      ...(userId ? [{ userId }] : []),
+      ...(email ? [{ email }] : [])
+    ]
+  }
+});
+
+// Check that `promotion` can be used on these cart lines by this customer
+// ({ userId, email }, either may be null before checkout) and work out the
+// discount. `currency` is the one the lines and promotion are priced in.
+// Throws a 400 HttpError naming the rule that failed.
+const applyPromotion = async (db, promotion, items, { userId = null, email = null, currency = baseCurrency() } = {}, now = new Date()) => {
+  if (!promotion || !promotion.isActive) {
+    throw createHttpError(400, 'This code is not valid');
+  }
+
+  if (promotion.startsAt && promotion.startsAt > now) {
+    throw createHttpError(400, 'This code is not active yet', { startsAt: promotion.startsAt });
+  }
+
+  if (promotion.endsAt && promotion.endsAt <= now) {
+    throw createHttpError(400, 'This code has expired');
+  }
+
+  if (promotion.maxUses !== null && promotion.usedCount >= promotion.maxUses) {
+    throw createHttpError(400, 'This code has reached its usage limit');
+  }
+
+  if (promotion.maxUsesPerUser !== null && (userId || email) &&
+      await countCustomerRedemptions(db, promotion.id, { userId, email }) >= promotion.maxUsesPerUser) {
+    throw createHttpError(400, 'You have already used this code');
+  }
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + lineTotal(item), 0));
+  if (promotion.minSubtotal !== null && subtotal < Number(promotion.minSubtotal)) {
+    throw createHttpError(400, `Spend at least ${Number(promotion.minSubtotal).toFixed(2)} ${currency.code} to use this code`, {
+      minSubtotal: promotion.minSubtotal,
+      subtotal,
+      currency: currency.code
+    });
+  }
+
+  if (promotion.type !== 'FREE_SHIPPING' && !items.some(item => isEligible(promotion, item))) {
+    throw createHttpError(400, 'This code does not apply to anything in your cart');
+  }
+
+  const result = calculateDiscount(promotion, items);
+
+  if (promotion.type === 'BUY_X_GET_Y' && result.discountAmount === 0) {
+    throw createHttpError(400, `Add ${promotion.buyQuantity + promotion.getQuantity} eligible items to use this code`);
+  }
+
+  return { subtotal, ...result };
+};
+
+// Count a use of the promotion for an order, inside the order's transaction.
+// The conditional increment is what enforces maxUses under concurrency. It
+// also locks the promotion row until the order commits, so the per-customer
+// count after it sees every other redemption of the code.
+const redeemPromotion = async (tx, promotion, { orderId, userId = null, email, amount }) => {
+  const claimed = await tx.promotion.updateMany({
+    where: {
+      id: promotion.id,
+      ...(promotion.maxUses !== null && { usedCount: { lt: promotion.maxUses } })
+    },
+    data: { usedCount: { increment: 1 } }
+  });
+
+  if (claimed.count === 0) {
+    throw createHttpError(400, 'This code has reached its usage limit');
+  }
+
+  if (promotion.maxUsesPerUser !== null &&
+      await countCustomerRedemptions(tx, promotion.id, { userId, email }) >= promotion.maxUsesPerUser) {
+    throw createHttpError(400, 'You have already used this code');
+  }
+
+  return tx.promotionRedemption.create({
+    data: { promotionId: promotion.id, orderId, userId, email, amount }
+  });
+};
+
+// Take the use of a code again for an order whose use was given back while it
+// was unpaid (its stock holds lapsed or a payment failed), since the order
+// still carries the discount. Before charging the limits apply and a used-up
+// code is a 400 HttpError; once the order is paid (`enforceLimits` false) the
+// use is recorded regardless. Safe to repeat. Returns true when a use was taken.
+const reclaimPromotionRedemption = async (tx, orderId, { enforceLimits = true } = {}) => {
+  const order = await tx.order.findUnique({
+    where: { id: orderId },
+    include: {
+      promotion: true,
+      promotionRedemption: true,
+      user: { select: { email: true } }
+    }
+  });
+
+  if (!order?.promotion || order.promotionRedemption) {
+    return false;
+  }
+
+  const redemption = {
+    orderId,
+    userId: order.userId,
+    email: order.user?.email || order.guestEmail,
+    amount: roundMoney(Number(order.discountAmount) / Number(order.exchangeRate))
+  };
+
+  if (enforceLimits) {
+    await redeemPromotion(tx, order.promotion, redemption);
+    return true;
+  }
+
+  await tx.promotion.update({
+    where: { id: order.promotion.id },
+    data: { usedCount: { increment: 1 } }
+  });
+  await tx.promotionRedemption.create({
+    data: { promotionId: order.promotion.id, ...redemption }
+  });
+  return true;
+};
+
+// Give back the use of a code when its order is cancelled, or while it is
+// unpaid and has lost its stock holds. Safe to repeat.
+const releasePromotionRedemption = async (tx, orderId) => {
+  const redemption = await tx.promotionRedemption.findUnique({
+    where: { orderId }
+  });
+
+  if (!redemption) {
+    return false;
+  }
+
+  await tx.promotionRedemption.delete({
+    where: { id: redemption.id }
+  });
+
+  await tx.promotion.update({
+    where: { id: redemption.promotionId },
+    data: { usedCount: { decrement: 1 } }
+  });
+
+  return true;
+};
+
+module.exports = {
+  PROMOTION_TYPES,
+  normalizeCode,
+  assertValidPromotion,
+  calculateDiscount,
+  applyPromotion,
+  redeemPromotion,
+  reclaimPromotionRedemption,
+  releasePromotionRedemption
+};
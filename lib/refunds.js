@@ -0,0 +1,288 @@
+const prisma = require('./prisma');
+const { getPaymentProvider, toMinorUnits } = require('./payments');
+const { createHttpError } = require('./errors');
+const { roundMoney } = require('./money');
+const { adjustInventory } = require('./inventory');
+const { queueNotification } = require('./notifications');
+
+const PROVIDER_REFUND_STATUS = {
+  succeeded: 'SUCCEEDED',
+  failed: 'FAILED',
+  canceled: 'FAILED'
+};
+
+// Send the refund to the payment provider and record the outcome
+const submitRefund = async (refund, paymentIntentId, metadata) => {
+  let providerRefund;
+  try {
+    providerRefund = await getPaymentProvider().createRefund({
+      paymentIntentId,
+      amount: toMinorUnits(refund.amount),
+      idempotencyKey: `refund-${refund.id}`,
+      metadata: { refundId: String(refund.id), ...metadata }
+    });
+  } catch (error) {
+    await prisma.refund.update({
+      where: { id: refund.id },
+      data: { status: 'FAILED' }
+    });
+    throw error;
+  }
+
+  return prisma.refund.update({
+    where: { id: refund.id },
+    data: {
+      providerRefundId: providerRefund.id,
+      status: PROVIDER_REFUND_STATUS[providerRefund.status] || 'PENDING'
+    },
+    include: { items: true }
+  });
+};
+
+// Work out a refund of an order and record it as PENDING, inside `tx` with
+// the order row locked, so concurrent refunds of the same order see each
+// other and can't both claim what is left.
+const recordOrderRefund = async (tx, { orderId, items, reason, restock, actorId }) => {
+  await tx.$queryRaw`SELECT id FROM "orders" WHERE id = ${orderId} FOR UPDATE`;
+
+  const order = await tx.order.findUnique({
+    where: { id: orderId },
+    include: {
+      items: true,
+      refunds: {
+        where: { status: { not: 'FAILED' } },
+        include: { items: true }
+      },
+      shippingAddress: {
+        select: { firstName: true }
+      }
+    }
+  });
+
+  if (!order) {
+    throw createHttpError(404, 'Order not found');
+  }
+
+  if (!['COMPLETED', 'PARTIAL'].includes(order.paymentStatus) || !order.stripePaymentIntentId) {
+    throw createHttpError(400, 'Order has no captured payment to refund', { paymentStatus: order.paymentStatus });
+  }
+
+  // Cancelling an order already put its stock back
+  if (restock && order.status === 'CANCELLED') {
+    throw createHttpError(400, 'Cancelled orders have already been restocked', { status: order.status });
+  }
+
+  const refundedAmount = order.refunds.reduce((sum, refund) => sum + Number(refund.amount), 0);
+  const refundableAmount = roundMoney(Number(order.totalAmount) - refundedAmount);
+
+  if (refundableAmount <= 0) {
+    throw createHttpError(400, 'Order has already been fully refunded');
+  }
+
+  const refundedQuantities = {};
+  order.refunds.forEach(refund => {
+    refund.items.forEach(item => {
+      refundedQuantities[item.orderItemId] = (refundedQuantities[item.orderItemId] || 0) + item.quantity;
+    });
+  });
+
+  const remainingQuantity = (orderItem) => orderItem.quantity - (refundedQuantities[orderItem.id] || 0);
+
+  // What the customer paid per unit: the line's share of any promotion comes
+  // off, its sales tax goes on. Shipping is only returned by a full refund.
+  const paidUnitPrice = (orderItem) => (Number(orderItem.total) - Number(orderItem.discount) + Number(orderItem.taxAmount)) / orderItem.quantity;
+
+  let lines;
+  let amount;
+
+  if (items && items.length > 0) {
+    lines = items.map(({ orderItemId, quantity }) => {
+      const orderItem = order.items.find(item => item.id === parseInt(orderItemId));
+
+      if (!orderItem) {
+        throw createHttpError(400, `Order item ${orderItemId} does not belong to this order`);
+      }
+
+      if (quantity > remainingQuantity(orderItem)) {
+        throw createHttpError(400, `Cannot refund ${quantity} of order item ${orderItem.id}`, {
+          orderItemId: orderItem.id,
+          refundableQuantity: remainingQuantity(orderItem)
+        });
+      }
+
+      return { orderItem, quantity, amount: roundMoney(paidUnitPrice(orderItem) * quantity) };
+    });
+
+    amount = Math.min(roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)), refundableAmount);
+  } else {
+    lines = order.items
+      .filter(orderItem => remainingQuantity(orderItem) > 0)
+      .map(orderItem => ({
+        orderItem,
+        quantity: remainingQuantity(orderItem),
+        amount: roundMoney(paidUnitPrice(orderItem) * remainingQuantity(orderItem))
+      }));
+
+    amount = refundableAmount;
+  }
+
+  const pendingRefund = await tx.refund.create({
+    data: {
+      orderId: order.id,
+      amount,
+      reason,
+      createdById: actorId,
+      items: {
+        create: lines.map(line => ({
+          orderItemId: line.orderItem.id,
+          quantity: line.quantity,
+          amount: line.amount
+        }))
+      }
+    }
+  });
+
+  return { order, lines, amount, pendingRefund };
+};
+
+// Refund a paid order in full, or only some quantity of some of its items.
+// `items` is [{ orderItemId, quantity }]; without it, everything not yet
+// refunded is refunded. Failed refunds don't count towards what was refunded.
+// Cancelled orders can't be restocked: cancelling released their stock.
+const refundOrder = async ({ orderId, items, reason, restock = false, actorId = null }) => {
+  const { order, lines, amount, pendingRefund } = await prisma.$transaction(tx =>
+    recordOrderRefund(tx, { orderId, items, reason, restock, actorId })
+  );
+
+  const refund = await submitRefund(pendingRefund, order.stripePaymentIntentId, { orderId: String(order.id) });
+
+  if (refund.status === 'FAILED') {
+    return refund;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    if (restock) {
+      for (const line of lines) {
+        if (!line.orderItem.isPreorder && line.orderItem.productVariantId) {
+          await adjustInventory(tx, {
+            productVariantId: line.orderItem.productVariantId,
+            change: line.quantity,
+            reason: 'RETURN',
+            actorId,
+            orderId: order.id,
+            note: `Refund ${refund.id}`
+          });
+        }
+      }
+    }
+
+    // Summed again here: another refund of the order may have gone through
+    // since this one was recorded
+    const refunded = await tx.refund.aggregate({
+      where: { orderId: order.id, status: { not: 'FAILED' } },
+      _sum: { amount: true }
+    });
+
+    await tx.order.update({
+      where: { id: order.id },
+      data: {
+        paymentStatus: roundMoney(Number(refunded._sum.amount || 0)) >= Number(order.totalAmount) ? 'REFUNDED' : 'PARTIAL'
+      }
+    });
+
+    await queueNotification('REFUND_ISSUED', {
+      tx,
+      userId: order.userId,
+      to: order.guestEmail,
+      key: `refund-${refund.id}`,
+      data: { amount, currency: order.currency, orderNumber: order.orderNumber, firstName: order.shippingAddress?.firstName }
+    });
+
+    return tx.refund.update({
+      where: { id: refund.id },
+      data: { restocked: restock },
+      include: { items: true }
+    });
+  });
+};
+
+// Refund the deposit of a cancelled preorder. Safe to call more than once:
+// an existing non-failed deposit refund is returned instead of a new one.
+// Deposits aren't taken through the payment provider, so the refund is
+// recorded as PENDING and paid out by hand; completeDepositRefund marks it
+// done.
+const refundPreorderDeposit = async (preorderId, { reason, actorId = null } = {}) => {
+  const preorder = await prisma.preorder.findUnique({
+    where: { id: preorderId },
+    include: {
+      refunds: {
+        where: { status: { not: 'FAILED' } }
+      }
+    }
+  });
+
+  const deposit = Number(preorder?.depositPaid || 0);
+  if (!preorder || deposit <= 0) {
+    return null;
+  }
+
+  if (preorder.refunds.length > 0) {
+    return preorder.refunds[0];
+  }
+
+  return prisma.refund.create({
+    data: {
+      preorderId: preorder.id,
+      amount: deposit,
+      reason: reason || 'Preorder cancelled',
+      createdById: actorId
+    }
+  });
+};
+
+// Record the outcome of paying out a PENDING deposit refund: SUCCEEDED (the
+// customer is emailed) or FAILED. `reference` is kept as the refund's
+// providerRefundId, e.g. the bank transfer reference.
+const completeDepositRefund = async (refundId, { status = 'SUCCEEDED', reference = null } = {}) => {
+  return prisma.$transaction(async (tx) => {
+    const pending = await tx.refund.findUnique({
+      where: { id: refundId },
+      include: {
+        preorder: {
+          select: { userId: true, product: { select: { name: true } } }
+        }
+      }
+    });
+
+    if (!pending || !pending.preorderId) {
+      throw createHttpError(404, 'Deposit refund not found');
+    }
+
+    // Conditional, so two admins settling the same refund can't both succeed
+    const { count } = await tx.refund.updateMany({
+      where: { id: pending.id, status: 'PENDING' },
+      data: { status, ...(reference && { providerRefundId: reference }) }
+    });
+
+    if (count === 0) {
+      throw createHttpError(400, 'Refund is not pending', { status: pending.status });
+    }
+
+    if (status === 'SUCCEEDED') {
+      await queueNotification('REFUND_ISSUED', {
+        tx,
+        userId: pending.preorder.userId,
+        key: `refund-${pending.id}`,
+        data: { amount: Number(pending.amount), productName: pending.preorder.product.name }
+      });
+    }
+
+    return tx.refund.findUnique({ where: { id: pending.id } });
+  });
+};
+
+module.exports = {
+  refundOrder,
+  refundPreorderDeposit,
+  completeDepositRefund
+};
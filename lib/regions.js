@@ -0,0 +1,34 @@
+const { regions, COUNTRY_ALIASES, CA_POSTAL_PREFIXES } = require('../config/taxRates');
+
+const normalize = (value) => String(value || '').trim().toUpperCase();
+
+// Turn the free-text country/state of an Address into codes: { country,
+// region }. Canada and the US are matched by name or abbreviation (and a
+// Canadian postal code stands in for a missing province); other countries
+// are returned as typed, upper-cased. `region` is null when it can't be told.
+const resolveRegion = (address) => {
+  if (!address || !address.country) {
+    return null;
+  }
+
+  const typed = normalize(address.country);
+  const country = Object.keys(COUNTRY_ALIASES).find(code => COUNTRY_ALIASES[code].includes(typed)) || typed;
+  const state = normalize(address.state);
+  const table = regions[country];
+
+  if (!table) {
+    return { country, region: state || null };
+  }
+
+  let region = Object.keys(table).find(code => code === state || normalize(table[code].name) === state);
+
+  if (!region && country === 'CA') {
+    region = CA_POSTAL_PREFIXES[normalize(address.postalCode).charAt(0)];
+  }
+
+  return { country, region: region || null };
+};
+
+module.exports = {
+  resolveRegion
+};
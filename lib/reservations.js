@@ -0,0 +1,267 @@
+const prisma = require('./prisma');
+const { createHttpError } = require('./errors');
+const { adjustInventory } = require('./inventory');
+const { refreshStockStatus } = require('./stockStatus');
+const { releasePromotionRedemption } = require('./promotions');
+
+// Stock is held for an unpaid order from checkout until payment succeeds
+// (commit), fails or the order is cancelled (release), or the hold expires.
+// While held it counts in Inventory.reservedQuantity; committing moves it out
+// of Inventory.quantity.
+const RESERVATION_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES) || 15;
+
+const inTransaction = (tx, fn) => (tx ? fn(tx) : prisma.$transaction(fn));
+
+// Move `quantity` from available to reserved. The conditional update is what
+// prevents overselling: concurrent checkouts serialize on the inventory row and
+// the one that would take it below zero matches nothing.
+const holdStock = async (tx, productVariantId, quantity) => {
+  const updated = await tx.$executeRaw`
+    UPDATE "inventory"
+    SET "reserved_quantity" = "reserved_quantity" + ${quantity}, "updated_at" = NOW()
+    WHERE "product_variant_id" = ${productVariantId}
+      AND "quantity" - "reserved_quantity" >= ${quantity}`;
+  return updated === 1;
+};
+
+// Reserve stock for the regular (non-preorder) items of a new order. Run it
+// inside the order-creation transaction so running out of stock rolls the
+// order back. Returns when the hold expires.
+const reserveOrderStock = async (tx, orderId, items, { ttlMinutes = RESERVATION_TTL_MINUTES } = {}) => {
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  // Lock inventory rows in a consistent order so checkouts can't deadlock
+  const lines = items
+    .filter(item => !item.isPreorder && item.productVariantId)
+    .sort((a, b) => a.productVariantId - b.productVariantId);
+
+  for (const item of lines) {
+    if (!(await holdStock(tx, item.productVariantId, item.quantity))) {
+      throw createHttpError(400, `Insufficient stock for ${item.product?.name || `variant ${item.productVariantId}`}`, {
+        productVariantId: item.productVariantId
+      });
+    }
+  }
+
+  if (lines.length > 0) {
+    await refreshStockStatus(tx, lines.map(item => item.productVariantId));
+    await tx.inventoryReservation.createMany({
+      data: lines.map(item => ({
+        orderId,
+        productVariantId: item.productVariantId,
+        quantity: item.quantity,
+        expiresAt
+      }))
+    });
+  }
+
+  return expiresAt;
+};
+
+// Hold stock again, before charging an unpaid order, for holds that were
+// released (they expired or a payment failed), and push the expiry of the
+// others out to at least a fresh TTL. Throws a 400 HttpError, holding
+// nothing, when the stock has gone in the meantime.
+const renewOrderReservations = async (orderId, { ttlMinutes = RESERVATION_TTL_MINUTES } = {}) => {
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  return prisma.$transaction(async (tx) => {
+    await tx.inventoryReservation.updateMany({
+      where: { orderId, status: 'ACTIVE', expiresAt: { lt: expiresAt } },
+      data: { expiresAt }
+    });
+
+    const released = await tx.inventoryReservation.findMany({
+      where: { orderId, status: 'RELEASED' },
+      orderBy: { productVariantId: 'asc' }
+    });
+
+    const renewed = [];
+    for (const reservation of released) {
+      const claimed = await tx.inventoryReservation.updateMany({
+        where: { id: reservation.id, status: 'RELEASED' },
+        data: { status: 'ACTIVE', releasedReason: null, expiresAt }
+      });
+
+      if (claimed.count === 0) {
+        continue;
+      }
+
+      if (!(await holdStock(tx, reservation.productVariantId, reservation.quantity))) {
+        throw createHttpError(400, 'Some items in this order are no longer in stock', {
+          productVariantId: reservation.productVariantId
+        });
+      }
+      renewed.push(reservation.productVariantId);
+    }
+
+    if (renewed.length > 0) {
+      await refreshStockStatus(tx, renewed);
+    }
+
+    return renewed.length;
+  });
+};
+
+// Turn an order's held stock into a sale once its payment succeeded. Safe to
+// call repeatedly (webhook retries and /process both call it): each
+// reservation is claimed with a conditional update before stock moves.
+// Returns { committed, shortfall }: shortfall lists the variants whose hold
+// had been released and whose stock has since been sold, so the order can't
+// be filled.
+const commitOrderReservations = async (orderId) => {
+  return prisma.$transaction(async (tx) => {
+    const order = await tx.order.findUnique({
+      where: { id: orderId },
+      select: { status: true }
+    });
+
+    if (!order || order.status === 'CANCELLED') {
+      return { committed: 0, shortfall: [] };
+    }
+
+    const reservations = await tx.inventoryReservation.findMany({
+      where: { orderId, status: { not: 'COMMITTED' } }
+    });
+
+    let committed = 0;
+    const shortfall = [];
+    for (const reservation of reservations) {
+      const claimed = await tx.inventoryReservation.updateMany({
+        where: { id: reservation.id, status: reservation.status },
+        data: { status: 'COMMITTED' }
+      });
+
+      if (claimed.count === 0) {
+        continue;
+      }
+
+      const sale = await adjustInventory(tx, {
+        productVariantId: reservation.productVariantId,
+        change: -reservation.quantity,
+        reason: 'SALE',
+        orderId,
+        // An active hold already set the stock aside; a released one has to
+        // take it off the shelf again, if it is still there
+        ...(reservation.status === 'ACTIVE'
+          ? { reservedChange: -reservation.quantity }
+          : { ifAvailable: true })
+      });
+
+      if (!sale) {
+        // The hold was released (expired or failed payment) and the stock has
+        // since been sold; leave it released so nothing is put back on cancel
+        await tx.inventoryReservation.update({
+          where: { id: reservation.id },
+          data: { status: 'RELEASED' }
+        });
+        shortfall.push(reservation.productVariantId);
+        continue;
+      }
+      committed++;
+    }
+
+    return { committed, shortfall };
+  });
+};
+
+// Give an order's stock back. Active holds are dropped; with `restoreCommitted`
+// (cancelling a paid order) stock that was already sold is put back as well.
+// An unpaid order losing its holds (EXPIRED, PAYMENT_FAILED) also gives back
+// its promotion code, so abandoned checkouts don't use codes up; paying later
+// takes the use again. Pass `tx` to run inside a caller's transaction.
+const releaseOrderReservations = async (orderId, reason, { tx, restoreCommitted = false, actorId = null } = {}) => {
+  return inTransaction(tx, async (db) => {
+    const reservations = await db.inventoryReservation.findMany({
+      where: {
+        orderId,
+        status: { in: restoreCommitted ? ['ACTIVE', 'COMMITTED'] : ['ACTIVE'] }
+      }
+    });
+
+    let released = 0;
+    for (const reservation of reservations) {
+      const claimed = await db.inventoryReservation.updateMany({
+        where: { id: reservation.id, status: reservation.status },
+        data: { status: 'RELEASED', releasedReason: reason }
+      });
+
+      if (claimed.count === 0) {
+        continue;
+      }
+
+      if (reservation.status === 'ACTIVE') {
+        await db.inventory.update({
+          where: { productVariantId: reservation.productVariantId },
+          data: { reservedQuantity: { decrement: reservation.quantity } }
+        });
+        await refreshStockStatus(db, [reservation.productVariantId]);
+      } else {
+        await adjustInventory(db, {
+          productVariantId: reservation.productVariantId,
+          change: reservation.quantity,
+          reason: 'CANCELLATION',
+          actorId,
+          orderId
+        });
+      }
+      released++;
+    }
+
+    if (['EXPIRED', 'PAYMENT_FAILED'].includes(reason)) {
+      await releasePromotionRedemption(db, orderId);
+    }
+
+    return released;
+  });
+};
+
+// Put a cancelled order's stock back. Orders placed before reservations
+// existed have none: their stock was taken at checkout, so it goes back line
+// by line. Run it inside the cancelling transaction.
+const restockCancelledOrder = async (tx, orderId, { actorId = null } = {}) => {
+  const reservations = await tx.inventoryReservation.count({ where: { orderId } });
+  if (reservations > 0) {
+    return releaseOrderReservations(orderId, 'CANCELLED', { tx, restoreCommitted: true, actorId });
+  }
+
+  const items = await tx.orderItem.findMany({
+    where: { orderId, isPreorder: false, productVariantId: { not: null } }
+  });
+
+  for (const item of items) {
+    await adjustInventory(tx, {
+      productVariantId: item.productVariantId,
+      change: item.quantity,
+      reason: 'CANCELLATION',
+      actorId,
+      orderId
+    });
+  }
+
+  return items.length;
+};
+
+// Release every hold whose TTL has passed. Returns the number of orders affected.
+const releaseExpiredReservations = async (now = new Date()) => {
+  const expired = await prisma.inventoryReservation.findMany({
+    where: { status: 'ACTIVE', expiresAt: { lte: now } },
+    select: { orderId: true },
+    distinct: ['orderId']
+  });
+
+  for (const { orderId } of expired) {
+    await releaseOrderReservations(orderId, 'EXPIRED');
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  reserveOrderStock,
+  renewOrderReservations,
+  commitOrderReservations,
+  releaseOrderReservations,
+  restockCancelledOrder,
+  releaseExpiredReservations
+};
@@ -0,0 +1,108 @@
+const { releaseExpiredReservations } = require('./reservations');
+const { cancelLapsedOrders } = require('./orderStatus');
+const { expireStalePreorders, notifyPreorderDateSlips } = require('./preorderJobs');
+const { deliverPendingNotifications } = require('./notifications');
+const { purgeStaleGuestCarts } = require('./cart');
+const { indexImageFeatures } = require('./visualSearch');
+const { retryArmedAlerts } = require('./productAlerts');
+
+// Background jobs, run in-process by the server (startScheduler) or once from
+// the command line (scripts/run-jobs.js). Each job returns how many records it
+// handled; jobs must be safe to run concurrently from more than one process.
+const PREORDER_JOBS_INTERVAL_SECONDS = (parseInt(process.env.PREORDER_JOBS_INTERVAL_MINUTES) || 15) * 60;
+
+const jobs = {
+  'release-expired-reservations': {
+    description: 'Release stock held by checkouts that were never paid',
+    intervalSeconds: parseInt(process.env.RESERVATION_SWEEP_INTERVAL_SECONDS) || 60,
+    run: releaseExpiredReservations
+  },
+  'cancel-lapsed-orders': {
+    description: 'Cancel unpaid orders whose stock holds have lapsed',
+    intervalSeconds: parseInt(process.env.RESERVATION_SWEEP_INTERVAL_SECONDS) || 60,
+    run: cancelLapsedOrders
+  },
+  'expire-preorders': {
+    description: 'Expire unconfirmed PENDING preorders and refund their deposits',
+    intervalSeconds: PREORDER_JOBS_INTERVAL_SECONDS,
+    run: expireStalePreorders
+  },
+  'preorder-date-slips': {
+    description: 'Email customers whose preorder expected date was pushed later',
+    intervalSeconds: PREORDER_JOBS_INTERVAL_SECONDS,
+    run: notifyPreorderDateSlips
+  },
+  'deliver-notifications': {
+    description: 'Send queued customer emails and retry failed ones',
+    intervalSeconds: parseInt(process.env.NOTIFICATION_INTERVAL_SECONDS) || 30,
+    run: deliverPendingNotifications
+  },
+  'purge-guest-carts': {
+    description: 'Delete guest carts abandoned for GUEST_CART_TTL_DAYS',
+    intervalSeconds: 24 * 60 * 60,
+    run: purgeStaleGuestCarts
+  },
+  'retry-product-alerts': {
+    description: 'Send back-in-stock and price-drop alerts held back by the daily email cap',
+    intervalSeconds: 60 * 60,
+    run: retryArmedAlerts
+  },
+  'index-image-features': {
+    description: 'Compute visual search features for product images that have none',
+    intervalSeconds: 60 * 60,
+    run: indexImageFeatures
+  }
+};
+
+const running = new Set();
+
+// Run a job once. Returns null without running it if it is still busy from
+// the previous tick.
+const runJob = async (name) => {
+  const job = jobs[name];
+  if (!job) {
+    throw new Error(`Unknown job "${name}"`);
+  }
+
+  if (running.has(name)) {
+    return null;
+  }
+
+  running.add(name);
+  try {
+    return await job.run();
+  } finally {
+    running.delete(name);
+  }
+};
+
+// Start every job on its interval. Timers are unref'd so they never keep the
+// process alive on their own. Set SCHEDULER_ENABLED=false to leave the jobs
+// to an external cron running scripts/run-jobs.js instead.
+const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    return [];
+  }
+
+  return Object.entries(jobs).map(([name, job]) => {
+    const timer = setInterval(async () => {
+      try {
+        const count = await runJob(name);
+        if (count > 0) {
+          console.log(`[jobs] ${name}: ${count} handled`);
+        }
+      } catch (error) {
+        console.error(`[jobs] ${name} failed:`, error);
+      }
+    }, job.intervalSeconds * 1000);
+
+    timer.unref();
+    return timer;
+  });
+};
+
+module.exports = {
+  jobs,
+  runJob,
+  startScheduler
+};
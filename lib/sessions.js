@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('./prisma');
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_DAYS = 7;
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const refreshExpiryDate = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Sign an access/refresh token pair bound to a server-side session.
+// Every refresh token carries a fresh jti so no two tokens hash the same.
+const signTokens = (userId, sessionId) => {
+  const accessToken = jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+  const refreshToken = jwt.sign(
+    { userId, sessionId, jti: crypto.randomUUID() },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d` }
+  );
+  return { accessToken, refreshToken };
+};
+
+// Start a new session (one per login/registration) and issue its first token pair
+const createSession = async (userId, req) => {
+  const sessionId = crypto.randomUUID();
+  const tokens = signTokens(userId, sessionId);
+
+  await prisma.session.create({
+    data: {
+      id: sessionId,
+      userId,
+      refreshTokenHash: hashToken(tokens.refreshToken),
+      userAgent: req?.get('User-Agent') || null,
+      ipAddress: req?.ip || null,
+      expiresAt: refreshExpiryDate()
+    }
+  });
+
+  return tokens;
+};
+
+const revokeSession = async (sessionId, reason = 'LOGOUT') => {
+  const result = await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.count;
+};
+
+const revokeAllSessions = async (userId, reason = 'LOGOUT_ALL') => {
+  const result = await prisma.session.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.count;
+};
+
+// Exchange a refresh token for a new pair. Each refresh token is single-use:
+// presenting one that has already been rotated out is treated as theft and
+// revokes the whole session. Returns null when the token must be rejected.
+const rotateSession = async (refreshToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (!decoded.sessionId) {
+    return null;
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: decoded.sessionId },
+    include: {
+      user: {
+        select: { id: true, isActive: true }
+      }
+    }
+  });
+
+  if (!session || session.revokedAt || session.expiresAt < new Date() || !session.user.isActive) {
+    return null;
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  if (session.refreshTokenHash !== presentedHash) {
+    await revokeSession(session.id, 'REFRESH_TOKEN_REUSE');
+    console.warn(`Refresh token reuse detected for session ${session.id} (user ${session.userId})`);
+    return null;
+  }
+
+  const tokens = signTokens(session.userId, session.id);
+
+  // Conditional update so two concurrent refreshes with the same token
+  // cannot both succeed; the loser is handled as reuse.
+  const result = await prisma.session.updateMany({
+    where: {
+      id: session.id,
+      refreshTokenHash: presentedHash,
+      revokedAt: null
+    },
+    data: {
+      refreshTokenHash: hashToken(tokens.refreshToken),
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiryDate()
+    }
+  });
+
+  if (result.count === 0) {
+    await revokeSession(session.id, 'REFRESH_TOKEN_REUSE');
+    return null;
+  }
+
+  return tokens;
+};
+
+const isSessionActive = async (sessionId) => {
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { revokedAt: true, expiresAt: true }
+  });
+
+  return !!session && !session.revokedAt && session.expiresAt > new Date();
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+};
@@ -0,0 +1,177 @@
+const { createHttpError } = require('./errors');
+const { resolveRegion } = require('./regions');
+const { baseCurrency, convertAmount } = require('./currency');
+
+// Shipping is quoted from admin-managed zones. A zone covers a list of
+// country codes, optionally narrowed to province/state codes; an address
+// gets the methods of the most specific active zone that covers it. Each
+// method charges one of:
+//   FLAT      - `rate`
+//   WEIGHT    - `rate` plus `perKgRate` per kilogram (Product.weightGrams)
+//   FREE_OVER - `rate`, or nothing once the discounted subtotal reaches
+//               `freeOverAmount`
+// When no zones are set up at all, every order ships at SHIPPING_FLAT_RATE
+// with no delivery estimate. Rates and thresholds are in the base currency
+// and converted to the currency the cart is priced in.
+const SHIPPING_FLAT_RATE = parseFloat(process.env.SHIPPING_FLAT_RATE) || 0;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addBusinessDays = (date, days) => {
+  const result = new Date(date);
+  let left = days;
+
+  while (left > 0) {
+    result.setTime(result.getTime() + DAY_MS);
+    if (result.getUTCDay() !== 0 && result.getUTCDay() !== 6) {
+      left--;
+    }
+  }
+
+  return result;
+};
+
+// Delivery window for a method. Preorder lines can't ship before their
+// product's expected stock date, so the clock starts at the latest of those.
+const estimateDelivery = (method, items, now = new Date()) => {
+  const shipsFrom = items
+    .filter(item => item.isPreorder && item.product.expectedStockDate)
+    .reduce((latest, item) => (item.product.expectedStockDate > latest ? item.product.expectedStockDate : latest), now);
+  const dispatched = addBusinessDays(shipsFrom, method.handlingDays);
+
+  return {
+    earliest: addBusinessDays(dispatched, method.minTransitDays),
+    latest: addBusinessDays(dispatched, method.maxTransitDays)
+  };
+};
+
+const cartWeightKg = (items) => items.reduce((sum, item) => sum + (item.product.weightGrams || 0) * item.quantity, 0) / 1000;
+
+const methodCost = (method, items, merchandiseTotal, currency) => {
+  if (method.rateType === 'FREE_OVER' && method.freeOverAmount !== null && merchandiseTotal >= convertAmount(method.freeOverAmount, currency)) {
+    return 0;
+  }
+
+  if (method.rateType === 'WEIGHT') {
+    return convertAmount(Number(method.rate) + Number(method.perKgRate || 0) * cartWeightKg(items), currency);
+  }
+
+  return convertAmount(method.rate, currency);
+};
+
+// Most specific first: zones naming the region beat zones covering the
+// whole country
+const findZone = (zones, location) => {
+  const covering = zones.filter(zone => zone.countries.includes(location.country) &&
+    (zone.regions.length === 0 || zone.regions.includes(location.region)));
+
+  return covering.find(zone => zone.regions.length > 0) || covering[0] || null;
+};
+
+// Every way the cart (lines with quantity, isPreorder and product) can ship
+// to the address, cheapest first: [{ id, name, speed, amount, estimate }].
+// `merchandiseTotal` is the subtotal after discounts, and amounts are in
+// `currency` (default the base currency). Returns null when
+// zones are configured but the address is missing, and [] when nothing
+// ships there.
+const getShippingOptions = async (db, items, address, { merchandiseTotal, currency = baseCurrency(), now = new Date() }) => {
+  const zones = await db.shippingZone.findMany({
+    where: { isActive: true },
+    include: {
+      methods: {
+        where: { isActive: true },
+        orderBy: { id: 'asc' }
+      }
+    },
+    orderBy: { id: 'asc' }
+  });
+
+  if (zones.length === 0) {
+    return [{ id: null, name: 'Standard', speed: 'STANDARD', amount: convertAmount(SHIPPING_FLAT_RATE, currency), estimate: null }];
+  }
+
+  const location = resolveRegion(address);
+  if (!location) {
+    return null;
+  }
+
+  const zone = findZone(zones, location);
+  if (!zone) {
+    return [];
+  }
+
+  return zone.methods
+    .map(method => ({
+      id: method.id,
+      name: method.name,
+      speed: method.speed,
+      amount: methodCost(method, items, merchandiseTotal, currency),
+      estimate: estimateDelivery(method, items, now)
+    }))
+    .sort((a, b) => a.amount - b.amount);
+};
+
+// Pick the shipping for a cart: the requested method, or the cheapest.
+// Returns { method, amount } where method is null until an address is
+// known. With `strict` (checkout) an address we can't ship to, or a method
+// that isn't offered there, is a 400; otherwise it comes back as `issue`.
+const quoteShipping = async (db, items, address, { merchandiseTotal, currency, freeShipping = false, shippingMethodId = null, strict = false }) => {
+  if (items.length === 0) {
+    return { method: null, amount: 0 };
+  }
+
+  const options = await getShippingOptions(db, items, address, { merchandiseTotal, currency });
+
+  if (options === null) {
+    if (strict) {
+      throw createHttpError(400, 'A shipping address is required');
+    }
+    return { method: null, amount: 0 };
+  }
+
+  if (options.length === 0) {
+    if (strict) {
+      throw createHttpError(400, 'We do not ship to this address yet');
+    }
+    return { method: null, amount: 0, issue: 'We do not ship to this address yet' };
+  }
+
+  let method = options[0];
+
+  if (shippingMethodId) {
+    const requested = options.find(option => option.id === shippingMethodId);
+
+    if (!requested && strict) {
+      throw createHttpError(400, 'This shipping method is not available for this address', {
+        availableMethods: options.map(option => option.id)
+      });
+    }
+
+    method = requested || method;
+  }
+
+  return { method, amount: freeShipping ? 0 : method.amount };
+};
+
+// Check a method's rules before it is saved, after merging an update into
+// the stored method. Throws a 400 HttpError.
+const assertValidShippingMethod = (method) => {
+  if (method.rateType === 'WEIGHT' && (method.perKgRate === null || method.perKgRate === undefined)) {
+    throw createHttpError(400, 'A weight-based method needs perKgRate');
+  }
+
+  if (method.rateType === 'FREE_OVER' && (method.freeOverAmount === null || method.freeOverAmount === undefined)) {
+    throw createHttpError(400, 'A free-over-threshold method needs freeOverAmount');
+  }
+
+  if (method.minTransitDays > method.maxTransitDays) {
+    throw createHttpError(400, 'minTransitDays cannot be more than maxTransitDays');
+  }
+};
+
+module.exports = {
+  assertValidShippingMethod,
+  estimateDelivery,
+  getShippingOptions,
+  quoteShipping
+};
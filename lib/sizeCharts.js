@@ -0,0 +1,106 @@
+const { createHttpError } = require('./errors');
+const { loadCategoryTree } = require('./categories');
+
+// A size chart gives body or garment measurements for each size, attached to
+// a category (covering its subcategories) or to a single product. Each entry
+// stores its measurements in centimetres ({ chest: 96, waist: 80 });
+// inches are worked out when the chart is returned.
+const CM_PER_INCH = 2.54;
+
+const SIZE_CHART_INCLUDE = {
+  entries: {
+    include: { size: true }
+  }
+};
+
+const toInches = (measurements) => Object.fromEntries(
+  Object.entries(measurements).map(([name, cm]) => [name, Math.round(cm / CM_PER_INCH * 10) / 10])
+);
+
+const toCentimetres = (measurements) => Object.fromEntries(
+  Object.entries(measurements).map(([name, inches]) => [name, Math.round(inches * CM_PER_INCH * 10) / 10])
+);
+
+// A chart for responses: entries in size order, each with its measurements
+// in both units
+const formatSizeChart = (chart) => ({
+  id: chart.id,
+  name: chart.name,
+  categoryId: chart.categoryId,
+  productId: chart.productId,
+  entries: [...chart.entries]
+    .sort((a, b) => a.size.sortOrder - b.size.sortOrder)
+    .map(entry => ({
+      size: { id: entry.size.id, name: entry.size.name },
+      measurements: {
+        cm: entry.measurements,
+        in: toInches(entry.measurements)
+      }
+    }))
+});
+
+// Check entries from an admin request ([{ sizeId, measurements }], with
+// measurements in `unit`) and return them with measurements in centimetres.
+// Throws a 400 HttpError.
+const normalizeEntries = (entries, unit = 'cm') => {
+  const sizeIds = entries.map(entry => entry.sizeId);
+  if (new Set(sizeIds).size !== sizeIds.length) {
+    throw createHttpError(400, 'Each size can only appear once in a size chart');
+  }
+
+  return entries.map(({ sizeId, measurements }) => {
+    const values = Object.entries(measurements || {});
+
+    if (values.length === 0 || values.some(([, value]) => typeof value !== 'number' || !(value > 0))) {
+      throw createHttpError(400, 'Measurements must be positive numbers, e.g. { "chest": 96 }', { sizeId });
+    }
+
+    return {
+      sizeId,
+      measurements: unit === 'in' ? toCentimetres(measurements) : measurements
+    };
+  });
+};
+
+// The chart that applies to a product: its own, or else the one on its
+// category or the nearest parent category that has one. Null when none does.
+const findSizeChartForProduct = async (db, product) => {
+  const own = await db.sizeChart.findUnique({
+    where: { productId: product.id },
+    include: SIZE_CHART_INCLUDE
+  });
+
+  if (own) {
+    return formatSizeChart(own);
+  }
+
+  if (!product.categoryId) {
+    return null;
+  }
+
+  const { nodes } = await loadCategoryTree(db);
+  const node = nodes.get(product.categoryId);
+  if (!node) {
+    return null;
+  }
+
+  // Nearest first
+  const categoryIds = node.breadcrumbs.map(crumb => crumb.id).reverse();
+  const charts = await db.sizeChart.findMany({
+    where: { categoryId: { in: categoryIds } },
+    include: SIZE_CHART_INCLUDE
+  });
+
+  const nearest = categoryIds
+    .map(id => charts.find(chart => chart.categoryId === id))
+    .find(Boolean);
+
+  return nearest ? formatSizeChart(nearest) : null;
+};
+
+module.exports = {
+  SIZE_CHART_INCLUDE,
+  formatSizeChart,
+  normalizeEntries,
+  findSizeChartForProduct
+};
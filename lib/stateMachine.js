@@ -0,0 +1,52 @@
+const { createHttpError } = require('./errors');
+
+// Small finite state machine over a status enum. `transitions` maps every
+// status to the statuses it may move to; terminal statuses map to [].
+const createStateMachine = (transitions) => {
+  const allowedTransitions = (from) => transitions[from] || [];
+
+  const canTransition = (from, to) => allowedTransitions(from).includes(to);
+
+  const assertTransition = (from, to) => {
+    if (!canTransition(from, to)) {
+      throw createHttpError(400, 'Invalid status transition', {
+        currentStatus: from,
+        requestedStatus: to,
+        validTransitions: allowedTransitions(from)
+      });
+    }
+  };
+
+  return {
+    statuses: Object.keys(transitions),
+    allowedTransitions,
+    canTransition,
+    assertTransition,
+    isTerminal: (status) => allowedTransitions(status).length === 0
+  };
+};
+
+const orderStateMachine = createStateMachine({
+  PENDING: ['CONFIRMED', 'CANCELLED'],
+  CONFIRMED: ['PROCESSING', 'CANCELLED'],
+  PROCESSING: ['SHIPPED', 'CANCELLED'],
+  SHIPPED: ['DELIVERED'],
+  DELIVERED: [],
+  CANCELLED: []
+});
+
+const preorderStateMachine = createStateMachine({
+  PENDING: ['CONFIRMED', 'CANCELLED', 'EXPIRED'],
+  CONFIRMED: ['READY', 'CANCELLED'],
+  READY: ['SHIPPED', 'CANCELLED'],
+  SHIPPED: ['DELIVERED'],
+  DELIVERED: [],
+  CANCELLED: [],
+  EXPIRED: []
+});
+
+module.exports = {
+  createStateMachine,
+  orderStateMachine,
+  preorderStateMachine
+};
@@ -0,0 +1,123 @@
+const prisma = require('./prisma');
+const { queueBackInStockAlerts } = require('./productAlerts');
+
+// Stock status engine. Variant statuses are derived from inventory and rolled
+// up into their product whenever stock changes. DISCONTINUED and
+// PREORDER_ONLY are admin overrides: a variant or product carrying one is
+// never recomputed until an admin sets a derived status on it again.
+const OVERRIDE_STATUSES = ['DISCONTINUED', 'PREORDER_ONLY'];
+
+const DEFAULT_LOW_STOCK_THRESHOLD = 10;
+
+// Stock a variant can still be sold from: what is on hand minus what
+// unpaid checkouts are holding (see lib/reservations.js)
+const availableQuantity = (inventory) => {
+  return Math.max((inventory?.quantity || 0) - (inventory?.reservedQuantity || 0), 0);
+};
+
+const isOverride = (status) => OVERRIDE_STATUSES.includes(status);
+
+const deriveVariantStockStatus = (inventory) => {
+  const available = availableQuantity(inventory);
+  if (available <= 0) return 'OUT_OF_STOCK';
+  if (available <= (inventory?.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD)) return 'LOW_STOCK';
+  return 'IN_STOCK';
+};
+
+// A product is as available as its best active variant. Discontinued and
+// preorder-only variants can't be bought from stock, so they count as out.
+// Returns null for products without active variants (nothing to derive from).
+const deriveProductStockStatus = (variantStatuses) => {
+  if (variantStatuses.length === 0) return null;
+  if (variantStatuses.includes('IN_STOCK')) return 'IN_STOCK';
+  if (variantStatuses.includes('LOW_STOCK')) return 'LOW_STOCK';
+  return 'OUT_OF_STOCK';
+};
+
+const refreshProductStockStatus = async (tx, productId) => {
+  const product = await tx.product.findUnique({
+    where: { id: productId },
+    select: {
+      stockStatus: true,
+      variants: {
+        where: { isActive: true },
+        select: { stockStatus: true }
+      }
+    }
+  });
+
+  if (!product || isOverride(product.stockStatus)) {
+    return product?.stockStatus || null;
+  }
+
+  const stockStatus = deriveProductStockStatus(product.variants.map(variant => variant.stockStatus));
+  if (stockStatus && stockStatus !== product.stockStatus) {
+    await tx.product.update({
+      where: { id: productId },
+      data: { stockStatus }
+    });
+  }
+
+  return stockStatus || product.stockStatus;
+};
+
+// Recompute the given variants and roll them up into their products. Call it
+// inside the transaction that changed their inventory. Variants coming back
+// from OUT_OF_STOCK trigger their back-in-stock alerts.
+const refreshStockStatus = async (tx, productVariantIds) => {
+  const variants = await tx.productVariant.findMany({
+    where: { id: { in: [...new Set(productVariantIds)] } },
+    select: { id: true, productId: true, stockStatus: true, inventory: true }
+  });
+
+  const restockedIds = [];
+
+  for (const variant of variants) {
+    if (isOverride(variant.stockStatus)) {
+      continue;
+    }
+
+    const stockStatus = deriveVariantStockStatus(variant.inventory);
+    if (stockStatus !== variant.stockStatus) {
+      await tx.productVariant.update({
+        where: { id: variant.id },
+        data: { stockStatus }
+      });
+
+      if (variant.stockStatus === 'OUT_OF_STOCK') {
+        restockedIds.push(variant.id);
+      }
+    }
+  }
+
+  for (const productId of new Set(variants.map(variant => variant.productId))) {
+    await refreshProductStockStatus(tx, productId);
+  }
+
+  if (restockedIds.length > 0) {
+    await queueBackInStockAlerts(tx, restockedIds);
+  }
+};
+
+// Recompute every variant and product, e.g. after statuses were edited by hand
+const refreshAllStockStatuses = async () => {
+  const variants = await prisma.productVariant.findMany({ select: { id: true } });
+  const variantIds = variants.map(variant => variant.id);
+
+  // Batches keep each transaction short
+  for (let i = 0; i < variantIds.length; i += 100) {
+    await prisma.$transaction(tx => refreshStockStatus(tx, variantIds.slice(i, i + 100)));
+  }
+
+  return variantIds.length;
+};
+
+module.exports = {
+  OVERRIDE_STATUSES,
+  availableQuantity,
+  deriveVariantStockStatus,
+  deriveProductStockStatus,
+  refreshStockStatus,
+  refreshProductStockStatus,
+  refreshAllStockStatuses
+};
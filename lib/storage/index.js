@@ -0,0 +1,47 @@
+const createLocalStorage = require('./localStorage');
+
+// File storage interface, used for uploaded product images:
+//
+//   put(key, buffer, { contentType }) -> { key, url }
+//   get(key)                           -> Buffer with the file's contents
+//   delete(key)                        -> removes the file; missing files are ignored
+//   urlFor(key)                        -> public URL of a stored file
+//
+// STORAGE_DRIVER selects the implementation. Only `local` exists so far: files
+// go to UPLOADS_DIR and the server serves them at UPLOADS_PUBLIC_URL. An object
+// storage driver only has to implement the same four methods.
+const UPLOADS_DIR = process.env.UPLOADS_DIR || './uploads';
+const UPLOADS_PUBLIC_URL = process.env.UPLOADS_PUBLIC_URL || '/uploads';
+
+let storage = null;
+
+const storageDriver = () => process.env.STORAGE_DRIVER || 'local';
+
+const createStorage = (driver) => {
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({ rootDir: UPLOADS_DIR, publicUrl: UPLOADS_PUBLIC_URL });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+  }
+};
+
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage(storageDriver());
+  }
+  return storage;
+};
+
+// Replace the active storage (tests use a temporary directory)
+const setStorage = (nextStorage) => {
+  storage = nextStorage;
+};
+
+module.exports = {
+  UPLOADS_DIR,
+  UPLOADS_PUBLIC_URL,
+  storageDriver,
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,44 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Stores files under `rootDir`, served by the app from `publicUrl` (see
+// server.js). Keys are relative paths such as products/12/<id>/original.jpg.
+const createLocalStorage = ({ rootDir, publicUrl }) => {
+  const root = path.resolve(rootDir);
+  const baseUrl = publicUrl.replace(/\/+$/, '');
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Storage key "${key}" is outside the uploads directory`);
+    }
+    return filePath;
+  };
+
+  const urlFor = (key) => `${baseUrl}/${key}`;
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+
+      return { key, url: urlFor(key) };
+    },
+
+    async get(key) {
+      return fs.readFile(resolveKey(key));
+    },
+
+    // Deleting a file that is already gone is not an error
+    async delete(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+
+    urlFor
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,62 @@
+const { createHttpError } = require('./errors');
+
+// Variant SKUs are built from a template with {sku} (the product's SKU),
+// {color} and {size} placeholders. Color and size names are upper-cased with
+// anything but letters and digits dropped ("One Size" -> ONESIZE); a variant
+// without a color or size fills in NONE, as the seed data does.
+const DEFAULT_SKU_TEMPLATE = '{sku}-{color}-{size}';
+
+const skuPart = (name) => (name ? String(name).toUpperCase().replace(/[^A-Z0-9]+/g, '') || 'NONE' : 'NONE');
+
+const renderVariantSku = (template, { product, color, size }) => template
+  .replace(/\{sku\}/g, product.sku)
+  .replace(/\{color\}/g, skuPart(color?.name))
+  .replace(/\{size\}/g, skuPart(size?.name));
+
+// Every color x size combination for a product as { colorId, sizeId, sku }.
+// An empty colors or sizes list leaves that dimension out (null). Combinations
+// the product already has are returned separately in `existing` rather than
+// planned again. Throws a 400 HttpError when the template gives two
+// combinations, or a combination and an existing variant, the same SKU.
+const planVariantMatrix = ({ product, colors, sizes, existingVariants, skuTemplate = DEFAULT_SKU_TEMPLATE }) => {
+  const key = (colorId, sizeId) => `${colorId ?? ''}:${sizeId ?? ''}`;
+  const byCombination = new Map(existingVariants.map(variant => [key(variant.colorId, variant.sizeId), variant]));
+
+  const planned = [];
+  const existing = [];
+
+  for (const color of colors.length > 0 ? colors : [null]) {
+    for (const size of sizes.length > 0 ? sizes : [null]) {
+      const current = byCombination.get(key(color?.id ?? null, size?.id ?? null));
+
+      if (current) {
+        existing.push(current);
+      } else {
+        planned.push({
+          colorId: color?.id ?? null,
+          sizeId: size?.id ?? null,
+          sku: renderVariantSku(skuTemplate, { product, color, size })
+        });
+      }
+    }
+  }
+
+  const taken = new Set(existingVariants.map(variant => variant.sku).filter(Boolean));
+  const duplicates = planned.map(variant => variant.sku).filter((sku, index, skus) =>
+    taken.has(sku) || skus.indexOf(sku) !== index
+  );
+
+  if (duplicates.length > 0) {
+    throw createHttpError(400, 'The SKU template gives more than one variant the same SKU; include {color} and {size}', {
+      skus: [...new Set(duplicates)]
+    });
+  }
+
+  return { planned, existing };
+};
+
+module.exports = {
+  DEFAULT_SKU_TEMPLATE,
+  renderVariantSku,
+  planVariantMatrix
+};
@@ -0,0 +1,203 @@
+const sharp = require('sharp');
+const prisma = require('./prisma');
+const { getStorage } = require('./storage');
+
+// Visual similarity runs locally on two features per ProductImage, computed
+// when the image is uploaded (or by the index-image-features job):
+//   perceptualHash - 64-bit DCT hash of the image's overall shape and
+//                    layout, as 16 hex digits. Similar images differ in few bits.
+//   colorHistogram - share of pixels in each of 4x4x4 RGB bins (64 values
+//                    summing to 1), compared by histogram intersection.
+// A query image is scored against every indexed image of the active catalog
+// (fine at our catalog size) and each product keeps its best-matching image.
+const HASH_SIZE = 8;
+const DCT_SIZE = 32;
+const BINS_PER_CHANNEL = 4;
+const HASH_WEIGHT = 0.6;
+const COLOR_WEIGHT = 0.4;
+
+const IN_STOCK_STATUSES = ['IN_STOCK', 'LOW_STOCK'];
+
+// cos((2x + 1) u pi / 2N) for the low frequencies the hash keeps
+const DCT_COSINES = Array.from({ length: HASH_SIZE }, (_, u) =>
+  Array.from({ length: DCT_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * DCT_SIZE)))
+);
+
+// Upright, with transparency on white, as most product shots are
+const prepare = (buffer) => sharp(buffer).rotate().flatten({ background: '#ffffff' });
+
+const perceptualHash = async (buffer) => {
+  const { data, info } = await prepare(buffer)
+    .resize(DCT_SIZE, DCT_SIZE, { fit: 'fill' })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixel = (x, y) => data[(y * DCT_SIZE + x) * info.channels];
+
+  const coefficients = [];
+  for (let v = 0; v < HASH_SIZE; v++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      let sum = 0;
+      for (let y = 0; y < DCT_SIZE; y++) {
+        for (let x = 0; x < DCT_SIZE; x++) {
+          sum += pixel(x, y) * DCT_COSINES[u][x] * DCT_COSINES[v][y];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // The DC term is the average brightness, so it is left out of the median
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+
+  const bits = coefficients.map(coefficient => (coefficient > median ? '1' : '0')).join('');
+  return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+};
+
+const colorHistogram = async (buffer) => {
+  const { data, info } = await prepare(buffer)
+    .resize(64, 64, { fit: 'inside' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const bins = new Array(BINS_PER_CHANNEL ** 3).fill(0);
+  const binOf = (value) => Math.min(BINS_PER_CHANNEL - 1, Math.floor(value * BINS_PER_CHANNEL / 256));
+
+  for (let i = 0; i < data.length; i += info.channels) {
+    bins[(binOf(data[i]) * BINS_PER_CHANNEL + binOf(data[i + 1])) * BINS_PER_CHANNEL + binOf(data[i + 2])]++;
+  }
+
+  const pixels = data.length / info.channels;
+  return bins.map(count => Math.round(count / pixels * 1e6) / 1e6);
+};
+
+// Both features for an image, in the shape of the ProductImage columns
+const computeImageFeatures = async (buffer) => ({
+  perceptualHash: await perceptualHash(buffer),
+  colorHistogram: await colorHistogram(buffer),
+  featuresIndexedAt: new Date()
+});
+
+const hammingDistance = (a, b) => {
+  let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (difference > 0n) {
+    count += Number(difference & 1n);
+    difference >>= 1n;
+  }
+  return count;
+};
+
+const histogramIntersection = (a, b) => a.reduce((sum, value, index) => sum + Math.min(value, b[index] ?? 0), 0);
+
+// 0 (nothing alike) to 1 (same picture)
+const similarityScore = (query, image) => {
+  const shape = 1 - hammingDistance(query.perceptualHash, image.perceptualHash) / (HASH_SIZE * HASH_SIZE);
+  const color = histogramIntersection(query.colorHistogram, image.colorHistogram);
+  return Math.round((HASH_WEIGHT * shape + COLOR_WEIGHT * color) * 1000) / 1000;
+};
+
+// Active products ranked by how closely their best image matches `features`,
+// as [{ product, image, score }]. categoryIds limits the search to those
+// categories; inStock to products (and variant images to variants) that can
+// be bought now.
+const findSimilarProducts = async (db, features, { categoryIds = null, inStock = false, limit = 8 } = {}) => {
+  const stockFilter = inStock ? { stockStatus: { in: IN_STOCK_STATUSES } } : {};
+
+  const images = await db.productImage.findMany({
+    where: {
+      perceptualHash: { not: null },
+      product: {
+        isActive: true,
+        ...(categoryIds && { categoryId: { in: categoryIds } }),
+        ...stockFilter
+      },
+      OR: [
+        { productVariantId: null },
+        { productVariant: { isActive: true, ...stockFilter } }
+      ]
+    },
+    select: {
+      id: true,
+      productVariantId: true,
+      url: true,
+      renditions: true,
+      perceptualHash: true,
+      colorHistogram: true,
+      product: {
+        select: {
+          id: true,
+          name: true,
+          basePrice: true,
+          currencyPrices: true,
+          preorderPrice: true,
+          stockStatus: true,
+          categoryId: true
+        }
+      }
+    }
+  });
+
+  const best = new Map();
+  for (const image of images) {
+    const score = similarityScore(features, image);
+    const current = best.get(image.product.id);
+
+    if (!current || score > current.score) {
+      best.set(image.product.id, { product: image.product, image, score });
+    }
+  }
+
+  return [...best.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// Compute features for images that don't have them yet (uploaded before
+// indexing existed, or whose indexing failed), or for every image with
+// `all`. Originals are read back from storage. Returns the number indexed.
+const indexImageFeatures = async ({ all = false, batchSize = 50 } = {}) => {
+  const storage = getStorage();
+  let indexed = 0;
+  let cursor = 0;
+
+  for (;;) {
+    const images = await prisma.productImage.findMany({
+      where: {
+        id: { gt: cursor },
+        ...(!all && { perceptualHash: null })
+      },
+      select: { id: true, storageKey: true },
+      orderBy: { id: 'asc' },
+      take: batchSize
+    });
+
+    if (images.length === 0) {
+      return indexed;
+    }
+
+    for (const image of images) {
+      try {
+        const features = await computeImageFeatures(await storage.get(image.storageKey));
+        await prisma.productImage.update({ where: { id: image.id }, data: features });
+        indexed++;
+      } catch (error) {
+        console.error(`Error indexing image ${image.id}:`, error.message);
+      }
+    }
+
+    cursor = images[images.length - 1].id;
+  }
+};
+
+module.exports = {
+  IN_STOCK_STATUSES,
+  computeImageFeatures,
+  hammingDistance,
+  similarityScore,
+  findSimilarProducts,
+  indexImageFeatures
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const prisma = require('../lib/prisma');
+const { isSessionActive } = require('../lib/sessions');
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -11,6 +12,13 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are bound to a server-side session so logout and
+    // "log out all devices" take effect before the token expires
+    if (!decoded.sessionId || !(await isSessionActive(decoded.sessionId))) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
       select: {
@@ -19,7 +27,8 @@ const authenticateToken = async (req, res, next) => {
         firstName: true,
         lastName: true,
         role: true,
-        isActive: true
+        isActive: true,
+        emailVerified: true
       }
     });
     
@@ -28,12 +37,23 @@ const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
 };
 
+// For routes guests can use too: without an Authorization header the request
+// continues with no req.user; a header that is present must be valid.
+const optionalAuthenticate = (req, res, next) => {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+
+  return authenticateToken(req, res, next);
+};
+
 const requireAdmin = (req, res, next) => {
   if (req.user.role !== 'ADMIN') {
     return res.status(403).json({ error: 'Admin access required' });
@@ -41,4 +61,4 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
-module.exports = { authenticateToken, requireAdmin };
\ No newline at end of file
+module.exports = { authenticateToken, optionalAuthenticate, requireAdmin };
\ No newline at end of file
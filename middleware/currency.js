@@ -0,0 +1,24 @@
+const prisma = require('../lib/prisma');
+const { CURRENCY_HEADER, resolveCurrency } = require('../lib/currency');
+const { sendHttpError } = require('../lib/errors');
+
+// Sets req.currency ({ code, rate }) from ?currency= or the X-Currency
+// header, defaulting to the store's base currency. An unsupported currency
+// is a 400 listing the ones we accept.
+const resolveRequestCurrency = async (req, res, next) => {
+  try {
+    req.currency = await resolveCurrency(prisma, req.query.currency || req.get(CURRENCY_HEADER));
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+    console.error('Error resolving currency:', error);
+    return res.status(500).json({ error: 'Failed to resolve currency' });
+  }
+
+  next();
+};
+
+module.exports = {
+  resolveRequestCurrency
+};
@@ -0,0 +1,41 @@
+const multer = require('multer');
+const { MAX_IMAGE_BYTES, MAX_IMAGES_PER_UPLOAD, isAllowedMimeType } = require('../lib/images');
+const { createHttpError, sendHttpError } = require('../lib/errors');
+
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: `Images can be at most ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)} MB`,
+  LIMIT_FILE_COUNT: `At most ${MAX_IMAGES_PER_UPLOAD} images can be uploaded at once`,
+  LIMIT_UNEXPECTED_FILE: 'Unexpected file field, or too many files'
+};
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_IMAGES_PER_UPLOAD },
+  fileFilter: (req, file, callback) => {
+    if (!isAllowedMimeType(file.mimetype)) {
+      return callback(createHttpError(400, 'Images must be JPEG, PNG or WebP', { file: file.originalname }));
+    }
+    callback(null, true);
+  }
+});
+
+// Accepts up to `maxCount` images in the multipart field `field` into
+// req.files (kept in memory). Rejected uploads are a 400.
+const uploadImages = (field, maxCount = MAX_IMAGES_PER_UPLOAD) => (req, res, next) => {
+  imageUpload.array(field, maxCount)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: MULTER_MESSAGES[error.code] || error.message, field: error.field });
+    }
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+    next(error);
+  });
+};
+
+module.exports = {
+  uploadImages
+};
@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "InventoryMovementReason" AS ENUM ('SALE', 'RESTOCK', 'RETURN', 'MANUAL_CORRECTION', 'CANCELLATION');
+
+-- CreateTable
+CREATE TABLE "inventory_movements" (
+    "id" SERIAL NOT NULL,
+    "product_variant_id" INTEGER NOT NULL,
+    "change" INTEGER NOT NULL,
+    "balance" INTEGER NOT NULL,
+    "reason" "InventoryMovementReason" NOT NULL,
+    "note" TEXT,
+    "actor_id" INTEGER,
+    "order_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "inventory_movements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "inventory_movements_product_variant_id_created_at_idx" ON "inventory_movements"("product_variant_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "inventory_movements" ADD CONSTRAINT "inventory_movements_actor_id_fkey" FOREIGN KEY ("actor_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_movements" ADD CONSTRAINT "inventory_movements_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_movements" ADD CONSTRAINT "inventory_movements_product_variant_id_fkey" FOREIGN KEY ("product_variant_id") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "carrier" TEXT,
+ADD COLUMN     "delivered_at" TIMESTAMP(3),
+ADD COLUMN     "shipped_at" TIMESTAMP(3),
+ADD COLUMN     "tracking_number" TEXT;
+
+-- CreateTable
+CREATE TABLE "order_status_history" (
+    "id" SERIAL NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "from_status" "OrderStatus",
+    "to_status" "OrderStatus" NOT NULL,
+    "note" TEXT,
+    "changed_by_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "order_status_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "order_status_history_order_id_created_at_idx" ON "order_status_history"("order_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "order_status_history" ADD CONSTRAINT "order_status_history_changed_by_id_fkey" FOREIGN KEY ("changed_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_status_history" ADD CONSTRAINT "order_status_history_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "preorders" ADD COLUMN     "admin_notes" TEXT,
+ADD COLUMN     "cancellation_reason" TEXT,
+ADD COLUMN     "cancelled_at" TIMESTAMP(3),
+ADD COLUMN     "delivered_at" TIMESTAMP(3),
+ADD COLUMN     "metadata" JSONB,
+ADD COLUMN     "shipped_at" TIMESTAMP(3),
+ADD COLUMN     "tracking_number" TEXT,
+ADD COLUMN     "updated_by_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "preorder_status_history" (
+    "id" SERIAL NOT NULL,
+    "preorder_id" INTEGER NOT NULL,
+    "from_status" "PreorderStatus",
+    "to_status" "PreorderStatus" NOT NULL,
+    "note" TEXT,
+    "changed_by_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "preorder_status_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "preorder_status_history_preorder_id_created_at_idx" ON "preorder_status_history"("preorder_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "preorders" ADD CONSTRAINT "preorders_updated_by_id_fkey" FOREIGN KEY ("updated_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "preorder_status_history" ADD CONSTRAINT "preorder_status_history_changed_by_id_fkey" FOREIGN KEY ("changed_by_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "preorder_status_history" ADD CONSTRAINT "preorder_status_history_preorder_id_fkey" FOREIGN KEY ("preorder_id") REFERENCES "preorders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "preorders" ADD COLUMN     "order_id" INTEGER;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "preorders_order_id_key" ON "preorders"("order_id");
+
+-- AddForeignKey
+ALTER TABLE "preorders" ADD CONSTRAINT "preorders_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
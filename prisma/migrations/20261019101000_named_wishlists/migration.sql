@@ -0,0 +1,59 @@
+-- CreateTable
+CREATE TABLE "wishlists" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "is_default" BOOLEAN NOT NULL DEFAULT false,
+    "share_slug" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "wishlists_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "wishlist_items" (
+    "id" SERIAL NOT NULL,
+    "wishlist_id" INTEGER NOT NULL,
+    "product_id" INTEGER NOT NULL,
+    "product_variant_id" INTEGER,
+    "note" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "wishlist_items_pkey" PRIMARY KEY ("id")
+);
+
+-- Move saved products into a default list per user
+INSERT INTO "wishlists" ("user_id", "name", "is_default", "created_at", "updated_at")
+SELECT "user_id", 'My Wishlist', true, MIN("created_at"), CURRENT_TIMESTAMP
+FROM "wishlist"
+GROUP BY "user_id";
+
+INSERT INTO "wishlist_items" ("wishlist_id", "product_id", "created_at")
+SELECT l."id", w."product_id", w."created_at"
+FROM "wishlist" w
+JOIN "wishlists" l ON l."user_id" = w."user_id" AND l."is_default";
+
+-- DropTable
+DROP TABLE "wishlist";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "wishlists_share_slug_key" ON "wishlists"("share_slug");
+
+-- CreateIndex
+CREATE INDEX "wishlists_user_id_idx" ON "wishlists"("user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "wishlist_items_wishlist_id_product_id_product_variant_id_key" ON "wishlist_items"("wishlist_id", "product_id", "product_variant_id");
+
+-- AddForeignKey
+ALTER TABLE "wishlists" ADD CONSTRAINT "wishlists_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "wishlist_items" ADD CONSTRAINT "wishlist_items_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "wishlist_items" ADD CONSTRAINT "wishlist_items_product_variant_id_fkey" FOREIGN KEY ("product_variant_id") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "wishlist_items" ADD CONSTRAINT "wishlist_items_wishlist_id_fkey" FOREIGN KEY ("wishlist_id") REFERENCES "wishlists"("id") ON DELETE CASCADE ON UPDATE CASCADE;
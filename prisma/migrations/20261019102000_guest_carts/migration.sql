@@ -0,0 +1,23 @@
+-- DropForeignKey
+ALTER TABLE "orders" DROP CONSTRAINT "orders_user_id_fkey";
+
+-- AlterTable
+ALTER TABLE "addresses" ALTER COLUMN "user_id" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "cart" ADD COLUMN     "guest_token_hash" TEXT,
+ALTER COLUMN "user_id" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "guest_email" TEXT,
+ADD COLUMN     "guest_token_hash" TEXT,
+ALTER COLUMN "user_id" DROP NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cart_guest_token_hash_key" ON "cart"("guest_token_hash");
+
+-- CreateIndex
+CREATE INDEX "orders_guest_token_hash_idx" ON "orders"("guest_token_hash");
+
+-- AddForeignKey
+ALTER TABLE "orders" ADD CONSTRAINT "orders_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
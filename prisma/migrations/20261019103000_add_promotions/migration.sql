@@ -0,0 +1,75 @@
+-- CreateEnum
+CREATE TYPE "PromotionType" AS ENUM ('PERCENTAGE', 'FIXED_AMOUNT', 'FREE_SHIPPING', 'BUY_X_GET_Y');
+
+-- AlterTable
+ALTER TABLE "cart" ADD COLUMN     "promotion_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN     "discount" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "discount_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "free_shipping" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "promotion_id" INTEGER,
+ADD COLUMN     "subtotal_amount" DECIMAL(10,2);
+
+-- CreateTable
+CREATE TABLE "promotions" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "PromotionType" NOT NULL,
+    "value" DECIMAL(10,2),
+    "buy_quantity" INTEGER,
+    "get_quantity" INTEGER,
+    "product_ids" INTEGER[],
+    "category_ids" INTEGER[],
+    "min_subtotal" DECIMAL(10,2),
+    "max_uses" INTEGER,
+    "max_uses_per_user" INTEGER,
+    "used_count" INTEGER NOT NULL DEFAULT 0,
+    "starts_at" TIMESTAMP(3),
+    "ends_at" TIMESTAMP(3),
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "promotions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "promotion_redemptions" (
+    "id" SERIAL NOT NULL,
+    "promotion_id" INTEGER NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "user_id" INTEGER,
+    "email" TEXT NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "promotion_redemptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promotions_code_key" ON "promotions"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promotion_redemptions_order_id_key" ON "promotion_redemptions"("order_id");
+
+-- CreateIndex
+CREATE INDEX "promotion_redemptions_promotion_id_email_idx" ON "promotion_redemptions"("promotion_id", "email");
+
+-- AddForeignKey
+ALTER TABLE "cart" ADD CONSTRAINT "cart_promotion_id_fkey" FOREIGN KEY ("promotion_id") REFERENCES "promotions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "orders" ADD CONSTRAINT "orders_promotion_id_fkey" FOREIGN KEY ("promotion_id") REFERENCES "promotions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promotion_redemptions" ADD CONSTRAINT "promotion_redemptions_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promotion_redemptions" ADD CONSTRAINT "promotion_redemptions_promotion_id_fkey" FOREIGN KEY ("promotion_id") REFERENCES "promotions"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promotion_redemptions" ADD CONSTRAINT "promotion_redemptions_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN     "tax_amount" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "shipping_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "tax_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "tax_breakdown" JSONB,
+ADD COLUMN     "tax_region" TEXT;
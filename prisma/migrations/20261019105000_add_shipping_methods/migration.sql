@@ -0,0 +1,51 @@
+-- CreateEnum
+CREATE TYPE "ShippingSpeed" AS ENUM ('STANDARD', 'EXPRESS');
+
+-- CreateEnum
+CREATE TYPE "ShippingRateType" AS ENUM ('FLAT', 'WEIGHT', 'FREE_OVER');
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "shipping_method_id" INTEGER,
+ADD COLUMN     "shipping_method_name" TEXT;
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "weight_grams" INTEGER;
+
+-- CreateTable
+CREATE TABLE "shipping_zones" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "countries" TEXT[],
+    "regions" TEXT[],
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "shipping_zones_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "shipping_methods" (
+    "id" SERIAL NOT NULL,
+    "zone_id" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "speed" "ShippingSpeed" NOT NULL DEFAULT 'STANDARD',
+    "rate_type" "ShippingRateType" NOT NULL,
+    "rate" DECIMAL(10,2) NOT NULL,
+    "per_kg_rate" DECIMAL(10,2),
+    "free_over_amount" DECIMAL(10,2),
+    "handling_days" INTEGER NOT NULL DEFAULT 1,
+    "min_transit_days" INTEGER NOT NULL,
+    "max_transit_days" INTEGER NOT NULL,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "shipping_methods_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "orders" ADD CONSTRAINT "orders_shipping_method_id_fkey" FOREIGN KEY ("shipping_method_id") REFERENCES "shipping_methods"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "shipping_methods" ADD CONSTRAINT "shipping_methods_zone_id_fkey" FOREIGN KEY ("zone_id") REFERENCES "shipping_zones"("id") ON DELETE CASCADE ON UPDATE CASCADE;
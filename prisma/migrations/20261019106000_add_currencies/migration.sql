@@ -0,0 +1,27 @@
+-- AlterTable
+-- Orders placed before multi-currency were charged in USD at the catalog price
+ALTER TABLE "orders" ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'USD',
+ADD COLUMN     "exchange_rate" DECIMAL(12,6) NOT NULL DEFAULT 1;
+
+ALTER TABLE "orders" ALTER COLUMN "currency" DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE "product_variants" ADD COLUMN     "currency_prices" JSONB;
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "currency_prices" JSONB;
+
+-- CreateTable
+CREATE TABLE "exchange_rates" (
+    "id" SERIAL NOT NULL,
+    "currency" TEXT NOT NULL,
+    "rate" DECIMAL(12,6) NOT NULL,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "exchange_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "exchange_rates_currency_key" ON "exchange_rates"("currency");
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "categories" ADD COLUMN     "slug" TEXT;
+
+-- Backfill slugs from names; repeated names get the category id appended
+UPDATE "categories" SET "slug" = trim(both '-' from lower(regexp_replace("name", '[^a-zA-Z0-9]+', '-', 'g')));
+
+UPDATE "categories" SET "slug" = 'category' WHERE "slug" = '';
+
+UPDATE "categories" c SET "slug" = c."slug" || '-' || c."id"
+WHERE EXISTS (SELECT 1 FROM "categories" o WHERE o."slug" = c."slug" AND o."id" < c."id");
+
+ALTER TABLE "categories" ALTER COLUMN "slug" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "categories_slug_key" ON "categories"("slug");
+
+-- CreateIndex
+CREATE INDEX "categories_parent_id_idx" ON "categories"("parent_id");
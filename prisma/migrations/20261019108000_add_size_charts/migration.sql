@@ -0,0 +1,44 @@
+-- CreateTable
+CREATE TABLE "size_charts" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "category_id" INTEGER,
+    "product_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "size_charts_pkey" PRIMARY KEY ("id"),
+    -- A chart belongs to exactly one category or product
+    CONSTRAINT "size_charts_owner_check" CHECK (("category_id" IS NULL) <> ("product_id" IS NULL))
+);
+
+-- CreateTable
+CREATE TABLE "size_chart_entries" (
+    "id" SERIAL NOT NULL,
+    "size_chart_id" INTEGER NOT NULL,
+    "size_id" INTEGER NOT NULL,
+    "measurements" JSONB NOT NULL,
+
+    CONSTRAINT "size_chart_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "size_charts_category_id_key" ON "size_charts"("category_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "size_charts_product_id_key" ON "size_charts"("product_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "size_chart_entries_size_chart_id_size_id_key" ON "size_chart_entries"("size_chart_id", "size_id");
+
+-- AddForeignKey
+ALTER TABLE "size_charts" ADD CONSTRAINT "size_charts_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "categories"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "size_charts" ADD CONSTRAINT "size_charts_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "size_chart_entries" ADD CONSTRAINT "size_chart_entries_size_id_fkey" FOREIGN KEY ("size_id") REFERENCES "sizes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "size_chart_entries" ADD CONSTRAINT "size_chart_entries_size_chart_id_fkey" FOREIGN KEY ("size_chart_id") REFERENCES "size_charts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "product_images" (
+    "id" SERIAL NOT NULL,
+    "product_id" INTEGER NOT NULL,
+    "product_variant_id" INTEGER,
+    "storage_key" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "renditions" JSONB NOT NULL,
+    "mime_type" TEXT NOT NULL,
+    "width" INTEGER NOT NULL,
+    "height" INTEGER NOT NULL,
+    "size_bytes" INTEGER NOT NULL,
+    "alt_text" TEXT,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "is_primary" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "product_images_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "product_images_product_id_product_variant_id_sort_order_idx" ON "product_images"("product_id", "product_variant_id", "sort_order");
+
+-- AddForeignKey
+ALTER TABLE "product_images" ADD CONSTRAINT "product_images_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_images" ADD CONSTRAINT "product_images_product_variant_id_fkey" FOREIGN KEY ("product_variant_id") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
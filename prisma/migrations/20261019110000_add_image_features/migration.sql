@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "product_images" ADD COLUMN     "color_histogram" DOUBLE PRECISION[],
+ADD COLUMN     "features_indexed_at" TIMESTAMP(3),
+ADD COLUMN     "perceptual_hash" TEXT;
@@ -0,0 +1,11 @@
+-- Keep the oldest default list where a user somehow ended up with several
+UPDATE "wishlists" w SET "is_default" = false
+WHERE w."is_default"
+  AND EXISTS (
+    SELECT 1 FROM "wishlists" o
+    WHERE o."user_id" = w."user_id" AND o."is_default" AND o."id" < w."id"
+  );
+
+-- CreateIndex
+-- At most one default list per user (Prisma can't express partial indexes)
+CREATE UNIQUE INDEX "wishlists_user_id_default_key" ON "wishlists"("user_id") WHERE "is_default";
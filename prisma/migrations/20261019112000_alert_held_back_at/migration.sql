@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "stock_alerts" ADD COLUMN "held_back_at" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "price_alerts" ADD COLUMN "held_back_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "stock_alerts_held_back_at_idx" ON "stock_alerts"("held_back_at");
+
+-- CreateIndex
+CREATE INDEX "price_alerts_held_back_at_idx" ON "price_alerts"("held_back_at");
@@ -26,22 +26,22 @@ async function main() {
     prisma.category.upsert({
       where: { id: 1 },
       update: {},
-      create: { name: 'Men', description: 'Electronic devices and accessories' }
+      create: { name: 'Men', slug: 'men', description: 'Electronic devices and accessories' }
     }),
     prisma.category.upsert({
       where: { id: 2 },
       update: {},
-      create: { name: 'Women', description: 'Fashion and apparel' }
+      create: { name: 'Women', slug: 'women', description: 'Fashion and apparel' }
     }),
     prisma.category.upsert({
       where: { id: 3 },
       update: {},
-      create: { name: 'Kids', description: 'Books and literature' }
+      create: { name: 'Kids', slug: 'kids', description: 'Books and literature' }
     }),
     prisma.category.upsert({
       where: { id: 4 },
       update: {},
-      create: { name: 'Accessories', description: 'Home improvement and gardening' }
+      create: { name: 'Accessories', slug: 'accessories', description: 'Home improvement and gardening' }
     })
   ]);
 
@@ -27,8 +27,9 @@ router.get('/dashboard', [authenticateToken, requireAdmin], async (req, res) =>
       // Total orders
       prisma.order.count(),
       
-      // Total revenue
-      prisma.order.aggregate({
+      // Total revenue, per currency charged
+      prisma.order.groupBy({
+        by: ['currency'],
         where: { paymentStatus: 'COMPLETED' },
         _sum: { totalAmount: true }
       }),
@@ -70,7 +71,7 @@ router.get('/dashboard', [authenticateToken, requireAdmin], async (req, res) =>
         totalUsers,
         totalProducts,
         totalOrders,
-        totalRevenue: totalRevenue._sum.totalAmount || 0,
+        totalRevenue: Object.fromEntries(totalRevenue.map(group => [group.currency, group._sum.totalAmount || 0])),
         pendingPreorders
       },
       recentOrders,
@@ -97,7 +98,8 @@ router.get('/orders', [authenticateToken, requireAdmin], async (req, res) => {
       ...(search && {
         OR: [
           { orderNumber: { contains: search, mode: 'insensitive' } },
-          { user: { email: { contains: search, mode: 'insensitive' } } }
+          { user: { email: { contains: search, mode: 'insensitive' } } },
+          { guestEmail: { contains: search, mode: 'insensitive' } }
         ]
       })
     };
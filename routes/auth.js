@@ -1,18 +1,67 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
 const { authenticateToken } = require('../middleware/auth');
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../lib/sessions');
+const { issueUserToken, consumeUserToken } = require('../lib/authTokens');
+const { sendMail } = require('../lib/mailer');
+const { escapeHtml } = require('../lib/notificationTemplates');
+const { getGuestToken, mergeGuestCart } = require('../lib/cart');
 
 const router = express.Router();
 
+const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || 'http://localhost:3001';
+
+const saltRounds = 10;
+
+// Move the guest cart named by X-Cart-Token into the user's cart. A failed
+// merge must not fail the login; the guest cart is simply left as it was.
+const mergeCartOnLogin = async (req, userId) => {
+  const token = getGuestToken(req);
+  if (!token) {
+    return undefined;
+  }
+
+  try {
+    return (await mergeGuestCart(token, userId)) || undefined;
+  } catch (error) {
+    console.error('Failed to merge guest cart:', error);
+    return undefined;
+  }
+};
+
+// Email helpers
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(user.id, 'EMAIL_VERIFICATION');
+  const link = `${CLIENT_ORIGIN}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Bam&Bosey email address',
+    text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening the link below:\n${link}\n\nThis link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Please confirm your email address by clicking <a href="${link}">this link</a>.</p><p>This link expires in 24 hours.</p>`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueUserToken(user.id, 'PASSWORD_RESET');
+  const link = `${CLIENT_ORIGIN}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Bam&Bosey password',
+    text: `Hi ${user.firstName},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n${link}\n\nThis link expires in 1 hour. If you did not request a reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>We received a request to reset your password. <a href="${link}">Choose a new password</a>.</p><p>This link expires in 1 hour. If you did not request a reset, you can ignore this email.</p>`
+  });
+};
+
 /**
  * @swagger
  * /api/auth/register:
  *   post:
  *     summary: Register a new user
- *     description: Create a new user account with email and password
+ *     description: Create a new user account with email and password. Send the guest's X-Cart-Token header to move their guest cart into the new account (reported as cartMerge).
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -76,13 +125,6 @@ const router = express.Router();
  *               $ref: '#/components/schemas/Error'
  */
 
-// Generate tokens
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '15m' });
-  const refreshToken = jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET, { expiresIn: '7d' });
-  return { accessToken, refreshToken };
-};
-
 // Register
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
@@ -108,7 +150,6 @@ router.post('/register', [
     }
 
     // Hash password
-    const saltRounds = 10;
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
     // Create user with cart
@@ -128,16 +169,27 @@ router.post('/register', [
         email: true,
         firstName: true,
         lastName: true,
-        role: true
+        role: true,
+        emailVerified: true
       }
     });
 
-    const tokens = generateTokens(user.id);
+    // A failed verification email must not fail the registration; the user
+    // can request another one from /resend-verification
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Failed to send verification email:', mailError);
+    }
+
+    const tokens = await createSession(user.id, req);
+    const cartMerge = await mergeCartOnLogin(req, user.id);
 
     res.status(201).json({
       message: 'User created successfully',
       user,
-      ...tokens
+      ...tokens,
+      cartMerge
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -150,7 +202,7 @@ router.post('/register', [
  * /api/auth/login:
  *   post:
  *     summary: User login
- *     description: Authenticate user with email and password
+ *     description: Authenticate user with email and password. Send the guest's X-Cart-Token header to merge the guest cart into the user's cart; quantities of matching lines are summed and re-checked against stock, and lines that could not be merged in full are listed in cartMerge.adjusted.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -194,12 +246,52 @@ router.post('/register', [
  *               $ref: '#/components/schemas/Error'
  */
 
-// Login endpoint implementation...
+// Login
 router.post('/login', [
   body('email').isEmail().normalizeEmail(),
   body('password').notEmpty()
 ], async (req, res) => {
-  // Implementation here...
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, password } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const passwordMatches = await bcrypt.compare(password, user.passwordHash);
+    if (!passwordMatches) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const tokens = await createSession(user.id, req);
+    const cartMerge = await mergeCartOnLogin(req, user.id);
+
+    res.json({
+      message: 'Login successful',
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        emailVerified: user.emailVerified
+      },
+      ...tokens,
+      cartMerge
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
 });
 
 /**
@@ -207,7 +299,7 @@ router.post('/login', [
  * /api/auth/refresh:
  *   post:
  *     summary: Refresh access token
- *     description: Get a new access token using refresh token
+ *     description: Exchange a refresh token for a new access/refresh token pair. Refresh tokens are single-use; presenting one that was already rotated revokes the whole session.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -234,8 +326,303 @@ router.post('/login', [
  *                 refreshToken:
  *                   type: string
  *       403:
- *         description: Invalid refresh token
+ *         description: Invalid, expired, revoked or already-used refresh token
+ */
+// Refresh tokens (rotation: the presented refresh token is consumed)
+router.post('/refresh', [
+  body('refreshToken').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokens = await rotateSession(req.body.refreshToken);
+
+    if (!tokens) {
+      return res.status(403).json({ error: 'Invalid refresh token' });
+    }
+
+    res.json(tokens);
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     description: Revoke the session the access token belongs to. Its refresh token can no longer be used.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Unauthorized
+ */
+// Logout (current session)
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of all devices
+ *     description: Revoke every active session of the current user, including the one making the request
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revokedSessions:
+ *                   type: integer
+ *                   example: 3
+ *       401:
+ *         description: Unauthorized
+ */
+// Logout from all devices
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions(req.user.id);
+    res.json({ message: 'Logged out from all devices', revokedSessions });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out from all devices' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     description: Confirm the user's email address with the token sent by email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid, expired or already used token
  */
+// Verify email
+router.post('/verify-email', [
+  body('token').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = await consumeUserToken(req.body.token, 'EMAIL_VERIFICATION');
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      }
+    });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend verification email
+ *     description: Send a new verification link to the current user. Previously sent links stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       401:
+ *         description: Unauthorized
+ */
+// Resend verification email
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, email: true, firstName: true, emailVerified: true }
+    });
+
+    if (user.emailVerified) {
+      return res.status(400).json({ error: 'Email already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request password reset
+ *     description: Email a password reset link. The response is the same whether or not the email is registered.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ */
+// Forgot password
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: req.body.email },
+      select: { id: true, email: true, firstName: true, isActive: true }
+    });
+
+    // Same response either way, even when the email can't be sent, so the
+    // endpoint can't be used to probe accounts
+    if (user && user.isActive) {
+      try {
+        await sendPasswordResetEmail(user);
+      } catch (error) {
+        console.error(`Failed to send password reset email to user ${user.id}:`, error);
+      }
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to process password reset request' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password
+ *     description: Set a new password using the emailed reset token. All existing sessions are logged out.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid, expired or already used token
+ */
+// Reset password
+router.post('/reset-password', [
+  body('token').notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+
+    const userId = await consumeUserToken(token, 'PASSWORD_RESET');
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { passwordHash }
+    });
+
+    await revokeAllSessions(userId, 'PASSWORD_RESET');
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
 
 module.exports = router;
 
@@ -1,13 +1,92 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
-const { authenticateToken } = require('../middleware/auth');
+const { optionalAuthenticate } = require('../middleware/auth');
+const { resolveRequestCurrency } = require('../middleware/currency');
+const {
+  validateCartItem,
+  resolveCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart
+} = require('../lib/cart');
+const { normalizeCode } = require('../lib/promotions');
+const { priceCart } = require('../lib/pricing');
+const { getShippingOptions } = require('../lib/shipping');
+const { sendHttpError } = require('../lib/errors');
 
 const router = express.Router();
 
+// Every cart route works for guests as well as logged-in users. A guest's
+// first add creates their cart and returns its token, which the client sends
+// back as X-Cart-Token from then on. Lines keep their base-currency price;
+// the routes that show totals price them in ?currency= or X-Currency.
+const sendIssuedToken = (res, issuedToken) => {
+  if (issuedToken) {
+    res.set('X-Cart-Token', issuedToken);
+  }
+};
+
+// The address the cart is priced for: ?addressId= (one of the user's
+// addresses), or ?country=&state=&postalCode= for an estimate, or else the
+// user's default shipping address. Guests without a query get no tax until
+// checkout.
+const pricingAddress = async (req) => {
+  const { addressId, country, state, postalCode } = req.query;
+
+  if (req.user && addressId) {
+    return prisma.address.findFirst({
+      where: { id: parseInt(addressId), userId: req.user.id }
+    });
+  }
+
+  if (country) {
+    return { country, state, postalCode };
+  }
+
+  if (req.user) {
+    return prisma.address.findFirst({
+      where: { userId: req.user.id, type: 'SHIPPING' },
+      orderBy: [{ isDefault: 'desc' }, { createdAt: 'desc' }]
+    });
+  }
+
+  return null;
+};
+
+const customerOf = (req) => ({ userId: req.user?.id, email: req.user?.email });
+
+const emptyCartResponse = (currency) => ({
+  id: null,
+  currency: currency.code,
+  items: [],
+  promotion: null,
+  summary: {
+    regularSubtotal: 0,
+    preorderSubtotal: 0,
+    totalSubtotal: 0,
+    discountAmount: 0,
+    freeShipping: false,
+    shippingMethod: null,
+    shippingIssue: null,
+    shippingAmount: 0,
+    taxAmount: 0,
+    taxRegion: null,
+    taxBreakdown: [],
+    total: 0,
+    regularItemCount: 0,
+    preorderItemCount: 0,
+    totalItemCount: 0,
+    hasIssues: false
+  },
+  regularItems: [],
+  preorderItems: []
+});
+
 // Add item to cart (updated to handle variants and preorders)
 router.post('/items', [
-  authenticateToken,
+  optionalAuthenticate,
   body('productId').isInt(),
   body('productVariantId').optional().isInt(),
   body('quantity').isInt({ min: 1 }),
@@ -21,135 +100,43 @@ router.post('/items', [
 
     const { productId, productVariantId, quantity, isPreorder = false } = req.body;
 
-    // Get product and variant details
-    const product = await prisma.product.findFirst({
-      where: { 
-        id: parseInt(productId),
-        isActive: true
-      }
-    });
-
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
-
-    let variant = null;
-    let price = product.basePrice;
-
-    if (productVariantId) {
-      variant = await prisma.productVariant.findFirst({
-        where: {
-          id: parseInt(productVariantId),
-          productId: parseInt(productId),
-          isActive: true
-        },
-        include: {
-          inventory: true,
-          color: true,
-          size: true
-        }
-      });
-
-      if (!variant) {
-        return res.status(404).json({ error: 'Product variant not found' });
-      }
-
-      price = variant.price || product.basePrice;
-
-      // Check stock availability for regular orders
-      if (!isPreorder && variant.inventory.quantity < quantity) {
-        return res.status(400).json({ error: 'Insufficient stock' });
-      }
-    }
-
-    // For preorders, check if product allows preorders
-    if (isPreorder) {
-      if (!product.allowPreorder) {
-        return res.status(400).json({ error: 'Preorders not allowed for this product' });
-      }
-      price = product.preorderPrice || price;
-    }
+    const { cart, issuedToken } = await resolveCart(req, { create: true });
 
-    // Get or create cart
-    let cart = await prisma.cart.findUnique({
-      where: { userId: req.user.id }
+    const { item, created } = await addCartItem(cart.id, {
+      productId: parseInt(productId),
+      productVariantId: productVariantId ? parseInt(productVariantId) : null,
+      quantity: parseInt(quantity),
+      isPreorder
     });
 
-    if (!cart) {
-      cart = await prisma.cart.create({
-        data: { userId: req.user.id }
-      });
-    }
+    sendIssuedToken(res, issuedToken);
+    const cartToken = issuedToken || undefined;
 
-    // Check if item already exists in cart
-    const existingItem = await prisma.cartItem.findFirst({
-      where: {
-        cartId: cart.id,
-        productId: parseInt(productId),
-        productVariantId: productVariantId ? parseInt(productVariantId) : null,
-        isPreorder
-      }
-    });
-
-    if (existingItem) {
-      // Update quantity
-      const newQuantity = existingItem.quantity + quantity;
-      
-      // Check stock for updated quantity (if not preorder)
-      if (!isPreorder && variant && variant.inventory.quantity < newQuantity) {
-        return res.status(400).json({ error: 'Insufficient stock' });
-      }
-
-      const updatedItem = await prisma.cartItem.update({
-        where: { id: existingItem.id },
-        data: { quantity: newQuantity },
-        include: {
-          product: true,
-          productVariant: {
-            include: {
-              color: true,
-              size: true
-            }
-          }
-        }
-      });
-
-      res.json({ message: 'Cart updated successfully', item: updatedItem });
+    if (created) {
+      res.status(201).json({ message: 'Item added to cart', item, cartToken });
     } else {
-      // Add new item
-      const cartItem = await prisma.cartItem.create({
-        data: {
-          cartId: cart.id,
-          productId: parseInt(productId),
-          productVariantId: productVariantId ? parseInt(productVariantId) : null,
-          quantity,
-          price,
-          isPreorder
-        },
-        include: {
-          product: true,
-          productVariant: {
-            include: {
-              color: true,
-              size: true
-            }
-          }
-        }
-      });
-
-      res.status(201).json({ message: 'Item added to cart', item: cartItem });
+      res.json({ message: 'Cart updated successfully', item, cartToken });
     }
   } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
     console.error('Error adding to cart:', error);
     res.status(500).json({ error: 'Failed to add item to cart' });
   }
 });
 
 // Get user's cart (updated to show variants and preorder info)
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', optionalAuthenticate, resolveRequestCurrency, async (req, res) => {
   try {
+    const { cart: current } = await resolveCart(req);
+
+    if (!current) {
+      return res.json(emptyCartResponse(req.currency));
+    }
+
     const cart = await prisma.cart.findUnique({
-      where: { userId: req.user.id },
+      where: { id: current.id },
       include: {
         items: {
           include: {
@@ -165,27 +152,40 @@ router.get('/', authenticateToken, async (req, res) => {
                 color: true,
                 size: true,
                 inventory: {
-                  select: { quantity: true }
+                  select: { quantity: true, reservedQuantity: true }
                 }
               }
             }
           }
-        }
+        },
+        promotion: true
       }
     });
 
-    if (!cart) {
-      // Create cart if it doesn't exist
-      const newCart = await prisma.cart.create({
-        data: { userId: req.user.id },
-        include: { items: true }
-      });
-      return res.json(newCart);
-    }
+    // Same pipeline as checkout. A code that stopped applying stays on the
+    // cart and says why in promotion.issue; checkout refuses it until it
+    // applies again or is removed.
+    const pricing = await priceCart(prisma, cart.items, {
+      promotion: cart.promotion,
+      customer: customerOf(req),
+      address: await pricingAddress(req),
+      shippingMethodId: req.query.shippingMethodId ? parseInt(req.query.shippingMethodId) : null,
+      currency: req.currency
+    });
+
+    // Flag lines whose price, availability, stock or preorder eligibility
+    // changed since they were added
+    const items = cart.items.map((item, index) => ({
+      ...item,
+      price: pricing.lines[index].price,
+      discount: pricing.lines[index].discount,
+      tax: pricing.lines[index].tax,
+      issues: validateCartItem(item)
+    }));
 
     // Separate regular items and preorders
-    const regularItems = cart.items.filter(item => !item.isPreorder);
-    const preorderItems = cart.items.filter(item => item.isPreorder);
+    const regularItems = items.filter(item => !item.isPreorder);
+    const preorderItems = items.filter(item => item.isPreorder);
 
     // Calculate totals
     const regularSubtotal = regularItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
@@ -195,15 +195,30 @@ router.get('/', authenticateToken, async (req, res) => {
     const regularItemCount = regularItems.reduce((sum, item) => sum + item.quantity, 0);
     const preorderItemCount = preorderItems.reduce((sum, item) => sum + item.quantity, 0);
 
+    const { guestTokenHash, ...cartFields } = cart;
+
     res.json({
-      ...cart,
+      ...cartFields,
+      currency: pricing.currency,
+      items,
+      promotion: pricing.promotion,
       summary: {
         regularSubtotal,
         preorderSubtotal,
         totalSubtotal,
+        discountAmount: pricing.discountAmount,
+        freeShipping: pricing.freeShipping,
+        shippingMethod: pricing.shippingMethod,
+        shippingIssue: pricing.shippingIssue,
+        shippingAmount: pricing.shippingAmount,
+        taxAmount: pricing.taxAmount,
+        taxRegion: pricing.taxRegion,
+        taxBreakdown: pricing.taxBreakdown,
+        total: pricing.total,
         regularItemCount,
         preorderItemCount,
-        totalItemCount: regularItemCount + preorderItemCount
+        totalItemCount: regularItemCount + preorderItemCount,
+        hasIssues: items.some(item => item.issues.length > 0)
       },
       regularItems,
       preorderItems
@@ -214,4 +229,189 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Change the quantity of a cart item (re-prices the line at the current price)
+router.put('/items/:id', [
+  optionalAuthenticate,
+  body('quantity').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { cart } = await resolveCart(req);
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart item not found' });
+    }
+
+    const item = await updateCartItem(cart.id, parseInt(req.params.id), parseInt(req.body.quantity));
+
+    res.json({ message: 'Cart updated successfully', item });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+    console.error('Error updating cart item:', error);
+    res.status(500).json({ error: 'Failed to update cart item' });
+  }
+});
+
+// Remove an item from the cart
+router.delete('/items/:id', optionalAuthenticate, async (req, res) => {
+  try {
+    const { cart } = await resolveCart(req);
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart item not found' });
+    }
+
+    await removeCartItem(cart.id, parseInt(req.params.id));
+
+    res.json({ message: 'Item removed from cart' });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+    console.error('Error removing cart item:', error);
+    res.status(500).json({ error: 'Failed to remove cart item' });
+  }
+});
+
+// Remove everything from the cart
+router.delete('/', optionalAuthenticate, async (req, res) => {
+  try {
+    const { cart } = await resolveCart(req);
+    const removed = cart ? await clearCart(cart.id) : 0;
+
+    res.json({ message: 'Cart cleared', removed });
+  } catch (error) {
+    console.error('Error clearing cart:', error);
+    res.status(500).json({ error: 'Failed to clear cart' });
+  }
+});
+
+// Shipping methods available for the cart, with cost and delivery window.
+// Takes the same address query as GET / (?addressId= or ?country=&state=&postalCode=).
+router.get('/shipping-options', optionalAuthenticate, resolveRequestCurrency, async (req, res) => {
+  try {
+    const address = await pricingAddress(req);
+    if (!address) {
+      return res.status(400).json({ error: 'A shipping address is required' });
+    }
+
+    const { cart } = await resolveCart(req);
+    const items = cart
+      ? await prisma.cartItem.findMany({
+        where: { cartId: cart.id },
+        include: { product: true, productVariant: true }
+      })
+      : [];
+
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+
+    const promotion = cart.promotionId
+      ? await prisma.promotion.findUnique({ where: { id: cart.promotionId } })
+      : null;
+    const { subtotal, discountAmount, freeShipping } = await priceCart(prisma, items, {
+      promotion,
+      customer: customerOf(req),
+      address,
+      currency: req.currency
+    });
+
+    const options = await getShippingOptions(prisma, items, address, {
+      merchandiseTotal: subtotal - discountAmount,
+      currency: req.currency
+    });
+
+    res.json({
+      currency: req.currency.code,
+      options: (options || []).map(option => ({ ...option, amount: freeShipping ? 0 : option.amount })),
+      freeShipping
+    });
+  } catch (error) {
+    console.error('Error fetching shipping options:', error);
+    res.status(500).json({ error: 'Failed to fetch shipping options' });
+  }
+});
+
+// Apply a promotion code to the cart, replacing any code already applied
+router.post('/apply-code', [
+  optionalAuthenticate,
+  resolveRequestCurrency,
+  body('code').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { cart } = await resolveCart(req);
+    if (!cart) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+
+    const [promotion, items] = await Promise.all([
+      prisma.promotion.findUnique({
+        where: { code: normalizeCode(req.body.code) }
+      }),
+      prisma.cartItem.findMany({
+        where: { cartId: cart.id },
+        include: { product: true, productVariant: true }
+      })
+    ]);
+
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+
+    if (!promotion) {
+      return res.status(400).json({ error: 'This code is not valid' });
+    }
+
+    const { promotion: applied, lines, ...totals } = await priceCart(prisma, items, {
+      promotion,
+      customer: customerOf(req),
+      address: await pricingAddress(req),
+      currency: req.currency,
+      strictPromotion: true
+    });
+
+    await prisma.cart.update({
+      where: { id: cart.id },
+      data: { promotionId: promotion.id }
+    });
+
+    res.json({ message: 'Code applied', promotion: applied, ...totals });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+    console.error('Error applying promotion code:', error);
+    res.status(500).json({ error: 'Failed to apply code' });
+  }
+});
+
+// Remove the applied promotion code
+router.delete('/code', optionalAuthenticate, async (req, res) => {
+  try {
+    const { cart } = await resolveCart(req);
+
+    if (cart?.promotionId) {
+      await prisma.cart.update({
+        where: { id: cart.id },
+        data: { promotionId: null }
+      });
+    }
+
+    res.json({ message: 'Code removed' });
+  } catch (error) {
+    console.error('Error removing promotion code:', error);
+    res.status(500).json({ error: 'Failed to remove code' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,217 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const {
+  slugify,
+  uniqueSlug,
+  loadCategoryTree,
+  findCategoryNode,
+  assertValidParent
+} = require('../lib/categories');
+const { sendHttpError } = require('../lib/errors');
+
+const router = express.Router();
+
+// A node without its subtree, for responses about a single category
+const formatCategory = ({ children, ...node }) => ({
+  ...node,
+  children: children.map(({ children: grandchildren, ...child }) => child)
+});
+
+const categoryValidators = (required = false) => [
+  (required ? body('name') : body('name').optional()).trim().isLength({ min: 1, max: 100 }),
+  body('slug').optional().trim().matches(/^[a-z0-9]+(-[a-z0-9]+)*$/).withMessage('Slugs use lowercase letters, digits and single dashes'),
+  body('description').optional({ values: 'null' }).trim().isLength({ max: 1000 }),
+  body('parentId').optional({ values: 'null' }).isInt({ min: 1 }).toInt()
+];
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: Get the category tree
+ *     description: Every category nested under its parent, with its slug, breadcrumbs (root to the category), productCount (its own active products) and totalProductCount (including subcategories).
+ *     tags: [Categories]
+ *     responses:
+ *       200:
+ *         description: Category tree
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { roots } = await loadCategoryTree(prisma);
+
+    res.json(roots);
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ error: 'Failed to fetch categories' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/{idOrSlug}:
+ *   get:
+ *     summary: Get a category with its breadcrumbs and subcategories
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category details
+ *       404:
+ *         description: Category not found
+ */
+router.get('/:idOrSlug', async (req, res) => {
+  try {
+    const { nodes } = await loadCategoryTree(prisma);
+    const node = findCategoryNode(nodes, req.params.idOrSlug);
+
+    if (!node) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    res.json(formatCategory(node));
+  } catch (error) {
+    console.error('Error fetching category:', error);
+    res.status(500).json({ error: 'Failed to fetch category' });
+  }
+});
+
+// Create category (Admin only). The slug defaults to one made from the name.
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  ...categoryValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, slug, description, parentId = null } = req.body;
+
+    const { nodes } = await loadCategoryTree(prisma);
+    assertValidParent(nodes, null, parentId);
+
+    const category = await prisma.category.create({
+      data: {
+        name,
+        slug: slug || await uniqueSlug(prisma, slugify(name)),
+        description,
+        parentId
+      }
+    });
+
+    res.status(201).json({ message: 'Category created successfully', category });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'A category with this slug already exists' });
+    }
+    console.error('Error creating category:', error);
+    res.status(500).json({ error: 'Failed to create category' });
+  }
+});
+
+// Update or move a category (Admin only). parentId null moves it to the top
+// level. The check and the move run with the table locked, so two moves at
+// once can't close a loop between them.
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  ...categoryValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const id = parseInt(req.params.id);
+    const { name, slug, description, parentId } = req.body;
+
+    const category = await prisma.$transaction(async (tx) => {
+      await tx.$executeRaw`LOCK TABLE "categories" IN SHARE ROW EXCLUSIVE MODE`;
+
+      const { nodes } = await loadCategoryTree(tx);
+      if (!nodes.has(id)) {
+        return null;
+      }
+
+      if (parentId !== undefined) {
+        assertValidParent(nodes, id, parentId);
+      }
+
+      return tx.category.update({
+        where: { id },
+        data: {
+          ...(name !== undefined && { name }),
+          ...(slug !== undefined && { slug }),
+          ...(description !== undefined && { description }),
+          ...(parentId !== undefined && { parentId })
+        }
+      });
+    });
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    res.json({ message: 'Category updated successfully', category });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'A category with this slug already exists' });
+    }
+    console.error('Error updating category:', error);
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+});
+
+// Delete category (Admin only). Only empty categories can go: move its
+// subcategories and products elsewhere first.
+router.delete('/:id', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const category = await prisma.category.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { children: true, products: true }
+        }
+      }
+    });
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    if (category._count.children > 0 || category._count.products > 0) {
+      return res.status(400).json({
+        error: 'Move this category\'s subcategories and products before deleting it',
+        subcategories: category._count.children,
+        products: category._count.products
+      });
+    }
+
+    await prisma.category.delete({ where: { id } });
+
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ error: 'Failed to delete category' });
+  }
+});
+
+module.exports = router;
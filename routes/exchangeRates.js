@@ -0,0 +1,88 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { BASE_CURRENCY, normalizeCurrencyCode, hasCents } = require('../lib/currency');
+
+const router = express.Router();
+
+// Rates are units of the currency per unit of the base currency. Orders keep
+// the rate they were placed at, so changing or removing a rate only affects
+// prices from then on.
+const currencyParam = () => param('currency')
+  .customSanitizer(normalizeCurrencyCode)
+  .matches(/^[A-Z]{3}$/).withMessage('Use a three-letter ISO 4217 code')
+  .not().equals(BASE_CURRENCY).withMessage('The base currency has no exchange rate')
+  .custom(hasCents).withMessage('Only currencies with cents are supported');
+
+// List exchange rates (Admin only)
+router.get('/', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const rates = await prisma.exchangeRate.findMany({
+      orderBy: { currency: 'asc' }
+    });
+
+    res.json({ baseCurrency: BASE_CURRENCY, rates });
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({ error: 'Failed to fetch exchange rates' });
+  }
+});
+
+// Set the rate for a currency, adding it if it's new (Admin only)
+router.put('/:currency', [
+  authenticateToken,
+  requireAdmin,
+  currencyParam(),
+  body('rate').isFloat({ gt: 0 }).toFloat(),
+  body('isActive').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currency } = req.params;
+    const { rate, isActive } = req.body;
+
+    const exchangeRate = await prisma.exchangeRate.upsert({
+      where: { currency },
+      update: { rate, ...(isActive !== undefined && { isActive }) },
+      create: { currency, rate, ...(isActive !== undefined && { isActive }) }
+    });
+
+    res.json({ message: 'Exchange rate saved', exchangeRate });
+  } catch (error) {
+    console.error('Error saving exchange rate:', error);
+    res.status(500).json({ error: 'Failed to save exchange rate' });
+  }
+});
+
+// Stop selling in a currency (Admin only)
+router.delete('/:currency', [
+  authenticateToken,
+  requireAdmin,
+  currencyParam()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await prisma.exchangeRate.delete({
+      where: { currency: req.params.currency }
+    });
+
+    res.json({ message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+    console.error('Error deleting exchange rate:', error);
+    res.status(500).json({ error: 'Failed to delete exchange rate' });
+  }
+});
+
+module.exports = router;
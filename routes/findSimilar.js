@@ -1,38 +1,17 @@
 // routes/findSimilar.js
 const express = require('express');
-const multer = require('multer');
+const { query, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { resolveRequestCurrency } = require('../middleware/currency');
+const { uploadImages } = require('../middleware/upload');
+const { localizeProduct } = require('../lib/currency');
+const { categoryAndDescendantIds } = require('../lib/categories');
+const { readImage } = require('../lib/images');
+const { computeImageFeatures, findSimilarProducts, indexImageFeatures } = require('../lib/visualSearch');
+const { sendHttpError } = require('../lib/errors');
 
 const router = express.Router();
-const upload = multer({ storage: multer.memoryStorage() });
-
-const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || 'http://localhost:3001';
-
-const DEMO_PRODUCTS = [
-  {
-    id: 'demo-001',
-    name: 'Mood Tote Bag',
-    price: 22.99,
-    image_url: `https://bambosey.com/cdn/shop/files/photo-output123.heic?v=1751346312&width=990`,
-  },
-  {
-    id: 'demo-002',
-    name: 'Paradise Tote Bag',
-    price: 29.99,
-    image_url: `https://bambosey.com/cdn/shop/files/photo-output_112.heic?v=1751346018&width=990`,
-  },
-  {
-    id: 'demo-003',
-    name: 'That Girl Tote Bag',
-    price: 22.99,
-    image_url: `https://bambosey.com/cdn/shop/files/photo-output_113.heic?v=1751342819&width=990`,
-  },
-  {
-    id: 'demo-004',
-    name: 'Unbothered',
-    price: 29.99,
-    image_url: `https://bambosey.com/cdn/shop/files/9CD1629B-8C7E-48BD-A2E6-E8363F20E203_4_5005_c.jpg?v=1753050301`,
-  },
-];
 
 // CORS preflight (leave as-is if your client is separate)
 router.options('/find-similar', (req, res) => {
@@ -42,17 +21,83 @@ router.options('/find-similar', (req, res) => {
   res.status(200).end();
 });
 
-// POST /find-similar (field "file" is accepted but ignored)
-router.post('/find-similar', upload.single('file'), async (req, res) => {
+// POST /find-similar with the photo in the multipart field "file". Ranks
+// active products by how closely their uploaded images match it.
+// ?category= (id or slug, subcategories included), ?inStock=true and
+// ?limit= (default 8) narrow the results.
+router.post('/find-similar', [
+  uploadImages('file', 1),
+  query('category').optional().notEmpty(),
+  query('inStock').optional().isBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 24 }),
+  resolveRequestCurrency
+], async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
 
   try {
-    const picks = DEMO_PRODUCTS.slice(0, 8); // send up to 8 items
-    return res.json({ similar: picks });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const file = req.files?.[0];
+    if (!file) {
+      return res.status(400).json({ error: 'Attach an image in the "file" field' });
+    }
+
+    const { category } = req.query;
+    const inStock = req.query.inStock === 'true';
+    const limit = parseInt(req.query.limit) || 8;
+
+    // Rejects anything that isn't a readable JPEG, PNG or WebP
+    await readImage(file.buffer);
+    const features = await computeImageFeatures(file.buffer);
+
+    const categoryIds = category ? await categoryAndDescendantIds(prisma, category) : null;
+    const matches = await findSimilarProducts(prisma, features, { categoryIds, inStock, limit });
+
+    return res.json({
+      similar: matches.map(({ product, image, score }) => ({
+        id: product.id,
+        name: product.name,
+        price: localizeProduct(product, req.currency).basePrice,
+        currency: req.currency.code,
+        image_url: image.url,
+        thumbnail_url: image.renditions?.thumbnail?.url || image.url,
+        variant_id: image.productVariantId,
+        stock_status: product.stockStatus,
+        score
+      }))
+    });
   } catch (err) {
+    if (err.status) {
+      return sendHttpError(res, err);
+    }
     console.error('find-similar error:', err);
     return res.status(500).json({ error: 'Internal error in visual search' });
   }
 });
 
+// Recompute visual search features (Admin only). Only images without
+// features by default; ?all=true redoes every image.
+router.post('/find-similar/reindex', [
+  authenticateToken,
+  requireAdmin,
+  query('all').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const indexed = await indexImageFeatures({ all: req.query.all === 'true' });
+
+    res.json({ message: `${indexed} images indexed`, indexed });
+  } catch (err) {
+    console.error('find-similar reindex error:', err);
+    res.status(500).json({ error: 'Failed to reindex images' });
+  }
+});
+
 module.exports = router;
@@ -1,48 +1,307 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { availableQuantity, adjustInventory, setInventoryLevels } = require('../lib/inventory');
+const { refreshAllStockStatuses } = require('../lib/stockStatus');
+const { createHttpError, sendHttpError } = require('../lib/errors');
 
 const router = express.Router();
 
-// Check product availability
-router.get('/:productId', async (req, res) => {
+const MOVEMENT_REASONS = ['SALE', 'RESTOCK', 'RETURN', 'MANUAL_CORRECTION', 'CANCELLATION'];
+
+// Reasons an admin can record by hand; SALE and CANCELLATION come from orders
+const MANUAL_REASONS = ['RESTOCK', 'RETURN', 'MANUAL_CORRECTION'];
+
+const variantInclude = {
+  product: {
+    select: { id: true, name: true, isActive: true }
+  },
+  color: true,
+  size: true,
+  inventory: true
+};
+
+const formatVariantInventory = (variant) => ({
+  productVariantId: variant.id,
+  productId: variant.productId,
+  productName: variant.product.name,
+  sku: variant.sku,
+  color: variant.color,
+  size: variant.size,
+  quantity: variant.inventory?.quantity || 0,
+  reservedQuantity: variant.inventory?.reservedQuantity || 0,
+  availableQuantity: availableQuantity(variant.inventory),
+  lowStockThreshold: variant.inventory?.lowStockThreshold ?? 10,
+  isLowStock: availableQuantity(variant.inventory) <= (variant.inventory?.lowStockThreshold ?? 10),
+  isInStock: availableQuantity(variant.inventory) > 0,
+  stockStatus: variant.stockStatus
+});
+
+/**
+ * @swagger
+ * /api/inventory/low-stock:
+ *   get:
+ *     summary: Get low stock alerts (Admin only)
+ *     description: Variants whose available quantity (on hand less reserved) is at or below their low stock threshold
+ *     tags: [Inventory, Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Low stock variants retrieved successfully
+ */
+// Get low stock alerts (Admin only) - SPECIFIC ROUTE BEFORE /variants/:variantId
+router.get('/low-stock', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    // Stock held for unpaid orders can't be sold, so it doesn't count
+    const rows = await prisma.$queryRaw`
+      SELECT i.product_variant_id AS id
+      FROM inventory i
+      JOIN product_variants v ON v.id = i.product_variant_id
+      WHERE v.is_active AND i.quantity - i.reserved_quantity <= i.low_stock_threshold
+      ORDER BY i.quantity - i.reserved_quantity ASC, i.product_variant_id ASC
+    `;
+    const ids = rows.map(row => row.id);
+
+    const variants = await prisma.productVariant.findMany({
+      where: { id: { in: ids } },
+      include: variantInclude
+    });
+    variants.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+
+    res.json(variants.map(formatVariantInventory));
+  } catch (error) {
+    console.error('Error fetching low stock items:', error);
+    res.status(500).json({ error: 'Failed to fetch low stock items' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inventory/adjustments:
+ *   post:
+ *     summary: Adjust stock for several variants (Admin only)
+ *     description: Applies every adjustment or none of them. Each one is recorded in the stock movement ledger.
+ *     tags: [Inventory, Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - adjustments
+ *             properties:
+ *               adjustments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - productVariantId
+ *                     - change
+ *                     - reason
+ *                   properties:
+ *                     productVariantId:
+ *                       type: integer
+ *                     change:
+ *                       type: integer
+ *                       description: Positive to add stock, negative to remove it
+ *                       example: 25
+ *                     reason:
+ *                       type: string
+ *                       enum: [RESTOCK, RETURN, MANUAL_CORRECTION]
+ *                     note:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Stock adjusted
+ *       400:
+ *         description: Validation error, or an adjustment would take stock below what is reserved
+ *       404:
+ *         description: Variant not found
+ */
+// Bulk stock adjustments (Admin only)
+router.post('/adjustments', [
+  authenticateToken,
+  requireAdmin,
+  body('adjustments').isArray({ min: 1, max: 200 }),
+  body('adjustments.*.productVariantId').isInt(),
+  body('adjustments.*.change').isInt().custom(value => parseInt(value) !== 0).withMessage('Change cannot be zero'),
+  body('adjustments.*.reason').isIn(MANUAL_REASONS),
+  body('adjustments.*.note').optional().isLength({ max: 500 })
+], async (req, res) => {
   try {
-    const { productId } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const adjustments = req.body.adjustments.map(adjustment => ({
+      productVariantId: parseInt(adjustment.productVariantId),
+      change: parseInt(adjustment.change),
+      reason: adjustment.reason,
+      note: adjustment.note || null
+    }));
+
+    const variantIds = [...new Set(adjustments.map(adjustment => adjustment.productVariantId))];
+    const variants = await prisma.productVariant.findMany({
+      where: { id: { in: variantIds } },
+      select: { id: true }
+    });
+
+    const missing = variantIds.filter(id => !variants.some(variant => variant.id === id));
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Product variant not found', productVariantIds: missing });
+    }
+
+    const results = await prisma.$transaction(async (tx) => {
+      const applied = [];
+      for (const adjustment of adjustments) {
+        await tx.inventory.upsert({
+          where: { productVariantId: adjustment.productVariantId },
+          update: {},
+          create: { productVariantId: adjustment.productVariantId }
+        });
 
-    const inventory = await prisma.inventory.findUnique({
-      where: { productId: parseInt(productId) },
-      include: {
-        product: {
-          select: { name: true, isActive: true }
+        // Removing stock may not eat into what checkouts are holding
+        const result = await adjustInventory(tx, {
+          ...adjustment,
+          actorId: req.user.id,
+          ifAvailable: adjustment.change < 0
+        });
+
+        if (!result) {
+          throw createHttpError(400, `Not enough unreserved stock to remove ${-adjustment.change} from variant ${adjustment.productVariantId}`, {
+            productVariantId: adjustment.productVariantId
+          });
         }
+        applied.push(result);
       }
+      return applied;
     });
 
-    if (!inventory || !inventory.product.isActive) {
-      return res.status(404).json({ error: 'Product not found' });
+    res.json({ message: 'Inventory adjusted successfully', results });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
     }
+    console.error('Error adjusting inventory:', error);
+    res.status(500).json({ error: 'Failed to adjust inventory' });
+  }
+});
 
-    res.json({
-      productId: inventory.productId,
-      productName: inventory.product.name,
-      quantity: inventory.quantity,
-      lowStockThreshold: inventory.lowStockThreshold,
-      isLowStock: inventory.quantity <= inventory.lowStockThreshold,
-      isInStock: inventory.quantity > 0
+/**
+ * @swagger
+ * /api/inventory/stock-status/refresh:
+ *   post:
+ *     summary: Recompute all stock statuses (Admin only)
+ *     description: Re-derives every variant's stockStatus from its inventory and rolls it up into the product. DISCONTINUED and PREORDER_ONLY are left untouched.
+ *     tags: [Inventory, Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stock statuses recomputed
+ */
+// Recompute all stock statuses (Admin only)
+router.post('/stock-status/refresh', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const variantCount = await refreshAllStockStatuses();
+
+    res.json({ message: 'Stock statuses refreshed successfully', variantCount });
+  } catch (error) {
+    console.error('Error refreshing stock statuses:', error);
+    res.status(500).json({ error: 'Failed to refresh stock statuses' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inventory/variants/{variantId}:
+ *   get:
+ *     summary: Check variant availability
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Stock levels for the variant
+ *       404:
+ *         description: Variant not found
+ */
+// Check variant availability
+router.get('/variants/:variantId', async (req, res) => {
+  try {
+    const { variantId } = req.params;
+
+    const variant = await prisma.productVariant.findUnique({
+      where: { id: parseInt(variantId) },
+      include: variantInclude
     });
+
+    if (!variant || !variant.isActive || !variant.product.isActive) {
+      return res.status(404).json({ error: 'Product variant not found' });
+    }
+
+    res.json(formatVariantInventory(variant));
   } catch (error) {
     console.error('Error checking inventory:', error);
     res.status(500).json({ error: 'Failed to check inventory' });
   }
 });
 
-// Update inventory levels (Admin only)
-router.put('/:productId', [
+/**
+ * @swagger
+ * /api/inventory/variants/{variantId}:
+ *   put:
+ *     summary: Set variant stock levels (Admin only)
+ *     description: Sets the on-hand quantity (recorded as a manual correction in the stock ledger) and/or the low stock threshold
+ *     tags: [Inventory, Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 0
+ *               lowStockThreshold:
+ *                 type: integer
+ *                 minimum: 0
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Inventory updated successfully
+ *       400:
+ *         description: Validation error, or quantity below what is reserved
+ *       404:
+ *         description: Variant not found
+ */
+// Update variant inventory levels (Admin only)
+router.put('/variants/:variantId', [
   authenticateToken,
   requireAdmin,
-  body('quantity').isInt({ min: 0 }),
-  body('lowStockThreshold').optional().isInt({ min: 0 })
+  body('quantity').optional().isInt({ min: 0 }),
+  body('lowStockThreshold').optional().isInt({ min: 0 }),
+  body('note').optional().isLength({ max: 500 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -50,56 +309,136 @@ router.put('/:productId', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { productId } = req.params;
-    const { quantity, lowStockThreshold } = req.body;
-
-    const inventory = await prisma.inventory.upsert({
-      where: { productId: parseInt(productId) },
-      update: {
-        quantity,
-        ...(lowStockThreshold !== undefined && { lowStockThreshold })
-      },
-      create: {
-        productId: parseInt(productId),
-        quantity,
-        lowStockThreshold: lowStockThreshold || 10
-      },
-      include: {
-        product: {
-          select: { name: true }
-        }
-      }
+    const productVariantId = parseInt(req.params.variantId);
+    const { quantity, lowStockThreshold, note } = req.body;
+
+    if (quantity === undefined && lowStockThreshold === undefined) {
+      return res.status(400).json({ error: 'Provide quantity and/or lowStockThreshold' });
+    }
+
+    const variant = await prisma.productVariant.findUnique({
+      where: { id: productVariantId },
+      select: { id: true }
     });
 
-    res.json({ message: 'Inventory updated successfully', inventory });
+    if (!variant) {
+      return res.status(404).json({ error: 'Product variant not found' });
+    }
+
+    const inventory = await prisma.$transaction(async (tx) => {
+      await setInventoryLevels(tx, {
+        productVariantId,
+        ...(quantity !== undefined && { quantity: parseInt(quantity) }),
+        ...(lowStockThreshold !== undefined && { lowStockThreshold: parseInt(lowStockThreshold) }),
+        actorId: req.user.id,
+        note: note || null
+      });
+
+      return tx.productVariant.findUnique({
+        where: { id: productVariantId },
+        include: variantInclude
+      });
+    });
+
+    res.json({ message: 'Inventory updated successfully', inventory: formatVariantInventory(inventory) });
   } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
     console.error('Error updating inventory:', error);
     res.status(500).json({ error: 'Failed to update inventory' });
   }
 });
 
-// Get low stock alerts (Admin only)
-router.get('/low-stock', [authenticateToken, requireAdmin], async (req, res) => {
+/**
+ * @swagger
+ * /api/inventory/variants/{variantId}/movements:
+ *   get:
+ *     summary: Get a variant's stock history (Admin only)
+ *     description: Stock movement ledger for the variant, newest first
+ *     tags: [Inventory, Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [SALE, RESTOCK, RETURN, MANUAL_CORRECTION, CANCELLATION]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Stock movements retrieved successfully
+ */
+// Get variant stock history (Admin only)
+router.get('/variants/:variantId/movements', [
+  authenticateToken,
+  requireAdmin,
+  query('reason').optional().isIn(MOVEMENT_REASONS),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res) => {
   try {
-    const lowStockItems = await prisma.inventory.findMany({
-      where: {
-        quantity: {
-          lte: prisma.inventory.fields.lowStockThreshold
-        }
-      },
-      include: {
-        product: {
-          select: { id: true, name: true, sku: true, price: true }
-        }
-      },
-      orderBy: { quantity: 'asc' }
-    });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const productVariantId = parseInt(req.params.variantId);
+    const { reason, page = 1, limit = 50 } = req.query;
+    const take = parseInt(limit);
+    const skip = (parseInt(page) - 1) * take;
+
+    const where = {
+      productVariantId,
+      ...(reason && { reason })
+    };
 
-    res.json(lowStockItems);
+    const [movements, total] = await Promise.all([
+      prisma.inventoryMovement.findMany({
+        where,
+        include: {
+          actor: {
+            select: { id: true, firstName: true, lastName: true, email: true }
+          },
+          order: {
+            select: { id: true, orderNumber: true }
+          }
+        },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip,
+        take
+      }),
+      prisma.inventoryMovement.count({ where })
+    ]);
+
+    res.json({
+      movements,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: take,
+        pages: Math.ceil(total / take)
+      }
+    });
   } catch (error) {
-    console.error('Error fetching low stock items:', error);
-    res.status(500).json({ error: 'Failed to fetch low stock items' });
+    console.error('Error fetching stock history:', error);
+    res.status(500).json({ error: 'Failed to fetch stock history' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
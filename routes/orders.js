@@ -2,23 +2,31 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { resolveRequestCurrency } = require('../middleware/currency');
+const { changeOrderStatus, cancelOrder } = require('../lib/orderStatus');
+const { ORDER_INCLUDE, createOrderFromCart } = require('../lib/orders');
+const { getGuestToken, hashGuestToken } = require('../lib/cart');
+const { orderStateMachine } = require('../lib/stateMachine');
+const { sendHttpError } = require('../lib/errors');
 
 const router = express.Router();
 
-// Generate order number
-const generateOrderNumber = () => {
-  return 'ORD-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
-};
-
 /**
  * @swagger
  * /api/orders:
  *   post:
  *     summary: Create a new order
- *     description: Create an order from the user's cart items
+ *     description: Create an order from the user's cart items. Stock for regular items is reserved until the order is paid, cancelled, or the reservation expires (reservationExpiresAt). The order stores its subtotal, discount, shipping and tax (itemised in taxBreakdown, for the shipping address's province or state) alongside totalAmount, all in the currency chosen with ?currency= or X-Currency, and records that currency and its exchange rate.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: USD
+ *         description: Currency to charge in; defaults to the store's base currency
  *     requestBody:
  *       required: true
  *       content:
@@ -35,6 +43,9 @@ const generateOrderNumber = () => {
  *               billingAddressId:
  *                 type: integer
  *                 example: 1
+ *               shippingMethodId:
+ *                 type: integer
+ *                 description: One of GET /api/cart/shipping-options; defaults to the cheapest
  *               paymentMethod:
  *                 type: string
  *                 example: stripe
@@ -49,8 +60,10 @@ const generateOrderNumber = () => {
 // Create new order
 router.post('/', [
   authenticateToken,
+  resolveRequestCurrency,
   body('shippingAddressId').isInt(),
   body('billingAddressId').optional().isInt(),
+  body('shippingMethodId').optional().isInt(),
   body('paymentMethod').notEmpty()
 ], async (req, res) => {
   try {
@@ -59,117 +72,204 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { shippingAddressId, billingAddressId, paymentMethod } = req.body;
+    const { shippingAddressId, billingAddressId, shippingMethodId, paymentMethod } = req.body;
 
-    // Get user's cart with items
     const cart = await prisma.cart.findUnique({
       where: { userId: req.user.id },
-      include: {
-        items: {
-          include: {
-            product: true,
-            productVariant: {
-              include: {
-                inventory: true
-              }
-            }
-          }
-        }
-      }
+      select: { id: true }
     });
 
-    if (!cart || cart.items.length === 0) {
+    if (!cart) {
       return res.status(400).json({ error: 'Cart is empty' });
     }
 
-    // Separate regular items and preorders
-    const regularItems = cart.items.filter(item => !item.isPreorder);
-    const preorderItems = cart.items.filter(item => item.isPreorder);
+    const { order, reservationExpiresAt } = await createOrderFromCart(cart.id, {
+      userId: req.user.id,
+      shippingAddressId: parseInt(shippingAddressId),
+      billingAddressId: billingAddressId ? parseInt(billingAddressId) : null,
+      shippingMethodId: shippingMethodId ? parseInt(shippingMethodId) : null,
+      currency: req.currency,
+      paymentMethod
+    });
 
-    // Verify stock availability for regular items
-    for (const item of regularItems) {
-      if (item.productVariant && item.productVariant.inventory.quantity < item.quantity) {
-        return res.status(400).json({ 
-          error: `Insufficient stock for ${item.product.name}` 
-        });
-      }
+    res.status(201).json({ message: 'Order created successfully', order, reservationExpiresAt });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
     }
+    console.error('Error creating order:', error);
+    res.status(500).json({ error: 'Failed to create order' });
+  }
+});
 
-    // Calculate total amount
-    const totalAmount = cart.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-
-    // Determine order type
-    const orderType = preorderItems.length > 0 ? 'PREORDER' : 'REGULAR';
-
-    // Create order with transaction
-    const order = await prisma.$transaction(async (tx) => {
-      // Create order
-      const newOrder = await tx.order.create({
-        data: {
-          userId: req.user.id,
-          orderNumber: generateOrderNumber(),
-          totalAmount,
-          shippingAddressId: parseInt(shippingAddressId),
-          billingAddressId: billingAddressId ? parseInt(billingAddressId) : parseInt(shippingAddressId),
-          paymentMethod,
-          orderType,
-          items: {
-            create: cart.items.map(item => ({
-              productId: item.productId,
-              productVariantId: item.productVariantId,
-              quantity: item.quantity,
-              price: item.price,
-              total: item.price * item.quantity,
-              isPreorder: item.isPreorder
-            }))
-          }
-        },
-        include: {
-          items: {
-            include: {
-              product: true,
-              productVariant: {
-                include: {
-                  color: true,
-                  size: true
-                }
-              }
-            }
-          },
-          shippingAddress: true,
-          billingAddress: true
-        }
-      });
+const ADDRESS_FIELDS = ['firstName', 'lastName', 'streetAddress', 'city', 'state', 'postalCode', 'country'];
 
-      // Update inventory for regular items only
-      for (const item of regularItems) {
-        if (item.productVariant) {
-          await tx.inventory.update({
-            where: { productVariantId: item.productVariantId },
-            data: {
-              quantity: {
-                decrement: item.quantity
-              }
-            }
-          });
-        }
-      }
+const pickAddress = (address) => Object.fromEntries(ADDRESS_FIELDS.map(field => [field, address[field]]));
 
-      // Clear cart
-      await tx.cartItem.deleteMany({
-        where: { cartId: cart.id }
-      });
+// The guest's order, found through the cart token it was placed with
+const findGuestOrder = (req, orderId) => {
+  const token = getGuestToken(req);
+  if (!token) {
+    return null;
+  }
 
-      return newOrder;
+  return prisma.order.findFirst({
+    where: {
+      id: orderId,
+      userId: null,
+      guestTokenHash: hashGuestToken(token)
+    },
+    include: ORDER_INCLUDE
+  });
+};
+
+/**
+ * @swagger
+ * /api/orders/guest:
+ *   post:
+ *     summary: Check out as a guest
+ *     description: |
+ *       Create an order from the guest cart named by the X-Cart-Token header.
+ *       The order is tied to the given email, and the same token is used to
+ *       view and pay it. Disabled when GUEST_CHECKOUT_ENABLED=false.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: header
+ *         name: X-Cart-Token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Currency to charge in; defaults to the store's base currency
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - shippingAddress
+ *               - paymentMethod
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               shippingAddress:
+ *                 type: object
+ *                 description: firstName, lastName, streetAddress, city, state, postalCode, country
+ *               billingAddress:
+ *                 type: object
+ *                 description: Same fields as shippingAddress; defaults to it
+ *               shippingMethodId:
+ *                 type: integer
+ *               paymentMethod:
+ *                 type: string
+ *                 example: stripe
+ *     responses:
+ *       201:
+ *         description: Order created successfully
+ *       400:
+ *         description: Invalid request, empty cart or insufficient stock
+ *       403:
+ *         description: Guest checkout is disabled
+ */
+router.post('/guest', [
+  resolveRequestCurrency,
+  body('email').isEmail().normalizeEmail(),
+  ...ADDRESS_FIELDS.map(field => body(`shippingAddress.${field}`).trim().notEmpty()),
+  ...ADDRESS_FIELDS.map(field => body(`billingAddress.${field}`).if(body('billingAddress').exists()).trim().notEmpty()),
+  body('shippingMethodId').optional().isInt(),
+  body('paymentMethod').notEmpty()
+], async (req, res) => {
+  try {
+    if (process.env.GUEST_CHECKOUT_ENABLED === 'false') {
+      return res.status(403).json({ error: 'Guest checkout is disabled, please log in' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, shippingAddress, billingAddress, shippingMethodId, paymentMethod } = req.body;
+
+    const token = getGuestToken(req);
+    const cart = token && await prisma.cart.findUnique({
+      where: { guestTokenHash: hashGuestToken(token) },
+      select: { id: true, guestTokenHash: true }
+    });
+
+    if (!cart) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+
+    const { order, reservationExpiresAt } = await createOrderFromCart(cart.id, {
+      guestEmail: email,
+      guestTokenHash: cart.guestTokenHash,
+      shippingAddress: pickAddress(shippingAddress),
+      billingAddress: billingAddress ? pickAddress(billingAddress) : null,
+      shippingMethodId: shippingMethodId ? parseInt(shippingMethodId) : null,
+      currency: req.currency,
+      paymentMethod
     });
 
-    res.status(201).json({ message: 'Order created successfully', order });
+    const { guestTokenHash, ...details } = order;
+
+    res.status(201).json({ message: 'Order created successfully', order: details, reservationExpiresAt });
   } catch (error) {
-    console.error('Error creating order:', error);
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+    console.error('Error creating guest order:', error);
     res.status(500).json({ error: 'Failed to create order' });
   }
 });
 
+/**
+ * @swagger
+ * /api/orders/guest/{id}:
+ *   get:
+ *     summary: Get a guest order
+ *     description: Details of an order placed through guest checkout, for the holder of its cart token
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: X-Cart-Token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order details retrieved successfully
+ *       404:
+ *         description: Order not found
+ */
+router.get('/guest/:id', async (req, res) => {
+  try {
+    const order = await findGuestOrder(req, parseInt(req.params.id));
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const { guestTokenHash, ...details } = order;
+
+    res.json(details);
+  } catch (error) {
+    console.error('Error fetching guest order:', error);
+    res.status(500).json({ error: 'Failed to fetch order' });
+  }
+});
+
 /**
  * @swagger
  * /api/orders:
@@ -319,13 +419,6 @@ router.put('/:id/cancel', authenticateToken, async (req, res) => {
       where: {
         id: parseInt(id),
         userId: req.user.id
-      },
-      include: {
-        items: {
-          include: {
-            productVariant: true
-          }
-        }
       }
     });
 
@@ -337,35 +430,43 @@ router.put('/:id/cancel', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Order cannot be cancelled' });
     }
 
-    // Update order status and restore inventory
-    await prisma.$transaction(async (tx) => {
-      await tx.order.update({
-        where: { id: parseInt(id) },
-        data: { status: 'CANCELLED' }
-      });
+    // Puts the stock back and refunds a paid order
+    const refund = await cancelOrder(order.id, { actorId: req.user.id, note: 'Cancelled by customer' });
 
-      // Restore inventory for regular items only
-      for (const item of order.items) {
-        if (!item.isPreorder && item.productVariant) {
-          await tx.inventory.update({
-            where: { productVariantId: item.productVariantId },
-            data: {
-              quantity: {
-                increment: item.quantity
-              }
-            }
-          });
-        }
-      }
+    res.json({
+      message: 'Order cancelled successfully',
+      refund: refund && { id: refund.id, amount: refund.amount, status: refund.status }
     });
-
-    res.json({ message: 'Order cancelled successfully' });
   } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
     console.error('Error cancelling order:', error);
     res.status(500).json({ error: 'Failed to cancel order' });
   }
 });
 
+/**
+ * @swagger
+ * /api/orders/{id}/status:
+ *   get:
+ *     summary: Get order status and timeline
+ *     description: Current status, shipment tracking and every status change in chronological order
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Order status retrieved successfully
+ *       404:
+ *         description: Order not found
+ */
 // Get order status
 router.get('/:id/status', authenticateToken, async (req, res) => {
   try {
@@ -382,8 +483,22 @@ router.get('/:id/status', authenticateToken, async (req, res) => {
         status: true,
         paymentStatus: true,
         orderType: true,
+        carrier: true,
+        trackingNumber: true,
+        shippedAt: true,
+        deliveredAt: true,
+        expectedDeliveryDate: true,
         createdAt: true,
-        updatedAt: true
+        updatedAt: true,
+        statusHistory: {
+          select: {
+            fromStatus: true,
+            toStatus: true,
+            note: true,
+            createdAt: true
+          },
+          orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+        }
       }
     });
 
@@ -391,18 +506,69 @@ router.get('/:id/status', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    res.json(order);
+    const { statusHistory, ...status } = order;
+
+    res.json({ ...status, timeline: statusHistory });
   } catch (error) {
     console.error('Error fetching order status:', error);
     res.status(500).json({ error: 'Failed to fetch order status' });
   }
 });
 
+/**
+ * @swagger
+ * /api/orders/{id}/status:
+ *   put:
+ *     summary: Update order status (Admin only)
+ *     description: |
+ *       Moves the order along its lifecycle. Allowed transitions:
+ *       PENDING -> CONFIRMED | CANCELLED, CONFIRMED -> PROCESSING | CANCELLED,
+ *       PROCESSING -> SHIPPED | CANCELLED, SHIPPED -> DELIVERED.
+ *       Cancelling puts the order's stock back and refunds a paid order.
+ *     tags: [Orders, Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [PENDING, CONFIRMED, PROCESSING, SHIPPED, DELIVERED, CANCELLED]
+ *               carrier:
+ *                 type: string
+ *                 example: Canada Post
+ *               trackingNumber:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order status updated successfully
+ *       400:
+ *         description: Invalid status transition
+ *       404:
+ *         description: Order not found
+ */
 // Update order status (Admin only)
 router.put('/:id/status', [
   authenticateToken,
   requireAdmin,
-  body('status').isIn(['PENDING', 'CONFIRMED', 'PROCESSING', 'SHIPPED', 'DELIVERED', 'CANCELLED'])
+  body('status').isIn(orderStateMachine.statuses),
+  body('carrier').optional().trim().isLength({ min: 1, max: 100 }),
+  body('trackingNumber').optional().trim().isLength({ min: 3, max: 100 }),
+  body('note').optional().isLength({ max: 500 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -411,11 +577,23 @@ router.put('/:id/status', [
     }
 
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, carrier, trackingNumber, note } = req.body;
+
+    // Cancelling also puts the stock back and refunds a paid order
+    let refund = null;
+    if (status === 'CANCELLED') {
+      refund = await cancelOrder(parseInt(id), { actorId: req.user.id, note });
+    } else {
+      await changeOrderStatus(parseInt(id), status, {
+        actorId: req.user.id,
+        note,
+        carrier,
+        trackingNumber
+      });
+    }
 
-    const order = await prisma.order.update({
+    const order = await prisma.order.findUnique({
       where: { id: parseInt(id) },
-      data: { status },
       include: {
         items: {
           include: {
@@ -433,8 +611,16 @@ router.put('/:id/status', [
       }
     });
 
-    res.json({ message: 'Order status updated successfully', order });
+    res.json({
+      message: 'Order status updated successfully',
+      order,
+      refund,
+      validTransitions: orderStateMachine.allowedTransitions(order.status)
+    });
   } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
     console.error('Error updating order status:', error);
     res.status(500).json({ error: 'Failed to update order status' });
   }
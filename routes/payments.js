@@ -1,41 +1,27 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuthenticate, requireAdmin } = require('../middleware/auth');
+const { getPaymentProvider, getOrCreateCustomerId, toMinorUnits } = require('../lib/payments');
+const { refundOrder, completeDepositRefund } = require('../lib/refunds');
+const { renewOrderReservations, releaseOrderReservations } = require('../lib/reservations');
+const { confirmPaidOrder } = require('../lib/orderStatus');
+const { reclaimPromotionRedemption } = require('../lib/promotions');
+const { getGuestToken, hashGuestToken } = require('../lib/cart');
+const { sendHttpError } = require('../lib/errors');
 
 const router = express.Router();
 
-// Mock Stripe for development (replace with actual Stripe in production)
-const mockStripe = {
-  paymentIntents: {
-    create: async (params) => ({
-      id: 'pi_' + Math.random().toString(36).substr(2, 9),
-      status: 'succeeded',
-      client_secret: 'pi_' + Math.random().toString(36).substr(2, 9) + '_secret',
-      amount: params.amount,
-      currency: params.currency
-    })
-  },
-  paymentMethods: {
-    detach: async (id) => ({ id, object: 'payment_method', detached: true })
-  },
-  webhooks: {
-    constructEvent: (body, sig, secret) => ({
-      type: 'payment_intent.succeeded',
-      data: { object: { id: 'pi_test' } }
-    })
-  }
-};
-
 /**
  * @swagger
  * /api/payments/process:
  *   post:
  *     summary: Process payment
- *     description: Process payment for an order using Stripe
+ *     description: Process payment for an order using Stripe. Guests pay for their guest checkout orders by sending the X-Cart-Token header instead of a bearer token.
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
+ *       - {}
  *     requestBody:
  *       required: true
  *       content:
@@ -54,15 +40,17 @@ const mockStripe = {
  *                 example: pm_test_card
  *     responses:
  *       200:
- *         description: Payment processed successfully
+ *         description: Payment processed, or additional authentication required (requiresAction true; complete it client-side with client_secret)
  *       400:
  *         description: Invalid request or order already paid
+ *       402:
+ *         description: Payment declined
  *       404:
  *         description: Order not found
  */
 // Process payment
 router.post('/process', [
-  authenticateToken,
+  optionalAuthenticate,
   body('orderId').isInt(),
   body('paymentMethodId').notEmpty()
 ], async (req, res) => {
@@ -74,11 +62,14 @@ router.post('/process', [
 
     const { orderId, paymentMethodId } = req.body;
 
-    // Get order
-    const order = await prisma.order.findFirst({
+    // Get order: the user's own, or a guest order placed with this cart token
+    const guestToken = req.user ? null : getGuestToken(req);
+    const order = (req.user || guestToken) && await prisma.order.findFirst({
       where: {
         id: parseInt(orderId),
-        userId: req.user.id
+        ...(req.user
+          ? { userId: req.user.id }
+          : { userId: null, guestTokenHash: hashGuestToken(guestToken) })
       }
     });
 
@@ -90,66 +81,143 @@ router.post('/process', [
       return res.status(400).json({ error: 'Order already paid' });
     }
 
-    // Create payment intent with mock Stripe (replace with real Stripe)
-    const paymentIntent = await mockStripe.paymentIntents.create({
-      amount: Math.round(order.totalAmount * 100), // Convert to cents
-      currency: 'usd',
-      payment_method: paymentMethodId,
-      confirmation_method: 'manual',
-      confirm: true,
-      return_url: 'https://bambosey.com/return'
+    if (order.status === 'CANCELLED') {
+      return res.status(400).json({ error: 'Order has been cancelled' });
+    }
+
+    // Holds that lapsed or were dropped by a failed payment are taken again
+    // before charging, so the order can't be paid for stock that has sold,
+    // and so is the promotion code use given back with them
+    await renewOrderReservations(order.id);
+    await prisma.$transaction(tx => reclaimPromotionRedemption(tx, order.id));
+
+    const provider = getPaymentProvider();
+    // Guests are charged without a saved Stripe customer
+    const customerId = req.user ? await getOrCreateCustomerId(req.user.id) : undefined;
+
+    // The key is stable for a given order state, so double submits and client
+    // retries reuse the same intent instead of charging twice. Every attempt
+    // updates the order, which yields a fresh key for the next attempt.
+    const idempotencyKey = `order-${order.id}-${paymentMethodId}-${order.updatedAt.getTime()}`;
+
+    const paymentIntent = await provider.createPaymentIntent({
+      amount: toMinorUnits(order.totalAmount),
+      currency: order.currency.toLowerCase(),
+      customerId,
+      paymentMethodId,
+      idempotencyKey,
+      metadata: {
+        orderId: String(order.id),
+        orderNumber: order.orderNumber
+      }
     });
 
+    const paymentStatus = paymentIntent.status === 'succeeded'
+      ? 'COMPLETED'
+      : paymentIntent.status === 'requires_payment_method' ? 'FAILED' : 'PENDING';
+
     // Update order with payment intent ID
     await prisma.order.update({
-      where: { id: parseInt(orderId) },
+      where: { id: order.id },
       data: {
         stripePaymentIntentId: paymentIntent.id,
-        paymentStatus: paymentIntent.status === 'succeeded' ? 'COMPLETED' : 'PENDING'
+        paymentStatus
       }
     });
 
+    // Settle the stock held at checkout; the webhook does the same for
+    // payments that complete asynchronously
+    if (paymentStatus === 'COMPLETED') {
+      await confirmPaidOrder(order.id);
+    } else if (paymentStatus === 'FAILED') {
+      await releaseOrderReservations(order.id, 'PAYMENT_FAILED');
+    }
+
+    if (paymentStatus === 'FAILED') {
+      return res.status(402).json({
+        error: 'Payment declined',
+        declineCode: paymentIntent.declineCode,
+        message: paymentIntent.errorMessage
+      });
+    }
+
+    if (paymentIntent.status === 'requires_action') {
+      return res.json({
+        message: 'Additional authentication required',
+        requiresAction: true,
+        paymentIntent: {
+          id: paymentIntent.id,
+          status: paymentIntent.status,
+          client_secret: paymentIntent.clientSecret,
+          next_action: paymentIntent.nextAction
+        }
+      });
+    }
+
     res.json({
-      message: 'Payment processed successfully',
+      message: paymentStatus === 'COMPLETED' ? 'Payment processed successfully' : 'Payment is processing',
+      requiresAction: false,
       paymentIntent: {
         id: paymentIntent.id,
         status: paymentIntent.status,
-        client_secret: paymentIntent.client_secret
+        client_secret: paymentIntent.clientSecret
       }
     });
   } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
     console.error('Error processing payment:', error);
     res.status(500).json({ error: 'Failed to process payment' });
   }
 });
 
-// Handle Stripe webhooks
+const findOrdersByPaymentIntent = (paymentIntentId) => {
+  return prisma.order.findMany({
+    where: { stripePaymentIntentId: paymentIntentId },
+    select: { id: true }
+  });
+};
+
+// Handle Stripe webhooks (server.js mounts the raw body parser for this path
+// ahead of express.json so the signature is checked against the exact payload)
 router.post('/webhooks', express.raw({ type: 'application/json' }), async (req, res) => {
+  let event;
   try {
-    const sig = req.headers['stripe-signature'];
-    const event = mockStripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+    event = getPaymentProvider().constructWebhookEvent(req.body, req.headers['stripe-signature']);
+  } catch (error) {
+    console.error('Webhook signature verification failed:', error.message);
+    return res.status(400).json({ error: 'Webhook signature verification failed' });
+  }
 
+  try {
     switch (event.type) {
       case 'payment_intent.succeeded':
         const paymentIntent = event.data.object;
         
-        // Update order payment status
+        // Update order payment status; refunded orders stay refunded on retries
         await prisma.order.updateMany({
-          where: { stripePaymentIntentId: paymentIntent.id },
-          data: { 
-            paymentStatus: 'COMPLETED',
-            status: 'CONFIRMED'
-          }
+          where: { stripePaymentIntentId: paymentIntent.id, paymentStatus: { in: ['PENDING', 'FAILED'] } },
+          data: { paymentStatus: 'COMPLETED' }
         });
+
+        for (const paidOrder of await findOrdersByPaymentIntent(paymentIntent.id)) {
+          await confirmPaidOrder(paidOrder.id);
+        }
         break;
 
       case 'payment_intent.payment_failed':
         const failedPayment = event.data.object;
         
         await prisma.order.updateMany({
-          where: { stripePaymentIntentId: failedPayment.id },
+          where: { stripePaymentIntentId: failedPayment.id, paymentStatus: 'PENDING' },
           data: { paymentStatus: 'FAILED' }
         });
+
+        // Release the stock held at checkout
+        for (const failedOrder of await findOrdersByPaymentIntent(failedPayment.id)) {
+          await releaseOrderReservations(failedOrder.id, 'PAYMENT_FAILED');
+        }
         break;
 
       default:
@@ -158,8 +226,9 @@ router.post('/webhooks', express.raw({ type: 'application/json' }), async (req,
 
     res.json({ received: true });
   } catch (error) {
+    // 500 so the provider retries the delivery
     console.error('Webhook error:', error);
-    res.status(400).json({ error: 'Webhook error' });
+    res.status(500).json({ error: 'Webhook error' });
   }
 });
 
@@ -191,12 +260,40 @@ router.get('/methods', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/payments/methods:
+ *   post:
+ *     summary: Save a payment method
+ *     description: Attach a payment method created client-side (Stripe Elements) to the user's Stripe customer. Card brand and last four digits are read from Stripe.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stripePaymentMethodId
+ *             properties:
+ *               stripePaymentMethodId:
+ *                 type: string
+ *                 example: pm_card_visa
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Payment method saved successfully
+ *       400:
+ *         description: Validation error or payment method already saved
+ */
 // Save payment method
 router.post('/methods', [
   authenticateToken,
   body('stripePaymentMethodId').notEmpty(),
-  body('cardLastFour').isLength({ min: 4, max: 4 }),
-  body('cardBrand').notEmpty()
+  body('isDefault').optional().isBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -204,7 +301,25 @@ router.post('/methods', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { stripePaymentMethodId, cardLastFour, cardBrand, isDefault } = req.body;
+    const { stripePaymentMethodId, isDefault } = req.body;
+
+    const existingMethod = await prisma.paymentMethod.findFirst({
+      where: {
+        userId: req.user.id,
+        stripePaymentMethodId
+      }
+    });
+
+    if (existingMethod) {
+      return res.status(400).json({ error: 'Payment method already saved' });
+    }
+
+    const customerId = await getOrCreateCustomerId(req.user.id);
+    const attached = await getPaymentProvider().attachPaymentMethod(stripePaymentMethodId, customerId);
+
+    if (!attached.card) {
+      return res.status(400).json({ error: 'Only card payment methods are supported' });
+    }
 
     // If this is set as default, unset other defaults
     if (isDefault) {
@@ -217,9 +332,9 @@ router.post('/methods', [
     const paymentMethod = await prisma.paymentMethod.create({
       data: {
         userId: req.user.id,
-        stripePaymentMethodId,
-        cardLastFour,
-        cardBrand,
+        stripePaymentMethodId: attached.id,
+        cardLastFour: attached.card.last4,
+        cardBrand: attached.card.brand,
         isDefault: isDefault || false
       }
     });
@@ -247,8 +362,7 @@ router.delete('/methods/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Payment method not found' });
     }
 
-    // Delete from mock Stripe (replace with real Stripe)
-    await mockStripe.paymentMethods.detach(paymentMethod.stripePaymentMethodId);
+    await getPaymentProvider().detachPaymentMethod(paymentMethod.stripePaymentMethodId);
 
     // Delete from database
     await prisma.paymentMethod.delete({
@@ -262,4 +376,182 @@ router.delete('/methods/:id', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/payments/refunds:
+ *   post:
+ *     summary: Refund an order (Admin only)
+ *     description: Refund a paid order in full, or per order item for a partial refund. Sets the order payment status to REFUNDED or PARTIAL.
+ *     tags: [Payments, Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *             properties:
+ *               orderId:
+ *                 type: integer
+ *                 example: 1
+ *               items:
+ *                 type: array
+ *                 description: Omit for a full refund of everything not yet refunded
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     orderItemId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *               reason:
+ *                 type: string
+ *               restock:
+ *                 type: boolean
+ *                 description: Return the refunded quantities to inventory
+ *     responses:
+ *       201:
+ *         description: Refund created
+ *       400:
+ *         description: Order not paid, already refunded, or invalid items
+ *       404:
+ *         description: Order not found
+ *       502:
+ *         description: The payment provider rejected the refund
+ */
+// Refund an order (Admin only)
+router.post('/refunds', [
+  authenticateToken,
+  requireAdmin,
+  body('orderId').isInt(),
+  body('items').optional().isArray({ min: 1 }),
+  body('items.*.orderItemId').optional().isInt(),
+  body('items.*.quantity').optional().isInt({ min: 1 }),
+  body('reason').optional().isLength({ max: 500 }),
+  body('restock').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { orderId, items, reason, restock = false } = req.body;
+
+    const refund = await refundOrder({
+      orderId: parseInt(orderId),
+      items: items && items.map(item => ({ orderItemId: parseInt(item.orderItemId), quantity: parseInt(item.quantity) })),
+      reason,
+      restock,
+      actorId: req.user.id
+    });
+
+    if (refund.status === 'FAILED') {
+      return res.status(502).json({ error: 'Refund was rejected by the payment provider', refund });
+    }
+
+    res.status(201).json({ message: 'Refund created successfully', refund });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+    console.error('Error creating refund:', error);
+    res.status(500).json({ error: 'Failed to create refund' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/refunds/{id}/complete:
+ *   post:
+ *     summary: Record a preorder deposit refund as paid out (Admin only)
+ *     description: Deposit refunds are paid out by hand and stay PENDING until recorded here. SUCCEEDED emails the customer.
+ *     tags: [Payments, Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [SUCCEEDED, FAILED]
+ *                 default: SUCCEEDED
+ *               reference:
+ *                 type: string
+ *                 description: Payout reference, stored as the refund's providerRefundId
+ *     responses:
+ *       200:
+ *         description: Refund updated
+ *       400:
+ *         description: Refund is not pending
+ *       404:
+ *         description: Deposit refund not found
+ */
+// Record a deposit refund as paid out (Admin only)
+router.post('/refunds/:id/complete', [
+  authenticateToken,
+  requireAdmin,
+  body('status').optional().isIn(['SUCCEEDED', 'FAILED']),
+  body('reference').optional().trim().isLength({ min: 1, max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const refund = await completeDepositRefund(parseInt(req.params.id), {
+      status: req.body.status,
+      reference: req.body.reference
+    });
+
+    res.json({ message: 'Refund updated successfully', refund });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+    console.error('Error completing refund:', error);
+    res.status(500).json({ error: 'Failed to complete refund' });
+  }
+});
+
+// Get refunds (Admin only)
+router.get('/refunds', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const { orderId, preorderId } = req.query;
+
+    const refunds = await prisma.refund.findMany({
+      where: {
+        ...(orderId && { orderId: parseInt(orderId) }),
+        ...(preorderId && { preorderId: parseInt(preorderId) })
+      },
+      include: {
+        items: true,
+        createdBy: {
+          select: { id: true, firstName: true, lastName: true, email: true }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(refunds);
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
+    res.status(500).json({ error: 'Failed to fetch refunds' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,12 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { refundPreorderDeposit } = require('../lib/refunds');
+const { preorderStateMachine } = require('../lib/stateMachine');
+const { changePreorderStatus, queuePreorderStatusNotification } = require('../lib/preorderStatus');
+const { allocatePreorders, cancelAllocatedOrder } = require('../lib/preorderFulfilment');
+const { adjustInventory } = require('../lib/inventory');
+const { sendHttpError } = require('../lib/errors');
 
 const router = express.Router();
 
@@ -34,6 +40,19 @@ const router = express.Router();
  *           format: date
  *         trackingNumber:
  *           type: string
+ *         adminNotes:
+ *           type: string
+ *         cancellationReason:
+ *           type: string
+ *         shippedAt:
+ *           type: string
+ *           format: date-time
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
  */
 
 /**
@@ -219,6 +238,13 @@ router.post('/', [
             categoryName: product.category?.name,
             createdByIP: req.ip,
             userAgent: req.get('User-Agent')
+          },
+          statusHistory: {
+            create: {
+              toStatus: deposit > 0 ? 'CONFIRMED' : 'PENDING',
+              note: 'Preorder placed',
+              changedById: req.user.id
+            }
           }
         },
         include: {
@@ -241,20 +267,12 @@ router.post('/', [
         }
       });
 
-      // Update product preorder statistics
-      await tx.product.update({
-        where: { id: parseInt(productId) },
-        data: {
-          totalPreorders: {
-            increment: quantity
-          }
-        }
-      });
+      // Preorders placed with a deposit start out CONFIRMED
+      await queuePreorderStatusNotification(tx, newPreorder.id, newPreorder.status);
 
       return newPreorder;
     });
 
-    // TODO: Send confirmation email
     console.log(`Preorder created: ${preorder.id} for user ${req.user.id}`);
 
     res.status(201).json({ 
@@ -606,6 +624,133 @@ router.get('/admin/all', [authenticateToken, requireAdmin], async (req, res) =>
   }
 });
 
+/**
+ * @swagger
+ * /api/preorders/admin/allocate:
+ *   post:
+ *     summary: Allocate received stock to preorders (Admin only)
+ *     description: |
+ *       Optionally records received stock, then allocates the product's stock to its CONFIRMED
+ *       preorders first-come-first-served. Each allocated preorder moves to READY and gets a
+ *       PREORDER order holding its stock; the remaining balance is charged to the customer's
+ *       default saved card. Preorders that can't be filled stay CONFIRMED in the queue.
+ *     tags: [Preorders, Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: integer
+ *               productVariantId:
+ *                 type: integer
+ *                 description: Only allocate preorders for this variant
+ *               received:
+ *                 type: array
+ *                 description: Stock that just arrived, recorded as RESTOCK before allocating
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productVariantId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *     responses:
+ *       200:
+ *         description: Allocation results (allocated and still queued preorders)
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Product or variant not found
+ */
+// Allocate stock to preorders (Admin only) - MUST BE BEFORE /:id routes
+router.post('/admin/allocate', [
+  authenticateToken,
+  requireAdmin,
+  body('productId').isInt(),
+  body('productVariantId').optional().isInt(),
+  body('received').optional().isArray({ min: 1 }),
+  body('received.*.productVariantId').optional().isInt(),
+  body('received.*.quantity').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const productId = parseInt(req.body.productId);
+    const productVariantId = req.body.productVariantId ? parseInt(req.body.productVariantId) : null;
+    const received = req.body.received || [];
+
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      include: {
+        variants: {
+          select: { id: true }
+        }
+      }
+    });
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const variantIds = [productVariantId, ...received.map(item => parseInt(item.productVariantId))].filter(Boolean);
+    const unknownVariant = variantIds.find(id => !product.variants.some(variant => variant.id === id));
+    if (unknownVariant) {
+      return res.status(404).json({ error: 'Product variant not found for this product', productVariantId: unknownVariant });
+    }
+
+    if (received.length > 0) {
+      await prisma.$transaction(async (tx) => {
+        for (const item of received) {
+          await tx.inventory.upsert({
+            where: { productVariantId: parseInt(item.productVariantId) },
+            update: {},
+            create: { productVariantId: parseInt(item.productVariantId) }
+          });
+
+          await adjustInventory(tx, {
+            productVariantId: parseInt(item.productVariantId),
+            change: parseInt(item.quantity),
+            reason: 'RESTOCK',
+            actorId: req.user.id,
+            note: 'Received for preorders'
+          });
+        }
+      });
+    }
+
+    const result = await allocatePreorders({
+      productId,
+      productVariantId,
+      actorId: req.user.id
+    });
+
+    res.json({
+      message: `Allocated ${result.allocated.length} preorder(s), ${result.queued.length} still queued`,
+      ...result
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+    console.error('Error allocating preorders:', error);
+    res.status(500).json({ error: 'Failed to allocate preorders' });
+  }
+});
+
 /**
  * @swagger
  * /api/preorders/{id}/cancel:
@@ -651,62 +796,52 @@ router.put('/:id/cancel', authenticateToken, async (req, res) => {
       });
     }
 
-    // Use transaction for cancellation
-    const result = await prisma.$transaction(async (tx) => {
-      const updatedPreorder = await tx.preorder.update({
-        where: { id: parseInt(id) },
-        data: { 
-          status: 'CANCELLED',
-          cancelledAt: new Date(),
-          cancellationReason: reason || 'Cancelled by customer',
-          metadata: {
-            ...preorder.metadata,
-            cancelledByUser: true,
-            cancellationIP: req.ip
-          }
-        },
-        include: {
-          product: {
-            select: { name: true }
-          },
-          productVariant: {
-            include: {
-              color: true,
-              size: true
-            }
-          }
+    await changePreorderStatus(preorder.id, 'CANCELLED', {
+      actorId: req.user.id,
+      note: reason || 'Cancelled by customer',
+      data: {
+        cancellationReason: reason || 'Cancelled by customer',
+        metadata: {
+          ...preorder.metadata,
+          cancelledByUser: true,
+          cancellationIP: req.ip
         }
-      });
+      }
+    });
 
-      // Update product preorder statistics
-      await tx.product.update({
-        where: { id: preorder.productId },
-        data: {
-          totalPreorders: {
-            decrement: preorder.quantity
+    const result = await prisma.preorder.findUnique({
+      where: { id: preorder.id },
+      include: {
+        product: {
+          select: { name: true }
+        },
+        productVariant: {
+          include: {
+            color: true,
+            size: true
           }
         }
-      });
-
-      return updatedPreorder;
+      }
     });
 
-    // TODO: Process refund if deposit was paid
-    if (preorder.depositPaid > 0) {
-      console.log(`Refund needed for preorder ${id}: $${preorder.depositPaid}`);
-      // Implement refund logic here
-    }
+    // Refund the deposit if one was paid
+    const refund = await refundPreorderDeposit(preorder.id, {
+      reason: reason || 'Cancelled by customer'
+    });
 
     res.json({ 
       message: 'Preorder cancelled successfully', 
       preorder: result,
-      refundInfo: preorder.depositPaid > 0 ? {
-        amount: preorder.depositPaid,
-        status: 'PENDING_REFUND',
-        estimatedDays: 5-7
+      refundInfo: refund ? {
+        id: refund.id,
+        amount: refund.amount,
+        status: refund.status
       } : null
     });
   } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
     console.error('Error cancelling preorder:', error);
     res.status(500).json({ error: 'Failed to cancel preorder' });
   }
@@ -747,7 +882,7 @@ router.put('/:id/cancel', authenticateToken, async (req, res) => {
 router.put('/:id/status', [
   authenticateToken,
   requireAdmin,
-  body('status').isIn(['PENDING', 'CONFIRMED', 'READY', 'SHIPPED', 'DELIVERED', 'CANCELLED', 'EXPIRED'])
+  body('status').isIn(preorderStateMachine.statuses)
     .withMessage('Invalid status value'),
   body('trackingNumber').optional().isLength({ min: 3 }).withMessage('Tracking number must be at least 3 characters'),
   body('notes').optional().isLength({ max: 500 }).withMessage('Notes must be less than 500 characters')
@@ -782,38 +917,27 @@ router.put('/:id/status', [
     }
 
     // Validate status transitions
-    const validTransitions = {
-      PENDING: ['CONFIRMED', 'CANCELLED', 'EXPIRED'],
-      CONFIRMED: ['READY', 'CANCELLED'],
-      READY: ['SHIPPED', 'CANCELLED'],
-      SHIPPED: ['DELIVERED'],
-      DELIVERED: [],
-      CANCELLED: [],
-      EXPIRED: []
-    };
-
-    if (!validTransitions[currentPreorder.status].includes(status)) {
+    if (!preorderStateMachine.canTransition(currentPreorder.status, status)) {
       return res.status(400).json({ 
         error: 'Invalid status transition',
         currentStatus: currentPreorder.status,
         requestedStatus: status,
-        validTransitions: validTransitions[currentPreorder.status]
+        validTransitions: preorderStateMachine.allowedTransitions(currentPreorder.status)
       });
     }
 
-    const updateData = { 
-      status,
-      updatedBy: req.user.id,
-      ...(trackingNumber && { trackingNumber }),
-      ...(notes && { adminNotes: notes }),
-      ...(status === 'SHIPPED' && { shippedAt: new Date() }),
-      ...(status === 'DELIVERED' && { deliveredAt: new Date() }),
-      ...(status === 'CANCELLED' && { cancelledAt: new Date() })
-    };
+    await changePreorderStatus(currentPreorder.id, status, {
+      actorId: req.user.id,
+      note: notes || `Status changed from ${currentPreorder.status} to ${status}`,
+      data: {
+        ...(trackingNumber && { trackingNumber }),
+        ...(notes && { adminNotes: notes }),
+        ...(status === 'CANCELLED' && { cancellationReason: notes || 'Cancelled by admin' })
+      }
+    });
 
-    const preorder = await prisma.preorder.update({
-      where: { id: parseInt(id) },
-      data: updateData,
+    const preorder = await prisma.preorder.findUnique({
+      where: { id: currentPreorder.id },
       include: {
         user: {
           select: { email: true, firstName: true, lastName: true }
@@ -830,19 +954,19 @@ router.put('/:id/status', [
       }
     });
 
-    // Create status history record
-    await prisma.preorderStatusHistory.create({
-      data: {
-        preorderId: parseInt(id),
-        fromStatus: currentPreorder.status,
-        toStatus: status,
-        changedBy: req.user.id,
-        notes: notes || `Status changed from ${currentPreorder.status} to ${status}`,
-        timestamp: new Date()
-      }
-    });
+    // Cancelling a paid preorder refunds its deposit
+    if (status === 'CANCELLED') {
+      await refundPreorderDeposit(preorder.id, {
+        reason: notes || 'Cancelled by admin',
+        actorId: req.user.id
+      });
+    }
+
+    // A READY preorder already has an order holding its stock
+    if (status === 'CANCELLED' && preorder.orderId) {
+      await cancelAllocatedOrder(preorder.orderId, notes || 'Preorder cancelled by admin', req.user.id);
+    }
 
-    // TODO: Send notification email to customer
     console.log(`Preorder ${id} status updated to ${status} for user ${preorder.user.email}`);
 
     res.json({ 
@@ -856,6 +980,9 @@ router.put('/:id/status', [
       }
     });
   } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
     console.error('Error updating preorder status:', error);
     res.status(500).json({ error: 'Failed to update preorder status' });
   }
@@ -866,6 +993,7 @@ router.put('/:id/status', [
  * /api/preorders/{id}:
  *   get:
  *     summary: Get specific preorder details
+ *     description: Includes the full status history (timeline), oldest first, with who made each change
  *     tags: [Preorders]
  *     security:
  *       - bearerAuth: []
@@ -903,11 +1031,11 @@ router.get('/:id', authenticateToken, async (req, res) => {
         shippingAddress: true,
         statusHistory: {
           include: {
-            changedByUser: {
-              select: { firstName: true, lastName: true, email: true }
+            changedBy: {
+              select: { id: true, firstName: true, lastName: true, role: true }
             }
           },
-          orderBy: { timestamp: 'desc' }
+          orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
         }
       }
     });
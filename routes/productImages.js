@@ -0,0 +1,308 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { uploadImages } = require('../middleware/upload');
+const { getStorage } = require('../lib/storage');
+const {
+  processImage,
+  storeImage,
+  deleteStoredImage,
+  imageOwnerWhere,
+  syncImageUrls,
+  formatProductImage
+} = require('../lib/images');
+const { computeImageFeatures } = require('../lib/visualSearch');
+const { sendHttpError } = require('../lib/errors');
+
+// Mounted at /api/products/:productId/images
+const router = express.Router({ mergeParams: true });
+
+// The variant has to belong to the product. Returns the 404 message, or null.
+const findOwnerError = async (productId, productVariantId) => {
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    select: { id: true }
+  });
+
+  if (!product) {
+    return 'Product not found';
+  }
+
+  if (productVariantId) {
+    const variant = await prisma.productVariant.findFirst({
+      where: { id: productVariantId, productId },
+      select: { id: true }
+    });
+
+    if (!variant) {
+      return 'Product variant not found';
+    }
+  }
+
+  return null;
+};
+
+// Get a product's images in display order: the product's own, or one
+// variant's with ?variantId=
+router.get('/', [
+  query('variantId').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const images = await prisma.productImage.findMany({
+      where: imageOwnerWhere(parseInt(req.params.productId), req.query.variantId ? parseInt(req.query.variantId) : null),
+      orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }]
+    });
+
+    res.json(images.map(formatProductImage));
+  } catch (error) {
+    console.error('Error fetching product images:', error);
+    res.status(500).json({ error: 'Failed to fetch product images' });
+  }
+});
+
+// Upload images (Admin only). multipart/form-data with the files in `images`
+// and optional productVariantId, altText and isPrimary fields. New images go
+// after the existing ones; the first image an owner gets becomes its primary.
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  uploadImages('images'),
+  body('productVariantId').optional().isInt({ min: 1 }).toInt(),
+  body('altText').optional().trim().isLength({ max: 255 }),
+  body('isPrimary').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  const storage = getStorage();
+  const stored = [];
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'Attach at least one image in the "images" field' });
+    }
+
+    const productId = parseInt(req.params.productId);
+    const { productVariantId = null, altText = null, isPrimary = false } = req.body;
+
+    const ownerError = await findOwnerError(productId, productVariantId);
+    if (ownerError) {
+      return res.status(404).json({ error: ownerError });
+    }
+
+    // Check every file before writing any of them
+    const processed = [];
+    const features = [];
+    for (const file of req.files) {
+      processed.push(await processImage(file.buffer));
+      features.push(await computeImageFeatures(file.buffer));
+    }
+
+    for (const [index, file] of req.files.entries()) {
+      stored.push(await storeImage(storage, productId, file.buffer, processed[index]));
+    }
+
+    const owner = imageOwnerWhere(productId, productVariantId);
+
+    const images = await prisma.$transaction(async (tx) => {
+      const last = await tx.productImage.aggregate({
+        where: owner,
+        _max: { sortOrder: true }
+      });
+      const hasPrimary = await tx.productImage.count({ where: { ...owner, isPrimary: true } }) > 0;
+
+      if (isPrimary && hasPrimary) {
+        await tx.productImage.updateMany({ where: owner, data: { isPrimary: false } });
+      }
+
+      const created = [];
+      for (const [index, image] of stored.entries()) {
+        created.push(await tx.productImage.create({
+          data: {
+            ...owner,
+            ...image,
+            ...features[index],
+            altText,
+            sortOrder: (last._max.sortOrder ?? 0) + index + 1,
+            isPrimary: index === 0 && (isPrimary || !hasPrimary)
+          }
+        }));
+      }
+
+      await syncImageUrls(tx, productId, productVariantId);
+
+      return created;
+    });
+
+    res.status(201).json({
+      message: `${images.length} images uploaded`,
+      images: images.map(formatProductImage)
+    });
+  } catch (error) {
+    await Promise.all(stored.map(image => deleteStoredImage(storage, image).catch(() => {})));
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+    console.error('Error uploading product images:', error);
+    res.status(500).json({ error: 'Failed to upload product images' });
+  }
+});
+
+// Reorder images (Admin only). imageIds lists every image of the product, or
+// of the variant given as productVariantId, in the new order.
+router.put('/reorder', [
+  authenticateToken,
+  requireAdmin,
+  body('productVariantId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  body('imageIds').isArray({ min: 1 }),
+  body('imageIds.*').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const productId = parseInt(req.params.productId);
+    const { productVariantId = null, imageIds } = req.body;
+    const owner = imageOwnerWhere(productId, productVariantId);
+
+    const current = await prisma.productImage.findMany({ where: owner, select: { id: true } });
+    const known = new Set(current.map(image => image.id));
+
+    if (new Set(imageIds).size !== imageIds.length ||
+        imageIds.length !== known.size ||
+        imageIds.some(id => !known.has(id))) {
+      return res.status(400).json({ error: 'imageIds must list every image exactly once' });
+    }
+
+    const images = await prisma.$transaction(async (tx) => {
+      for (const [index, id] of imageIds.entries()) {
+        await tx.productImage.update({ where: { id }, data: { sortOrder: index + 1 } });
+      }
+
+      await syncImageUrls(tx, productId, productVariantId);
+
+      return tx.productImage.findMany({ where: owner, orderBy: { sortOrder: 'asc' } });
+    });
+
+    res.json({ message: 'Images reordered successfully', images: images.map(formatProductImage) });
+  } catch (error) {
+    console.error('Error reordering product images:', error);
+    res.status(500).json({ error: 'Failed to reorder product images' });
+  }
+});
+
+// Update an image's alt text or make it the primary image (Admin only)
+router.put('/:imageId', [
+  authenticateToken,
+  requireAdmin,
+  body('altText').optional({ values: 'null' }).trim().isLength({ max: 255 }),
+  body('isPrimary').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const productId = parseInt(req.params.productId);
+    const { altText, isPrimary } = req.body;
+
+    const existing = await prisma.productImage.findFirst({
+      where: { id: parseInt(req.params.imageId), productId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    if (isPrimary === false && existing.isPrimary) {
+      return res.status(400).json({ error: 'Make another image primary instead' });
+    }
+
+    const image = await prisma.$transaction(async (tx) => {
+      if (isPrimary && !existing.isPrimary) {
+        await tx.productImage.updateMany({
+          where: imageOwnerWhere(productId, existing.productVariantId),
+          data: { isPrimary: false }
+        });
+      }
+
+      const updated = await tx.productImage.update({
+        where: { id: existing.id },
+        data: {
+          ...(altText !== undefined && { altText }),
+          ...(isPrimary !== undefined && { isPrimary })
+        }
+      });
+
+      if (isPrimary && !existing.isPrimary) {
+        await syncImageUrls(tx, productId, existing.productVariantId);
+      }
+
+      return updated;
+    });
+
+    res.json({ message: 'Image updated successfully', image: formatProductImage(image) });
+  } catch (error) {
+    console.error('Error updating product image:', error);
+    res.status(500).json({ error: 'Failed to update product image' });
+  }
+});
+
+// Delete an image and its files (Admin only). When it was the primary image,
+// the next one in order takes over.
+router.delete('/:imageId', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const productId = parseInt(req.params.productId);
+
+    const image = await prisma.productImage.findFirst({
+      where: { id: parseInt(req.params.imageId), productId }
+    });
+
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const owner = imageOwnerWhere(productId, image.productVariantId);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.productImage.delete({ where: { id: image.id } });
+
+      if (image.isPrimary) {
+        const next = await tx.productImage.findFirst({
+          where: owner,
+          orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }]
+        });
+
+        if (next) {
+          await tx.productImage.update({ where: { id: next.id }, data: { isPrimary: true } });
+        }
+      }
+
+      await syncImageUrls(tx, productId, image.productVariantId, [image.url]);
+    });
+
+    // Files go once the row is gone; a failure here only leaves orphaned files
+    await deleteStoredImage(getStorage(), image).catch(error => {
+      console.error('Error deleting stored image files:', error);
+    });
+
+    res.json({ message: 'Image deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting product image:', error);
+    res.status(500).json({ error: 'Failed to delete product image' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,17 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { resolveRequestCurrency } = require('../middleware/currency');
+const { localizeProduct, localizeVariant, assertValidCurrencyPrices } = require('../lib/currency');
+const { categoryAndDescendantIds } = require('../lib/categories');
+const { findSizeChartForProduct } = require('../lib/sizeCharts');
+const { availableQuantity, setInventoryLevels } = require('../lib/inventory');
+const { planVariantMatrix } = require('../lib/variants');
+const { deleteStoredImage } = require('../lib/images');
+const { getStorage } = require('../lib/storage');
+const { OVERRIDE_STATUSES, refreshProductStockStatus } = require('../lib/stockStatus');
+const { queuePriceDropAlerts } = require('../lib/productAlerts');
+const { createHttpError, sendHttpError } = require('../lib/errors');
 
 const router = express.Router();
 
@@ -89,7 +100,7 @@ const aiHelpers = {
           variants: {
             include: {
               color: true,
-              inventory: { select: { quantity: true } }
+              inventory: { select: { quantity: true, reservedQuantity: true } }
             }
           },
           reviews: { select: { rating: true } }
@@ -116,7 +127,7 @@ const aiHelpers = {
         score += avgRating * 4;
         
         // Stock availability score
-        const totalStock = product.variants.reduce((sum, v) => sum + (v.inventory?.quantity || 0), 0);
+        const totalStock = product.variants.reduce((sum, v) => sum + availableQuantity(v.inventory), 0);
         if (totalStock > 0) score += 15;
         if (totalStock > 10) score += 5;
         
@@ -294,7 +305,8 @@ const aiHelpers = {
  *       - in: query
  *         name: category
  *         schema:
- *           type: integer
+ *           type: string
+ *         description: Category id or slug; includes its subcategories
  *       - in: query
  *         name: search
  *         schema:
@@ -335,12 +347,17 @@ const aiHelpers = {
  *           type: string
  *           enum: [asc, desc]
  *           default: desc
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Currency to show prices in (or the X-Currency header); defaults to the store's base currency
  *     responses:
  *       200:
  *         description: Products retrieved successfully with AI enhancements
  */
 // Get all products with advanced filtering and AI features
-router.get('/', async (req, res) => {
+router.get('/', resolveRequestCurrency, async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -362,15 +379,22 @@ router.get('/', async (req, res) => {
     const skip = (page - 1) * limit;
     const take = parseInt(limit);
 
+    // Price filters are in the display currency; they are matched against
+    // the base price at the exchange rate, ignoring per-currency overrides
+    const basePriceOf = (price) => parseFloat(price) / req.currency.rate;
+
+    // A category (id or slug) matches its subcategories' products too
+    const categoryIds = category ? await categoryAndDescendantIds(prisma, category) : null;
+
     // Build complex where clause with AI-enhanced filtering
     const where = {
       isActive: true,
-      ...(category && { categoryId: parseInt(category) }),
+      ...(categoryIds && { categoryId: { in: categoryIds } }),
       ...(stockStatus && { stockStatus }),
-      ...(minPrice && { basePrice: { gte: parseFloat(minPrice) } }),
+      ...(minPrice && { basePrice: { gte: basePriceOf(minPrice) } }),
       ...(maxPrice && { 
         basePrice: { 
-          ...(minPrice ? { gte: parseFloat(minPrice), lte: parseFloat(maxPrice) } : { lte: parseFloat(maxPrice) })
+          ...(minPrice ? { gte: basePriceOf(minPrice), lte: basePriceOf(maxPrice) } : { lte: basePriceOf(maxPrice) })
         }
       }),
       ...(allowPreorder === 'true' && { allowPreorder: true }),
@@ -448,8 +472,8 @@ router.get('/', async (req, res) => {
       prisma.product.count({ where })
     ]);
 
-    // AI-enhanced product processing
-    const enhancedProducts = await Promise.all(products.map(async (product) => {
+    // AI-enhanced product processing, with prices in the display currency
+    const enhancedProducts = await Promise.all(products.map(product => localizeProduct(product, req.currency)).map(async (product) => {
       // Calculate comprehensive stock metrics
       const stockMetrics = calculateStockMetrics(product);
       
@@ -494,7 +518,7 @@ router.get('/', async (req, res) => {
         // Variant summary
         variantSummary: {
           total: product.variants.length,
-          inStock: product.variants.filter(v => (v.inventory?.quantity || 0) > 0).length,
+          inStock: product.variants.filter(v => availableQuantity(v.inventory) > 0).length,
           colors: colorAvailability.available.length,
           sizes: sizeAvailability.available.length
         }
@@ -508,6 +532,7 @@ router.get('/', async (req, res) => {
     }
 
     res.json({
+      currency: req.currency.code,
       products: enhancedProducts,
       pagination: {
         total,
@@ -565,7 +590,7 @@ router.get('/', async (req, res) => {
  *           type: boolean
  */
 // Get product variants with filtering
-router.get('/:id/variants', async (req, res) => {
+router.get('/:id/variants', resolveRequestCurrency, async (req, res) => {
   try {
     const { id } = req.params;
     const { colorId, sizeId, inStock } = req.query;
@@ -595,11 +620,12 @@ router.get('/:id/variants', async (req, res) => {
       ]
     });
 
-    const enhancedVariants = variants.map(variant => ({
+    const enhancedVariants = variants.map(variant => localizeVariant(variant, req.currency)).map(variant => ({
       id: variant.id,
       productId: variant.productId,
       sku: variant.sku,
       price: variant.price,
+      currency: req.currency.code,
       images: variant.images,
       stockStatus: variant.stockStatus,
       color: variant.color,
@@ -607,11 +633,11 @@ router.get('/:id/variants', async (req, res) => {
       inventory: {
         quantity: variant.inventory?.quantity || 0,
         reservedQuantity: variant.inventory?.reservedQuantity || 0,
-        availableQuantity: (variant.inventory?.quantity || 0) - (variant.inventory?.reservedQuantity || 0),
+        availableQuantity: availableQuantity(variant.inventory),
         lowStockThreshold: variant.inventory?.lowStockThreshold || 10,
-        isInStock: (variant.inventory?.quantity || 0) > 0,
-        isLowStock: (variant.inventory?.quantity || 0) <= (variant.inventory?.lowStockThreshold || 10),
-        stockLevel: getStockLevel(variant.inventory?.quantity || 0, variant.inventory?.lowStockThreshold || 10)
+        isInStock: availableQuantity(variant.inventory) > 0,
+        isLowStock: availableQuantity(variant.inventory) <= (variant.inventory?.lowStockThreshold || 10),
+        stockLevel: getStockLevel(availableQuantity(variant.inventory), variant.inventory?.lowStockThreshold || 10)
       }
     }));
 
@@ -659,7 +685,7 @@ router.get('/:id/colors', async (req, res) => {
       include: {
         color: true,
         inventory: {
-          select: { quantity: true }
+          select: { quantity: true, reservedQuantity: true }
         }
       },
       distinct: ['colorId']
@@ -668,9 +694,9 @@ router.get('/:id/colors', async (req, res) => {
     const colors = variants
       .map(variant => ({
         ...variant.color,
-        hasStock: (variant.inventory?.quantity || 0) > 0,
-        stockCount: variant.inventory?.quantity || 0,
-        isPopular: (variant.inventory?.quantity || 0) > 20 // AI insight
+        hasStock: availableQuantity(variant.inventory) > 0,
+        stockCount: availableQuantity(variant.inventory),
+        isPopular: availableQuantity(variant.inventory) > 20 // AI insight
       }))
       .filter(color => color.id);
 
@@ -704,7 +730,7 @@ router.get('/:id/colors', async (req, res) => {
  *           default: 6
  */
 // Get AI-powered recommendations
-router.get('/:id/recommendations', async (req, res) => {
+router.get('/:id/recommendations', resolveRequestCurrency, async (req, res) => {
   try {
     const { id } = req.params;
     const { userId, limit = 6 } = req.query;
@@ -712,13 +738,14 @@ router.get('/:id/recommendations', async (req, res) => {
     const recommendations = await aiHelpers.getProductRecommendations(id, userId);
     
     const formattedRecommendations = recommendations.slice(0, parseInt(limit)).map(product => ({
-      ...formatProductSummary(product),
+      ...formatProductSummary(localizeProduct(product, req.currency)),
       aiScore: product.aiScore,
       recommendationReason: generateRecommendationReason(product, id)
     }));
 
     res.json({
       productId: parseInt(id),
+      currency: req.currency.code,
       recommendations: formattedRecommendations,
       algorithm: 'hybrid-collaborative-content',
       personalized: !!userId,
@@ -735,7 +762,7 @@ router.get('/:id/recommendations', async (req, res) => {
  * /api/products/{id}:
  *   get:
  *     summary: Get detailed product information with AI insights
- *     description: Retrieve comprehensive product details including variants, AI recommendations, and enhanced analytics
+ *     description: Retrieve comprehensive product details including variants, size availability, the size chart (the product's own or its nearest category's, null when none), AI recommendations, and enhanced analytics
  *     tags: [Products]
  *     parameters:
  *       - in: path
@@ -755,12 +782,12 @@ router.get('/:id/recommendations', async (req, res) => {
  *         description: Product not found
  */
 // Get single product with comprehensive details and AI insights (MUST BE AFTER SPECIFIC ROUTES)
-router.get('/:id', async (req, res) => {
+router.get('/:id', resolveRequestCurrency, async (req, res) => {
   try {
     const { id } = req.params;
     const { userId } = req.query;
     
-    const product = await prisma.product.findFirst({
+    const storedProduct = await prisma.product.findFirst({
       where: { 
         id: parseInt(id),
         isActive: true
@@ -799,10 +826,14 @@ router.get('/:id', async (req, res) => {
       }
     });
 
-    if (!product) {
+    if (!storedProduct) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    // Prices in the display currency
+    const product = localizeProduct(storedProduct, req.currency);
+    const summarize = (related) => formatProductSummary(localizeProduct(related, req.currency));
+
     // Calculate comprehensive metrics
     const stockMetrics = calculateStockMetrics(product);
     const pricingInfo = calculatePricingInfo(product);
@@ -813,6 +844,9 @@ router.get('/:id', async (req, res) => {
     
     // Calculate size availability
     const sizeAvailability = calculateSizeAvailability(product.variants);
+
+    // The product's size chart, or its category's
+    const sizeChart = await findSizeChartForProduct(prisma, storedProduct);
     
     // Get AI enhancements
     const aiEnhancements = await aiHelpers.enhanceProductDescription(product);
@@ -826,7 +860,7 @@ router.get('/:id', async (req, res) => {
     // Get recently viewed alternatives (if user provided)
     let personalizedData = {};
     if (userId) {
-      personalizedData = await getPersonalizedData(userId, id);
+      personalizedData = await getPersonalizedData(userId, id, req.currency);
     }
 
     res.json({
@@ -835,6 +869,7 @@ router.get('/:id', async (req, res) => {
       name: product.name,
       description: product.description,
       basePrice: product.basePrice,
+      currency: req.currency.code,
       sku: product.sku,
       images: product.images,
       stockStatus: product.stockStatus,
@@ -854,13 +889,14 @@ router.get('/:id', async (req, res) => {
       // Variant information
       variantsByColor,
       sizeAvailability,
+      sizeChart,
       
       // AI enhancements
       aiEnhancements,
       
       // Recommendations and cross-sells
-      recommendations: recommendations.map(formatProductSummary),
-      crossSellProducts: crossSellProducts.map(formatProductSummary),
+      recommendations: recommendations.map(summarize),
+      crossSellProducts: crossSellProducts.map(summarize),
       
       // Personalized data
       ...personalizedData,
@@ -881,7 +917,7 @@ router.get('/:id', async (req, res) => {
         title: `${product.name} - Bam&Bosey`,
         description: product.description?.substring(0, 160) || '',
         keywords: generateSEOKeywords(product),
-        schema: generateProductSchema(product, stockMetrics, reviewMetrics)
+        schema: generateProductSchema(product, stockMetrics, reviewMetrics, req.currency.code)
       }
     });
   } catch (error) {
@@ -890,197 +926,6 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-/**
- * @swagger
- * /api/products/{id}/variants:
- *   get:
- *     summary: Get product variants with detailed information
- *     tags: [Products]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *       - in: query
- *         name: colorId
- *         schema:
- *           type: integer
- *       - in: query
- *         name: sizeId
- *         schema:
- *           type: integer
- *       - in: query
- *         name: inStock
- *         schema:
- *           type: boolean
- */
-// Get product variants with filtering
-router.get('/:id/variants', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { colorId, sizeId, inStock } = req.query;
-
-    const where = {
-      productId: parseInt(id),
-      isActive: true,
-      ...(colorId && { colorId: parseInt(colorId) }),
-      ...(sizeId && { sizeId: parseInt(sizeId) }),
-      ...(inStock === 'true' && {
-        inventory: {
-          quantity: { gt: 0 }
-        }
-      })
-    };
-
-    const variants = await prisma.productVariant.findMany({
-      where,
-      include: {
-        color: true,
-        size: true,
-        inventory: true
-      },
-      orderBy: [
-        { color: { name: 'asc' } },
-        { size: { sortOrder: 'asc' } }
-      ]
-    });
-
-    const enhancedVariants = variants.map(variant => ({
-      id: variant.id,
-      productId: variant.productId,
-      sku: variant.sku,
-      price: variant.price,
-      images: variant.images,
-      stockStatus: variant.stockStatus,
-      color: variant.color,
-      size: variant.size,
-      inventory: {
-        quantity: variant.inventory?.quantity || 0,
-        reservedQuantity: variant.inventory?.reservedQuantity || 0,
-        availableQuantity: (variant.inventory?.quantity || 0) - (variant.inventory?.reservedQuantity || 0),
-        lowStockThreshold: variant.inventory?.lowStockThreshold || 10,
-        isInStock: (variant.inventory?.quantity || 0) > 0,
-        isLowStock: (variant.inventory?.quantity || 0) <= (variant.inventory?.lowStockThreshold || 10),
-        stockLevel: getStockLevel(variant.inventory?.quantity || 0, variant.inventory?.lowStockThreshold || 10)
-      }
-    }));
-
-    res.json(enhancedVariants);
-  } catch (error) {
-    console.error('Error fetching variants:', error);
-    res.status(500).json({ error: 'Failed to fetch variants' });
-  }
-});
-
-/**
- * @swagger
- * /api/products/{id}/colors:
- *   get:
- *     summary: Get available colors for a product
- *     tags: [Products]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *       - in: query
- *         name: inStock
- *         schema:
- *           type: boolean
- */
-// Get available colors for a product
-router.get('/:id/colors', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { inStock } = req.query;
-
-    const variants = await prisma.productVariant.findMany({
-      where: {
-        productId: parseInt(id),
-        isActive: true,
-        colorId: { not: null },
-        ...(inStock === 'true' && {
-          inventory: {
-            quantity: { gt: 0 }
-          }
-        })
-      },
-      include: {
-        color: true,
-        inventory: {
-          select: { quantity: true }
-        }
-      },
-      distinct: ['colorId']
-    });
-
-    const colors = variants
-      .map(variant => ({
-        ...variant.color,
-        hasStock: (variant.inventory?.quantity || 0) > 0,
-        stockCount: variant.inventory?.quantity || 0,
-        isPopular: (variant.inventory?.quantity || 0) > 20 // AI insight
-      }))
-      .filter(color => color.id);
-
-    res.json(colors);
-  } catch (error) {
-    console.error('Error fetching colors:', error);
-    res.status(500).json({ error: 'Failed to fetch colors' });
-  }
-});
-
-/**
- * @swagger
- * /api/products/{id}/recommendations:
- *   get:
- *     summary: Get AI-powered product recommendations
- *     tags: [Products, AI]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *       - in: query
- *         name: userId
- *         schema:
- *           type: integer
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 6
- */
-// Get AI-powered recommendations
-router.get('/:id/recommendations', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { userId, limit = 6 } = req.query;
-
-    const recommendations = await aiHelpers.getProductRecommendations(id, userId);
-    
-    const formattedRecommendations = recommendations.slice(0, parseInt(limit)).map(product => ({
-      ...formatProductSummary(product),
-      aiScore: product.aiScore,
-      recommendationReason: generateRecommendationReason(product, id)
-    }));
-
-    res.json({
-      productId: parseInt(id),
-      recommendations: formattedRecommendations,
-      algorithm: 'hybrid-collaborative-content',
-      personalized: !!userId,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error fetching recommendations:', error);
-    res.status(500).json({ error: 'Failed to fetch recommendations' });
-  }
-});
-
 /**
  * @swagger
  * /api/products:
@@ -1128,6 +973,13 @@ router.get('/:id/recommendations', async (req, res) => {
  *               expectedStockDate:
  *                 type: string
  *                 format: date
+ *               weightGrams:
+ *                 type: integer
+ *                 description: Shipping weight, used by weight-based shipping rates
+ *               currencyPrices:
+ *                 type: object
+ *                 description: Prices in other currencies that replace the converted basePrice
+ *                 example: { "USD": 24.99 }
  */
 // Create new product (Admin only)
 router.post('/', 
@@ -1144,7 +996,12 @@ router.post('/',
     body('allowPreorder').optional().isBoolean(),
     body('preorderPrice').optional().isFloat({ min: 0 }),
     body('preorderLimit').optional().isInt({ min: 1 }),
-    body('expectedStockDate').optional().isISO8601().toDate()
+    body('expectedStockDate').optional().isISO8601().toDate(),
+    body('weightGrams').optional().isInt({ min: 0 }),
+    body('currencyPrices').optional().custom(currencyPrices => {
+      assertValidCurrencyPrices(currencyPrices);
+      return true;
+    })
   ],
   async (req, res) => {
     try {
@@ -1164,7 +1021,9 @@ router.post('/',
         allowPreorder = false,
         preorderPrice,
         preorderLimit,
-        expectedStockDate
+        expectedStockDate,
+        weightGrams,
+        currencyPrices
       } = req.body;
 
       // Check if SKU already exists
@@ -1197,7 +1056,9 @@ router.post('/',
           allowPreorder,
           preorderPrice: preorderPrice ? parseFloat(preorderPrice) : null,
           preorderLimit: preorderLimit ? parseInt(preorderLimit) : null,
-          expectedStockDate
+          expectedStockDate,
+          weightGrams: weightGrams !== undefined ? parseInt(weightGrams) : null,
+          currencyPrices
         },
         include: {
           category: true
@@ -1220,6 +1081,9 @@ router.post('/',
  * /api/products/{id}:
  *   put:
  *     summary: Update a product (Admin only)
+ *     description: |
+ *       stockStatus is derived from variant inventory. Set DISCONTINUED or PREORDER_ONLY to override it; setting any other status clears the override and recomputes it.
+ *       Variant prices can be changed through `variants`. When basePrice or a variant price lowers the product's lowest price, customers with a price-drop alert are emailed.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -1229,6 +1093,32 @@ router.post('/',
  *         required: true
  *         schema:
  *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               basePrice:
+ *                 type: number
+ *               weightGrams:
+ *                 type: integer
+ *               currencyPrices:
+ *                 type: object
+ *                 description: Prices in other currencies that replace the converted basePrice ({} removes them)
+ *               variants:
+ *                 type: array
+ *                 description: Variant prices to change (null falls back to basePrice)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     price:
+ *                       type: number
+ *                       nullable: true
+ *                     currencyPrices:
+ *                       type: object
  */
 // Update product (Admin only)
 router.put('/:id',
@@ -1246,7 +1136,22 @@ router.put('/:id',
     body('preorderPrice').optional().isFloat({ min: 0 }),
     body('preorderLimit').optional().isInt({ min: 1 }),
     body('expectedStockDate').optional().isISO8601().toDate(),
-    body('isActive').optional().isBoolean()
+    body('weightGrams').optional().isInt({ min: 0 }),
+    body('currencyPrices').optional().custom(currencyPrices => {
+      assertValidCurrencyPrices(currencyPrices);
+      return true;
+    }),
+    body('isActive').optional().isBoolean(),
+    body('variants').optional().isArray({ min: 1 }),
+    body('variants.*.id').isInt(),
+    body('variants.*.price')
+      .optional()
+      .custom(price => price === null || parseFloat(price) >= 0)
+      .withMessage('Variant price must be a positive number or null'),
+    body('variants.*.currencyPrices').optional().custom(currencyPrices => {
+      assertValidCurrencyPrices(currencyPrices);
+      return true;
+    })
   ],
   async (req, res) => {
     try {
@@ -1256,7 +1161,7 @@ router.put('/:id',
       }
 
       const { id } = req.params;
-      const updateData = req.body;
+      const { variants: variantPrices = [], ...updateData } = req.body;
 
       // Check if product exists
       const existingProduct = await prisma.product.findUnique({
@@ -1267,6 +1172,19 @@ router.put('/:id',
         return res.status(404).json({ error: 'Product not found' });
       }
 
+      if (variantPrices.length > 0) {
+        const ownVariants = await prisma.productVariant.count({
+          where: {
+            productId: parseInt(id),
+            id: { in: variantPrices.map(variant => parseInt(variant.id)) }
+          }
+        });
+
+        if (ownVariants !== new Set(variantPrices.map(variant => parseInt(variant.id))).size) {
+          return res.status(400).json({ error: 'Variants must belong to this product' });
+        }
+      }
+
       // Check if SKU is being updated and already exists
       if (updateData.sku && updateData.sku !== existingProduct.sku) {
         const existingSku = await prisma.product.findFirst({
@@ -1298,12 +1216,40 @@ router.put('/:id',
         ...(updateData.basePrice && { basePrice: parseFloat(updateData.basePrice) }),
         ...(updateData.categoryId && { categoryId: parseInt(updateData.categoryId) }),
         ...(updateData.preorderPrice && { preorderPrice: parseFloat(updateData.preorderPrice) }),
-        ...(updateData.preorderLimit && { preorderLimit: parseInt(updateData.preorderLimit) })
+        ...(updateData.preorderLimit && { preorderLimit: parseInt(updateData.preorderLimit) }),
+        ...(updateData.weightGrams !== undefined && { weightGrams: parseInt(updateData.weightGrams) })
       };
 
-      const updatedProduct = await prisma.product.update({
+      // Derived statuses can't be pinned: setting one clears an override
+      const recomputeStockStatus = updateData.stockStatus && !OVERRIDE_STATUSES.includes(updateData.stockStatus);
+
+      await prisma.$transaction(async (tx) => {
+        await tx.product.update({
+          where: { id: parseInt(id) },
+          data: processedUpdateData
+        });
+
+        for (const variant of variantPrices) {
+          await tx.productVariant.update({
+            where: { id: parseInt(variant.id) },
+            data: {
+              ...(variant.price !== undefined && { price: variant.price === null ? null : parseFloat(variant.price) }),
+              ...(variant.currencyPrices !== undefined && { currencyPrices: variant.currencyPrices })
+            }
+          });
+        }
+
+        if (recomputeStockStatus) {
+          await refreshProductStockStatus(tx, parseInt(id));
+        }
+
+        if (updateData.basePrice !== undefined || variantPrices.length > 0) {
+          await queuePriceDropAlerts(tx, parseInt(id));
+        }
+      });
+
+      const updatedProduct = await prisma.product.findUnique({
         where: { id: parseInt(id) },
-        data: processedUpdateData,
         include: {
           category: true,
           variants: {
@@ -1360,6 +1306,7 @@ router.delete('/:id',
         where: { id: parseInt(id) },
         include: {
           variants: true,
+          productImages: true,
           _count: {
             select: {
               orderItems: true
@@ -1402,6 +1349,8 @@ router.delete('/:id',
           });
         });
 
+        await deleteImageFiles(product.productImages);
+
         res.json({ message: 'Product permanently deleted' });
       } else {
         // Soft delete (deactivate)
@@ -1428,8 +1377,428 @@ router.delete('/:id',
   }
 );
 
+/**
+ * @swagger
+ * /api/products/{id}/variants/matrix:
+ *   post:
+ *     summary: Generate a product's color × size variants (Admin only)
+ *     description: |
+ *       Creates a variant for every combination of the given colors and sizes that the product doesn't have yet; existing combinations are skipped and listed in `skipped`.
+ *       Leave colorIds or sizeIds empty for products that only vary by size or by color. SKUs come from `skuTemplate`, where {sku} is the product SKU and {color} and {size} the upper-cased names.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               colorIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               sizeIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               skuTemplate:
+ *                 type: string
+ *                 default: "{sku}-{color}-{size}"
+ *               price:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Price for the new variants (null sells them at basePrice)
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               quantity:
+ *                 type: integer
+ *                 description: Starting stock for each new variant, recorded as a restock
+ *               lowStockThreshold:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Variants created
+ *       400:
+ *         description: Validation error, unknown color or size, or duplicate SKUs
+ *       404:
+ *         description: Product not found
+ */
+// Generate color × size variants (Admin only)
+router.post('/:id/variants/matrix',
+  authenticateToken,
+  requireAdmin,
+  [
+    body('colorIds').optional().isArray(),
+    body('colorIds.*').isInt({ min: 1 }).toInt(),
+    body('sizeIds').optional().isArray(),
+    body('sizeIds.*').isInt({ min: 1 }).toInt(),
+    body('skuTemplate').optional().trim().isLength({ min: 1, max: 100 }),
+    body('price')
+      .optional()
+      .custom(price => price === null || parseFloat(price) >= 0)
+      .withMessage('Variant price must be a positive number or null'),
+    body('images').optional().isArray().withMessage('Images must be an array'),
+    body('quantity').optional().isInt({ min: 0 }).toInt(),
+    body('lowStockThreshold').optional().isInt({ min: 0 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const productId = parseInt(req.params.id);
+      const {
+        colorIds = [],
+        sizeIds = [],
+        skuTemplate,
+        price,
+        images = [],
+        quantity,
+        lowStockThreshold
+      } = req.body;
+
+      if (colorIds.length === 0 && sizeIds.length === 0) {
+        return res.status(400).json({ error: 'Provide colorIds and/or sizeIds' });
+      }
+
+      const product = await prisma.product.findUnique({
+        where: { id: productId },
+        include: { variants: true }
+      });
+
+      if (!product) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+
+      const [colors, sizes] = await Promise.all([
+        prisma.color.findMany({ where: { id: { in: colorIds } }, orderBy: { name: 'asc' } }),
+        prisma.size.findMany({ where: { id: { in: sizeIds } }, orderBy: { sortOrder: 'asc' } })
+      ]);
+
+      const missingColorIds = colorIds.filter(id => !colors.some(color => color.id === id));
+      const missingSizeIds = sizeIds.filter(id => !sizes.some(size => size.id === id));
+
+      if (missingColorIds.length > 0 || missingSizeIds.length > 0) {
+        return res.status(400).json({
+          error: 'Colors or sizes not found',
+          colorIds: missingColorIds,
+          sizeIds: missingSizeIds
+        });
+      }
+
+      const { planned, existing } = planVariantMatrix({
+        product,
+        colors,
+        sizes,
+        existingVariants: product.variants,
+        skuTemplate
+      });
+
+      const created = await prisma.$transaction(async (tx) => {
+        const variantIds = [];
+
+        for (const variant of planned) {
+          const { id } = await tx.productVariant.create({
+            data: {
+              productId,
+              ...variant,
+              price: price === undefined || price === null ? null : parseFloat(price),
+              images
+            }
+          });
+
+          // Also derives the new variant's stock status
+          await setInventoryLevels(tx, {
+            productVariantId: id,
+            quantity,
+            lowStockThreshold,
+            reason: 'RESTOCK',
+            actorId: req.user.id,
+            note: 'Initial stock'
+          });
+
+          variantIds.push(id);
+        }
+
+        if (planned.length > 0 && price !== undefined && price !== null) {
+          await queuePriceDropAlerts(tx, productId);
+        }
+
+        return tx.productVariant.findMany({
+          where: { id: { in: variantIds } },
+          include: { color: true, size: true, inventory: true },
+          orderBy: [{ color: { name: 'asc' } }, { size: { sortOrder: 'asc' } }]
+        });
+      });
+
+      res.status(201).json({
+        message: `${created.length} variants created`,
+        variants: created,
+        skipped: existing.map(({ id, sku, colorId, sizeId }) => ({ id, sku, colorId, sizeId }))
+      });
+    } catch (error) {
+      if (error.status) {
+        return sendHttpError(res, error);
+      }
+      if (error.code === 'P2002') {
+        return res.status(400).json({ error: 'A generated variant SKU already exists' });
+      }
+      console.error('Error generating variants:', error);
+      res.status(500).json({ error: 'Failed to generate variants' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/variants/{variantId}:
+ *   put:
+ *     summary: Update a product variant and its inventory (Admin only)
+ *     description: isActive false hides the variant from the storefront. quantity sets the stock on hand and is recorded as a manual correction.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sku:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *                 nullable: true
+ *               currencyPrices:
+ *                 type: object
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               isActive:
+ *                 type: boolean
+ *               quantity:
+ *                 type: integer
+ *               lowStockThreshold:
+ *                 type: integer
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Variant updated
+ *       400:
+ *         description: Validation error, duplicate SKU, or quantity below what is reserved
+ *       404:
+ *         description: Variant not found
+ */
+// Update variant (Admin only)
+router.put('/:id/variants/:variantId',
+  authenticateToken,
+  requireAdmin,
+  [
+    body('sku').optional().trim().isLength({ min: 1 }).withMessage('SKU cannot be empty'),
+    body('price')
+      .optional()
+      .custom(price => price === null || parseFloat(price) >= 0)
+      .withMessage('Variant price must be a positive number or null'),
+    body('currencyPrices').optional().custom(currencyPrices => {
+      assertValidCurrencyPrices(currencyPrices);
+      return true;
+    }),
+    body('images').optional().isArray().withMessage('Images must be an array'),
+    body('isActive').optional().isBoolean().toBoolean(),
+    body('quantity').optional().isInt({ min: 0 }).toInt(),
+    body('lowStockThreshold').optional().isInt({ min: 0 }).toInt(),
+    body('note').optional().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const productId = parseInt(req.params.id);
+      const variantId = parseInt(req.params.variantId);
+      const { sku, price, currencyPrices, images, isActive, quantity, lowStockThreshold, note } = req.body;
+
+      const existingVariant = await prisma.productVariant.findFirst({
+        where: { id: variantId, productId }
+      });
+
+      if (!existingVariant) {
+        return res.status(404).json({ error: 'Product variant not found' });
+      }
+
+      const variant = await prisma.$transaction(async (tx) => {
+        await tx.productVariant.update({
+          where: { id: variantId },
+          data: {
+            ...(sku !== undefined && { sku }),
+            ...(price !== undefined && { price: price === null ? null : parseFloat(price) }),
+            ...(currencyPrices !== undefined && { currencyPrices }),
+            ...(images !== undefined && { images }),
+            ...(isActive !== undefined && { isActive })
+          }
+        });
+
+        if (quantity !== undefined || lowStockThreshold !== undefined) {
+          await setInventoryLevels(tx, {
+            productVariantId: variantId,
+            quantity,
+            lowStockThreshold,
+            actorId: req.user.id,
+            note: note || null
+          });
+        }
+
+        // The product's status rolls up its active variants only
+        if (isActive !== undefined && isActive !== existingVariant.isActive) {
+          await refreshProductStockStatus(tx, productId);
+        }
+
+        if (price !== undefined || currencyPrices !== undefined || isActive === true) {
+          await queuePriceDropAlerts(tx, productId);
+        }
+
+        return tx.productVariant.findUnique({
+          where: { id: variantId },
+          include: { color: true, size: true, inventory: true }
+        });
+      });
+
+      res.json({ message: 'Product variant updated successfully', variant });
+    } catch (error) {
+      if (error.status) {
+        return sendHttpError(res, error);
+      }
+      if (error.code === 'P2002') {
+        return res.status(400).json({ error: 'SKU already exists' });
+      }
+      console.error('Error updating product variant:', error);
+      res.status(500).json({ error: 'Failed to update product variant' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/variants/{variantId}:
+ *   delete:
+ *     summary: Delete a product variant (Admin only)
+ *     description: Variants that appear on orders or preorders can't be deleted; deactivate them with isActive false instead.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Variant deleted
+ *       400:
+ *         description: Variant has been ordered
+ *       404:
+ *         description: Variant not found
+ */
+// Delete variant (Admin only)
+router.delete('/:id/variants/:variantId',
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const productId = parseInt(req.params.id);
+      const variantId = parseInt(req.params.variantId);
+
+      // The variant row is locked while it is checked and deleted, so an
+      // order or preorder for it can't be placed in between
+      const variant = await prisma.$transaction(async (tx) => {
+        await tx.$queryRaw`SELECT id FROM product_variants WHERE id = ${variantId} FOR UPDATE`;
+
+        const found = await tx.productVariant.findFirst({
+          where: { id: variantId, productId },
+          include: {
+            productImages: true,
+            _count: {
+              select: { orderItems: true, preorders: true }
+            }
+          }
+        });
+
+        if (!found) {
+          throw createHttpError(404, 'Product variant not found');
+        }
+
+        if (found._count.orderItems > 0 || found._count.preorders > 0) {
+          throw createHttpError(400, 'This variant has been ordered and cannot be deleted. Deactivate it instead.', {
+            orderItems: found._count.orderItems,
+            preorders: found._count.preorders
+          });
+        }
+
+        // Inventory, cart lines, wishlist items and alerts go with it
+        await tx.productVariant.delete({ where: { id: variantId } });
+        await refreshProductStockStatus(tx, productId);
+
+        return found;
+      });
+
+      await deleteImageFiles(variant.productImages);
+
+      res.json({ message: 'Product variant deleted successfully' });
+    } catch (error) {
+      if (error.status) {
+        return sendHttpError(res, error);
+      }
+      console.error('Error deleting product variant:', error);
+      res.status(500).json({ error: 'Failed to delete product variant' });
+    }
+  }
+);
+
 // Helper Functions for AI and Data Processing
 
+// Remove uploaded image files after their rows were deleted. Failures are
+// only logged: the delete itself already succeeded.
+async function deleteImageFiles(images) {
+  for (const image of images) {
+    await deleteStoredImage(getStorage(), image).catch(error => {
+      console.error('Error deleting stored image files:', error);
+    });
+  }
+}
+
 function calculateStockMetrics(product) {
   const variants = product.variants || [];
   
@@ -1441,10 +1810,12 @@ function calculateStockMetrics(product) {
     sum + (variant.inventory?.reservedQuantity || 0), 0
   );
   
-  const availableStock = totalStock - reservedStock;
+  const availableStock = variants.reduce((sum, variant) => 
+    sum + availableQuantity(variant.inventory), 0
+  );
   
   const lowStockVariants = variants.filter(variant => {
-    const qty = variant.inventory?.quantity || 0;
+    const qty = availableQuantity(variant.inventory);
     const threshold = variant.inventory?.lowStockThreshold || 10;
     return qty > 0 && qty <= threshold;
   });
@@ -1453,11 +1824,11 @@ function calculateStockMetrics(product) {
     totalStock,
     reservedStock,
     availableStock,
-    hasStock: totalStock > 0,
+    hasStock: availableStock > 0,
     isLowStock: lowStockVariants.length > 0,
-    stockLevel: getStockLevel(totalStock),
+    stockLevel: getStockLevel(availableStock),
     variantCount: variants.length,
-    inStockVariants: variants.filter(v => (v.inventory?.quantity || 0) > 0).length
+    inStockVariants: variants.filter(v => availableQuantity(v.inventory) > 0).length
   };
 }
 
@@ -1476,7 +1847,7 @@ function calculateColorAvailability(variants) {
       }
       
       const colorData = colorMap.get(colorId);
-      colorData.totalStock += variant.inventory?.quantity || 0;
+      colorData.totalStock += availableQuantity(variant.inventory);
       colorData.variants.push(variant);
     }
   });
@@ -1506,7 +1877,7 @@ function calculateSizeAvailability(variants) {
       }
       
       const sizeData = sizeMap.get(sizeId);
-      sizeData.totalStock += variant.inventory?.quantity || 0;
+      sizeData.totalStock += availableQuantity(variant.inventory);
       sizeData.variants.push(variant);
     }
   });
@@ -1595,7 +1966,7 @@ function groupVariantsByColor(variants) {
       }
       
       colorGroups[colorId].variants.push(variant);
-      colorGroups[colorId].totalStock += variant.inventory?.quantity || 0;
+      colorGroups[colorId].totalStock += availableQuantity(variant.inventory);
       
       const price = parseFloat(variant.price || 0);
       if (colorGroups[colorId].priceRange.min === null || price < colorGroups[colorId].priceRange.min) {
@@ -1611,7 +1982,7 @@ function groupVariantsByColor(variants) {
 }
 
 function getStockLevel(quantity, threshold = 10) {
-  if (quantity === 0) return 'OUT_OF_STOCK';
+  if (quantity <= 0) return 'OUT_OF_STOCK';
   if (quantity <= threshold) return 'LOW_STOCK';
   return 'IN_STOCK';
 }
@@ -1626,7 +1997,7 @@ function formatProductSummary(product) {
     category: product.category,
     averageRating: product.reviews ? calculateReviewMetrics(product.reviews).averageRating : 0,
     totalReviews: product.reviews ? product.reviews.length : 0,
-    hasStock: product.variants ? product.variants.some(v => (v.inventory?.quantity || 0) > 0) : false
+    hasStock: product.variants ? product.variants.some(v => availableQuantity(v.inventory) > 0) : false
   };
 }
 
@@ -1663,7 +2034,7 @@ async function getCrossSellProducts(productId) {
                 category: true,
                 variants: {
                   include: {
-                    inventory: { select: { quantity: true } }
+                    inventory: { select: { quantity: true, reservedQuantity: true } }
                   }
                 },
                 reviews: { select: { rating: true } }
@@ -1705,7 +2076,7 @@ async function getCrossSellProducts(productId) {
         category: true,
         variants: {
           include: {
-            inventory: { select: { quantity: true } }
+            inventory: { select: { quantity: true, reservedQuantity: true } }
           }
         },
         reviews: { select: { rating: true } }
@@ -1719,7 +2090,7 @@ async function getCrossSellProducts(productId) {
   }
 }
 
-async function getPersonalizedData(userId, productId) {
+async function getPersonalizedData(userId, productId, currency) {
   try {
     // Get user's recent activity and preferences
     const [recentlyViewed, userOrders, wishlistItems] = await Promise.all([
@@ -1764,7 +2135,7 @@ async function getPersonalizedData(userId, productId) {
     });
 
     return {
-      recentlyViewed: recentlyViewed.map(formatProductSummary),
+      recentlyViewed: recentlyViewed.map(product => formatProductSummary(localizeProduct(product, currency))),
       purchaseHistory: {
         totalOrders: userOrders.length,
         favoriteCategories: Object.keys(categoryPreferences)
@@ -1796,7 +2167,7 @@ function generateSEOKeywords(product) {
   return keywords.join(', ');
 }
 
-function generateProductSchema(product, stockMetrics, reviewMetrics) {
+function generateProductSchema(product, stockMetrics, reviewMetrics, currencyCode) {
   return {
     '@context': 'https://schema.org/',
     '@type': 'Product',
@@ -1812,7 +2183,7 @@ function generateProductSchema(product, stockMetrics, reviewMetrics) {
     offers: {
       '@type': 'Offer',
       price: product.basePrice,
-      priceCurrency: 'USD',
+      priceCurrency: currencyCode,
       availability: stockMetrics.hasStock ? 'https://schema.org/InStock' : 'https://schema.org/OutOfStock',
       seller: {
         '@type': 'Organization',
@@ -0,0 +1,237 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { PROMOTION_TYPES, normalizeCode, assertValidPromotion } = require('../lib/promotions');
+const { sendHttpError } = require('../lib/errors');
+
+const router = express.Router();
+
+const PROMOTION_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'buyQuantity',
+  'getQuantity',
+  'productIds',
+  'categoryIds',
+  'minSubtotal',
+  'maxUses',
+  'maxUsesPerUser',
+  'startsAt',
+  'endsAt',
+  'isActive'
+];
+
+// Shared by create and update; `required` lists the fields create needs
+const promotionValidators = (required = []) => {
+  const field = (name) => (required.includes(name) ? body(name) : body(name).optional({ values: 'null' }));
+
+  return [
+    field('code').trim().isLength({ min: 3, max: 40 }).matches(/^[A-Za-z0-9_-]+$/).withMessage('Codes use letters, digits, - and _').customSanitizer(normalizeCode),
+    field('description').trim().isLength({ max: 500 }),
+    field('type').isIn(PROMOTION_TYPES),
+    field('value').isFloat({ min: 0 }).toFloat(),
+    field('buyQuantity').isInt({ min: 1 }).toInt(),
+    field('getQuantity').isInt({ min: 1 }).toInt(),
+    body('productIds').optional().isArray(),
+    body('productIds.*').isInt().toInt(),
+    body('categoryIds').optional().isArray(),
+    body('categoryIds.*').isInt().toInt(),
+    field('minSubtotal').isFloat({ min: 0 }).toFloat(),
+    field('maxUses').isInt({ min: 1 }).toInt(),
+    field('maxUsesPerUser').isInt({ min: 1 }).toInt(),
+    field('startsAt').isISO8601().toDate(),
+    field('endsAt').isISO8601().toDate(),
+    body('isActive').optional().isBoolean().toBoolean()
+  ];
+};
+
+const pickPromotionFields = (source) => Object.fromEntries(
+  PROMOTION_FIELDS.filter(name => source[name] !== undefined).map(name => [name, source[name]])
+);
+
+// List promotions (Admin only)
+router.get('/', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, active, search } = req.query;
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+
+    const where = {
+      ...(active !== undefined && { isActive: active === 'true' }),
+      ...(search && { code: { contains: search, mode: 'insensitive' } })
+    };
+
+    const [promotions, total] = await Promise.all([
+      prisma.promotion.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.promotion.count({ where })
+    ]);
+
+    res.json({
+      promotions,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: take,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    res.status(500).json({ error: 'Failed to fetch promotions' });
+  }
+});
+
+// Get a promotion with its redemption totals (Admin only)
+router.get('/:id', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const promotion = await prisma.promotion.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: {
+        redemptions: {
+          orderBy: { createdAt: 'desc' },
+          take: 20,
+          include: {
+            order: {
+              select: { orderNumber: true, status: true, totalAmount: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    const totals = await prisma.promotionRedemption.aggregate({
+      where: { promotionId: promotion.id },
+      _count: { id: true },
+      _sum: { amount: true }
+    });
+
+    res.json({
+      ...promotion,
+      stats: {
+        redemptions: totals._count.id,
+        totalDiscount: totals._sum.amount || 0
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching promotion:', error);
+    res.status(500).json({ error: 'Failed to fetch promotion' });
+  }
+});
+
+// Create promotion (Admin only)
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  ...promotionValidators(['code', 'type'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = pickPromotionFields(req.body);
+    assertValidPromotion({ value: null, buyQuantity: null, getQuantity: null, ...data });
+
+    const promotion = await prisma.promotion.create({ data });
+
+    res.status(201).json({ message: 'Promotion created successfully', promotion });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'A promotion with this code already exists' });
+    }
+    console.error('Error creating promotion:', error);
+    res.status(500).json({ error: 'Failed to create promotion' });
+  }
+});
+
+// Update promotion (Admin only). Changing the rules doesn't touch orders
+// already placed with the code.
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  ...promotionValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await prisma.promotion.findUnique({
+      where: { id: parseInt(req.params.id) }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    const data = pickPromotionFields(req.body);
+    assertValidPromotion({ ...existing, ...data });
+
+    const promotion = await prisma.promotion.update({
+      where: { id: existing.id },
+      data
+    });
+
+    res.json({ message: 'Promotion updated successfully', promotion });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'A promotion with this code already exists' });
+    }
+    console.error('Error updating promotion:', error);
+    res.status(500).json({ error: 'Failed to update promotion' });
+  }
+});
+
+// Delete promotion (Admin only). A code that was used on orders is
+// deactivated instead, so those orders keep their record of it.
+router.delete('/:id', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const promotion = await prisma.promotion.findUnique({
+      where: { id },
+      include: { _count: { select: { redemptions: true } } }
+    });
+
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    if (promotion._count.redemptions > 0) {
+      await prisma.promotion.update({
+        where: { id },
+        data: { isActive: false }
+      });
+      return res.json({ message: 'Promotion has been used, so it was deactivated instead of deleted' });
+    }
+
+    await prisma.promotion.delete({ where: { id } });
+
+    res.json({ message: 'Promotion deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting promotion:', error);
+    res.status(500).json({ error: 'Failed to delete promotion' });
+  }
+});
+
+module.exports = router;
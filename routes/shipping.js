@@ -0,0 +1,242 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { assertValidShippingMethod } = require('../lib/shipping');
+const { sendHttpError } = require('../lib/errors');
+
+const router = express.Router();
+
+const ZONE_FIELDS = ['name', 'countries', 'regions', 'isActive'];
+const METHOD_FIELDS = [
+  'name',
+  'speed',
+  'rateType',
+  'rate',
+  'perKgRate',
+  'freeOverAmount',
+  'handlingDays',
+  'minTransitDays',
+  'maxTransitDays',
+  'isActive'
+];
+
+const pickFields = (fields, source) => Object.fromEntries(
+  fields.filter(name => source[name] !== undefined).map(name => [name, source[name]])
+);
+
+const toCodes = (codes) => codes.map(code => String(code).trim().toUpperCase());
+
+// Shared by create and update; create passes required = true
+const zoneValidators = (required = false) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }),
+    field('countries').isArray({ min: 1 }).customSanitizer(toCodes),
+    body('countries.*').isLength({ min: 2, max: 3 }),
+    body('regions').optional().isArray().customSanitizer(toCodes),
+    body('isActive').optional().isBoolean().toBoolean()
+  ];
+};
+
+const methodValidators = (required = false) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+  const nullable = (name) => body(name).optional({ values: 'null' });
+
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }),
+    body('speed').optional().isIn(['STANDARD', 'EXPRESS']),
+    field('rateType').isIn(['FLAT', 'WEIGHT', 'FREE_OVER']),
+    field('rate').isFloat({ min: 0 }).toFloat(),
+    nullable('perKgRate').isFloat({ min: 0 }).toFloat(),
+    nullable('freeOverAmount').isFloat({ min: 0 }).toFloat(),
+    body('handlingDays').optional().isInt({ min: 0 }).toInt(),
+    field('minTransitDays').isInt({ min: 0 }).toInt(),
+    field('maxTransitDays').isInt({ min: 0 }).toInt(),
+    body('isActive').optional().isBoolean().toBoolean()
+  ];
+};
+
+// List shipping zones with their methods (Admin only)
+router.get('/zones', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const zones = await prisma.shippingZone.findMany({
+      include: {
+        methods: {
+          orderBy: { id: 'asc' }
+        }
+      },
+      orderBy: { id: 'asc' }
+    });
+
+    res.json(zones);
+  } catch (error) {
+    console.error('Error fetching shipping zones:', error);
+    res.status(500).json({ error: 'Failed to fetch shipping zones' });
+  }
+});
+
+// Create shipping zone (Admin only)
+router.post('/zones', [
+  authenticateToken,
+  requireAdmin,
+  ...zoneValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const zone = await prisma.shippingZone.create({
+      data: pickFields(ZONE_FIELDS, req.body),
+      include: { methods: true }
+    });
+
+    res.status(201).json({ message: 'Shipping zone created successfully', zone });
+  } catch (error) {
+    console.error('Error creating shipping zone:', error);
+    res.status(500).json({ error: 'Failed to create shipping zone' });
+  }
+});
+
+// Update shipping zone (Admin only)
+router.put('/zones/:id', [
+  authenticateToken,
+  requireAdmin,
+  ...zoneValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const zone = await prisma.shippingZone.update({
+      where: { id: parseInt(req.params.id) },
+      data: pickFields(ZONE_FIELDS, req.body),
+      include: { methods: true }
+    });
+
+    res.json({ message: 'Shipping zone updated successfully', zone });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Shipping zone not found' });
+    }
+    console.error('Error updating shipping zone:', error);
+    res.status(500).json({ error: 'Failed to update shipping zone' });
+  }
+});
+
+// Delete shipping zone and its methods (Admin only). Orders keep the name of
+// the method they shipped with.
+router.delete('/zones/:id', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    await prisma.shippingZone.delete({
+      where: { id: parseInt(req.params.id) }
+    });
+
+    res.json({ message: 'Shipping zone deleted successfully' });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Shipping zone not found' });
+    }
+    console.error('Error deleting shipping zone:', error);
+    res.status(500).json({ error: 'Failed to delete shipping zone' });
+  }
+});
+
+// Add a shipping method to a zone (Admin only)
+router.post('/zones/:id/methods', [
+  authenticateToken,
+  requireAdmin,
+  ...methodValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const zone = await prisma.shippingZone.findUnique({
+      where: { id: parseInt(req.params.id) }
+    });
+
+    if (!zone) {
+      return res.status(404).json({ error: 'Shipping zone not found' });
+    }
+
+    const data = pickFields(METHOD_FIELDS, req.body);
+    assertValidShippingMethod(data);
+
+    const method = await prisma.shippingMethod.create({
+      data: { ...data, zoneId: zone.id }
+    });
+
+    res.status(201).json({ message: 'Shipping method created successfully', method });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+    console.error('Error creating shipping method:', error);
+    res.status(500).json({ error: 'Failed to create shipping method' });
+  }
+});
+
+// Update shipping method (Admin only)
+router.put('/methods/:id', [
+  authenticateToken,
+  requireAdmin,
+  ...methodValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await prisma.shippingMethod.findUnique({
+      where: { id: parseInt(req.params.id) }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Shipping method not found' });
+    }
+
+    const data = pickFields(METHOD_FIELDS, req.body);
+    assertValidShippingMethod({ ...existing, ...data });
+
+    const method = await prisma.shippingMethod.update({
+      where: { id: existing.id },
+      data
+    });
+
+    res.json({ message: 'Shipping method updated successfully', method });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+    console.error('Error updating shipping method:', error);
+    res.status(500).json({ error: 'Failed to update shipping method' });
+  }
+});
+
+// Delete shipping method (Admin only)
+router.delete('/methods/:id', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    await prisma.shippingMethod.delete({
+      where: { id: parseInt(req.params.id) }
+    });
+
+    res.json({ message: 'Shipping method deleted successfully' });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Shipping method not found' });
+    }
+    console.error('Error deleting shipping method:', error);
+    res.status(500).json({ error: 'Failed to delete shipping method' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,352 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { SIZE_CHART_INCLUDE, formatSizeChart, normalizeEntries } = require('../lib/sizeCharts');
+const { createHttpError, sendHttpError } = require('../lib/errors');
+
+const router = express.Router();
+
+const sizeValidators = (required = false) => [
+  (required ? body('name') : body('name').optional()).trim().isLength({ min: 1, max: 50 }),
+  body('sortOrder').optional().isInt({ min: 0 }).toInt(),
+  body('isActive').optional().isBoolean().toBoolean()
+];
+
+const sizeChartValidators = (required = false) => [
+  (required ? body('name') : body('name').optional()).trim().isLength({ min: 1, max: 100 }),
+  body('unit').optional().isIn(['cm', 'in']),
+  (required ? body('entries') : body('entries').optional()).isArray({ min: 1 }),
+  body('entries.*.sizeId').isInt({ min: 1 }).toInt(),
+  body('entries.*.measurements').isObject()
+];
+
+// Every size in entries has to exist. Throws a 400 HttpError.
+const assertSizesExist = async (db, entries) => {
+  const sizeIds = entries.map(entry => entry.sizeId);
+  const sizes = await db.size.findMany({
+    where: { id: { in: sizeIds } },
+    select: { id: true }
+  });
+
+  if (sizes.length !== new Set(sizeIds).size) {
+    const found = new Set(sizes.map(size => size.id));
+    throw createHttpError(400, 'Size not found', {
+      sizeIds: sizeIds.filter(id => !found.has(id))
+    });
+  }
+};
+
+// Get sizes in display order. Admins can pass includeInactive=true.
+router.get('/', async (req, res) => {
+  try {
+    const sizes = await prisma.size.findMany({
+      where: req.query.includeInactive === 'true' ? {} : { isActive: true },
+      orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }]
+    });
+
+    res.json(sizes);
+  } catch (error) {
+    console.error('Error fetching sizes:', error);
+    res.status(500).json({ error: 'Failed to fetch sizes' });
+  }
+});
+
+// Get all size charts (Admin only)
+router.get('/charts', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const charts = await prisma.sizeChart.findMany({
+      include: SIZE_CHART_INCLUDE,
+      orderBy: { name: 'asc' }
+    });
+
+    res.json(charts.map(formatSizeChart));
+  } catch (error) {
+    console.error('Error fetching size charts:', error);
+    res.status(500).json({ error: 'Failed to fetch size charts' });
+  }
+});
+
+// Get a size chart with measurements in cm and inches
+router.get('/charts/:id', async (req, res) => {
+  try {
+    const chart = await prisma.sizeChart.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: SIZE_CHART_INCLUDE
+    });
+
+    if (!chart) {
+      return res.status(404).json({ error: 'Size chart not found' });
+    }
+
+    res.json(formatSizeChart(chart));
+  } catch (error) {
+    console.error('Error fetching size chart:', error);
+    res.status(500).json({ error: 'Failed to fetch size chart' });
+  }
+});
+
+// Create a size chart for a category or a product (Admin only). Measurements
+// are in `unit` (cm by default) and stored in centimetres.
+router.post('/charts', [
+  authenticateToken,
+  requireAdmin,
+  ...sizeChartValidators(true),
+  body('categoryId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  body('productId').optional({ values: 'null' }).isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, unit, categoryId = null, productId = null } = req.body;
+
+    if ((categoryId === null) === (productId === null)) {
+      return res.status(400).json({ error: 'A size chart belongs to either a categoryId or a productId' });
+    }
+
+    const owner = categoryId
+      ? await prisma.category.findUnique({ where: { id: categoryId } })
+      : await prisma.product.findUnique({ where: { id: productId } });
+
+    if (!owner) {
+      return res.status(404).json({ error: categoryId ? 'Category not found' : 'Product not found' });
+    }
+
+    const entries = normalizeEntries(req.body.entries, unit);
+    await assertSizesExist(prisma, entries);
+
+    const chart = await prisma.sizeChart.create({
+      data: {
+        name,
+        categoryId,
+        productId,
+        entries: { create: entries }
+      },
+      include: SIZE_CHART_INCLUDE
+    });
+
+    res.status(201).json({ message: 'Size chart created successfully', sizeChart: formatSizeChart(chart) });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'This category or product already has a size chart' });
+    }
+    console.error('Error creating size chart:', error);
+    res.status(500).json({ error: 'Failed to create size chart' });
+  }
+});
+
+// Update a size chart (Admin only). entries, when given, replace the chart's
+// measurements entirely.
+router.put('/charts/:id', [
+  authenticateToken,
+  requireAdmin,
+  ...sizeChartValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const id = parseInt(req.params.id);
+    const { name, unit } = req.body;
+
+    const existing = await prisma.sizeChart.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Size chart not found' });
+    }
+
+    const entries = req.body.entries && normalizeEntries(req.body.entries, unit);
+    if (entries) {
+      await assertSizesExist(prisma, entries);
+    }
+
+    const chart = await prisma.$transaction(async (tx) => {
+      if (entries) {
+        await tx.sizeChartEntry.deleteMany({ where: { sizeChartId: id } });
+      }
+
+      return tx.sizeChart.update({
+        where: { id },
+        data: {
+          ...(name !== undefined && { name }),
+          ...(entries && { entries: { create: entries } })
+        },
+        include: SIZE_CHART_INCLUDE
+      });
+    });
+
+    res.json({ message: 'Size chart updated successfully', sizeChart: formatSizeChart(chart) });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+    console.error('Error updating size chart:', error);
+    res.status(500).json({ error: 'Failed to update size chart' });
+  }
+});
+
+// Delete a size chart (Admin only)
+router.delete('/charts/:id', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    await prisma.sizeChart.delete({ where: { id: parseInt(req.params.id) } });
+
+    res.json({ message: 'Size chart deleted successfully' });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Size chart not found' });
+    }
+    console.error('Error deleting size chart:', error);
+    res.status(500).json({ error: 'Failed to delete size chart' });
+  }
+});
+
+// Create size (Admin only). Without a sortOrder it goes after the others.
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  ...sizeValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, sortOrder, isActive } = req.body;
+
+    const last = await prisma.size.aggregate({ _max: { sortOrder: true } });
+
+    const size = await prisma.size.create({
+      data: {
+        name,
+        sortOrder: sortOrder ?? (last._max.sortOrder ?? 0) + 1,
+        ...(isActive !== undefined && { isActive })
+      }
+    });
+
+    res.status(201).json({ message: 'Size created successfully', size });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'Size name already exists' });
+    }
+    console.error('Error creating size:', error);
+    res.status(500).json({ error: 'Failed to create size' });
+  }
+});
+
+// Reorder sizes (Admin only). sizeIds lists every size in the new display
+// order.
+router.put('/reorder', [
+  authenticateToken,
+  requireAdmin,
+  body('sizeIds').isArray({ min: 1 }),
+  body('sizeIds.*').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { sizeIds } = req.body;
+
+    const sizes = await prisma.size.findMany({ select: { id: true } });
+    const known = new Set(sizes.map(size => size.id));
+
+    if (new Set(sizeIds).size !== sizeIds.length ||
+        sizeIds.length !== known.size ||
+        sizeIds.some(id => !known.has(id))) {
+      return res.status(400).json({ error: 'sizeIds must list every size exactly once' });
+    }
+
+    await prisma.$transaction(sizeIds.map((id, index) => prisma.size.update({
+      where: { id },
+      data: { sortOrder: index + 1 }
+    })));
+
+    const reordered = await prisma.size.findMany({ orderBy: { sortOrder: 'asc' } });
+
+    res.json({ message: 'Sizes reordered successfully', sizes: reordered });
+  } catch (error) {
+    console.error('Error reordering sizes:', error);
+    res.status(500).json({ error: 'Failed to reorder sizes' });
+  }
+});
+
+// Update size (Admin only). isActive false hides it from the storefront
+// without touching the variants that use it.
+router.put('/:id', [
+  authenticateToken,
+  requireAdmin,
+  ...sizeValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, sortOrder, isActive } = req.body;
+
+    const size = await prisma.size.update({
+      where: { id: parseInt(req.params.id) },
+      data: {
+        ...(name !== undefined && { name }),
+        ...(sortOrder !== undefined && { sortOrder }),
+        ...(isActive !== undefined && { isActive })
+      }
+    });
+
+    res.json({ message: 'Size updated successfully', size });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'Size name already exists' });
+    }
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Size not found' });
+    }
+    console.error('Error updating size:', error);
+    res.status(500).json({ error: 'Failed to update size' });
+  }
+});
+
+// Delete size (Admin only). A size that variants still use is deactivated
+// instead.
+router.delete('/:id', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const size = await prisma.size.findUnique({
+      where: { id },
+      include: { _count: { select: { productVariants: true } } }
+    });
+
+    if (!size) {
+      return res.status(404).json({ error: 'Size not found' });
+    }
+
+    if (size._count.productVariants > 0) {
+      await prisma.size.update({
+        where: { id },
+        data: { isActive: false }
+      });
+      return res.json({ message: 'Size is used by product variants, so it was deactivated instead of deleted' });
+    }
+
+    await prisma.size.delete({ where: { id } });
+
+    res.json({ message: 'Size deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting size:', error);
+    res.status(500).json({ error: 'Failed to delete size' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
+const { roundMoney } = require('../lib/money');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  PREFERENCE_DEFAULTS,
+  getNotificationPreferences,
+  updateNotificationPreferences
+} = require('../lib/notifications');
 
 const router = express.Router();
 
@@ -141,6 +147,102 @@ router.put('/profile', [
   }
 });
 
+/**
+ * @swagger
+ * /api/users/profile/notifications:
+ *   get:
+ *     summary: Get notification preferences
+ *     description: Which kinds of email the current user receives. Everything is on until turned off.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 orderUpdates:
+ *                   type: boolean
+ *                   description: Order confirmation, shipping, delivery, cancellation and refund emails
+ *                 preorderUpdates:
+ *                   type: boolean
+ *                   description: Preorder confirmed, ready, expired and date change emails
+ *                 stockAlerts:
+ *                   type: boolean
+ *                   description: Back-in-stock and price-drop alerts
+ *       401:
+ *         description: Unauthorized
+ */
+// Get notification preferences
+router.get('/profile/notifications', authenticateToken, async (req, res) => {
+  try {
+    const preferences = await getNotificationPreferences(req.user.id);
+    res.json(preferences);
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/profile/notifications:
+ *   put:
+ *     summary: Update notification preferences
+ *     description: Turn kinds of email on or off. Flags that are left out keep their current value.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               orderUpdates:
+ *                 type: boolean
+ *               preorderUpdates:
+ *                 type: boolean
+ *               stockAlerts:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+// Update notification preferences
+router.put('/profile/notifications', [
+  authenticateToken,
+  ...Object.keys(PREFERENCE_DEFAULTS).map(name => body(name).optional().isBoolean().toBoolean())
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const changes = Object.fromEntries(
+      Object.keys(PREFERENCE_DEFAULTS)
+        .filter(name => req.body[name] !== undefined)
+        .map(name => [name, req.body[name]])
+    );
+
+    const preferences = await updateNotificationPreferences(req.user.id, changes);
+
+    res.json({ message: 'Notification preferences updated successfully', preferences });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
 /**
  * @swagger
  * /api/users/account:
@@ -173,11 +275,13 @@ router.delete('/account', authenticateToken, async (req, res) => {
 // Get user's order summary
 router.get('/orders/summary', authenticateToken, async (req, res) => {
   try {
-    const [totalOrders, totalSpent, recentOrders] = await Promise.all([
+    const [totalOrders, spentGroups, recentOrders] = await Promise.all([
       prisma.order.count({
         where: { userId: req.user.id }
       }),
-      prisma.order.aggregate({
+      // Per currency charged and the exchange rate the orders were placed at
+      prisma.order.groupBy({
+        by: ['currency', 'exchangeRate'],
         where: { 
           userId: req.user.id,
           paymentStatus: 'COMPLETED'
@@ -200,9 +304,20 @@ router.get('/orders/summary', authenticateToken, async (req, res) => {
       })
     ]);
 
+    // totalSpent is in the base currency, converted back at each order's own
+    // rate; totalSpentByCurrency is what was charged in each currency
+    let totalSpent = 0;
+    const totalSpentByCurrency = {};
+    spentGroups.forEach(group => {
+      const amount = Number(group._sum.totalAmount || 0);
+      totalSpent += amount / Number(group.exchangeRate);
+      totalSpentByCurrency[group.currency] = roundMoney((totalSpentByCurrency[group.currency] || 0) + amount);
+    });
+
     res.json({
       totalOrders,
-      totalSpent: totalSpent._sum.totalAmount || 0,
+      totalSpent: roundMoney(totalSpent),
+      totalSpentByCurrency,
       recentOrders
     });
   } catch (error) {
@@ -214,12 +329,12 @@ router.get('/orders/summary', authenticateToken, async (req, res) => {
 // Get user's wishlist summary
 router.get('/wishlist/summary', authenticateToken, async (req, res) => {
   try {
-    const wishlistCount = await prisma.wishlist.count({
-      where: { userId: req.user.id }
+    const wishlistCount = await prisma.wishlistItem.count({
+      where: { wishlist: { userId: req.user.id } }
     });
 
-    const recentWishlist = await prisma.wishlist.findMany({
-      where: { userId: req.user.id },
+    const recentWishlist = await prisma.wishlistItem.findMany({
+      where: { wishlist: { userId: req.user.id } },
       include: {
         product: {
           select: { 
@@ -229,6 +344,12 @@ router.get('/wishlist/summary', authenticateToken, async (req, res) => {
             images: true,
             stockStatus: true
           }
+        },
+        productVariant: {
+          include: {
+            color: true,
+            size: true
+          }
         }
       },
       orderBy: { createdAt: 'desc' },
@@ -1,38 +1,99 @@
+const crypto = require('crypto');
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
 const { authenticateToken } = require('../middleware/auth');
+const { availableQuantity } = require('../lib/inventory');
+const { subscribeStockAlert, subscribePriceAlert } = require('../lib/productAlerts');
+const { getOrCreateCart, addCartItem } = require('../lib/cart');
 
 const router = express.Router();
 
-// Get user's wishlist
+const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || 'http://localhost:3001';
+const DEFAULT_WISHLIST_NAME = 'My Wishlist';
+
+const ITEM_INCLUDE = {
+  product: {
+    select: { id: true, name: true, basePrice: true, images: true, stockStatus: true, allowPreorder: true }
+  },
+  productVariant: {
+    include: {
+      color: true,
+      size: true,
+      inventory: {
+        select: { quantity: true, reservedQuantity: true }
+      }
+    }
+  }
+};
+
+// Shared lists are public: no inventory figures, just the stock status
+const SHARED_ITEM_INCLUDE = {
+  product: {
+    select: { id: true, name: true, basePrice: true, images: true, stockStatus: true }
+  },
+  productVariant: {
+    select: { id: true, price: true, images: true, stockStatus: true, color: true, size: true }
+  }
+};
+
+// Every user has one default list, created the first time it is needed
+const getDefaultWishlist = async (userId) => {
+  const findDefault = () => prisma.wishlist.findFirst({
+    where: { userId, isDefault: true }
+  });
+
+  const wishlist = await findDefault();
+  if (wishlist) {
+    return wishlist;
+  }
+
+  try {
+    return await prisma.wishlist.create({
+      data: { userId, name: DEFAULT_WISHLIST_NAME, isDefault: true }
+    });
+  } catch (error) {
+    // A concurrent request created it first; a user has at most one default
+    if (error.code === 'P2002') {
+      return findDefault();
+    }
+    throw error;
+  }
+};
+
+const findOwnWishlist = (userId, id) => {
+  return prisma.wishlist.findFirst({
+    where: { id: parseInt(id), userId }
+  });
+};
+
+const shareUrl = (shareSlug) => (shareSlug ? `${CLIENT_ORIGIN}/wishlists/shared/${shareSlug}` : null);
+
+// Get items in the user's default wishlist
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const wishlist = await prisma.wishlist.findMany({
-      where: { userId: req.user.id },
-      include: {
-        product: {
-          include: {
-            inventory: {
-              select: { quantity: true }
-            }
-          }
-        }
-      },
+    const wishlist = await getDefaultWishlist(req.user.id);
+
+    const items = await prisma.wishlistItem.findMany({
+      where: { wishlistId: wishlist.id },
+      include: ITEM_INCLUDE,
       orderBy: { createdAt: 'desc' }
     });
 
-    res.json(wishlist);
+    res.json(items);
   } catch (error) {
     console.error('Error fetching wishlist:', error);
     res.status(500).json({ error: 'Failed to fetch wishlist' });
   }
 });
 
-// Add item to wishlist
+// Add a product, or one specific variant of it, to a wishlist (default list unless wishlistId is given)
 router.post('/items', [
   authenticateToken,
-  body('productId').isInt()
+  body('productId').isInt(),
+  body('productVariantId').optional().isInt(),
+  body('wishlistId').optional().isInt(),
+  body('note').optional().trim().isLength({ max: 500 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -40,12 +101,13 @@ router.post('/items', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { productId } = req.body;
+    const productId = parseInt(req.body.productId);
+    const productVariantId = req.body.productVariantId ? parseInt(req.body.productVariantId) : null;
 
     // Check if product exists and is active
     const product = await prisma.product.findFirst({
       where: {
-        id: parseInt(productId),
+        id: productId,
         isActive: true
       }
     });
@@ -54,11 +116,30 @@ router.post('/items', [
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    if (productVariantId) {
+      const variant = await prisma.productVariant.findFirst({
+        where: { id: productVariantId, productId, isActive: true }
+      });
+
+      if (!variant) {
+        return res.status(404).json({ error: 'Product variant not found' });
+      }
+    }
+
+    const wishlist = req.body.wishlistId
+      ? await findOwnWishlist(req.user.id, req.body.wishlistId)
+      : await getDefaultWishlist(req.user.id);
+
+    if (!wishlist) {
+      return res.status(404).json({ error: 'Wishlist not found' });
+    }
+
     // Check if item is already in wishlist
-    const existingItem = await prisma.wishlist.findFirst({
+    const existingItem = await prisma.wishlistItem.findFirst({
       where: {
-        userId: req.user.id,
-        productId: parseInt(productId)
+        wishlistId: wishlist.id,
+        productId,
+        productVariantId
       }
     });
 
@@ -66,20 +147,14 @@ router.post('/items', [
       return res.status(400).json({ error: 'Product already in wishlist' });
     }
 
-    const wishlistItem = await prisma.wishlist.create({
+    const wishlistItem = await prisma.wishlistItem.create({
       data: {
-        userId: req.user.id,
-        productId: parseInt(productId)
+        wishlistId: wishlist.id,
+        productId,
+        productVariantId,
+        note: req.body.note
       },
-      include: {
-        product: {
-          include: {
-            inventory: {
-              select: { quantity: true }
-            }
-          }
-        }
-      }
+      include: ITEM_INCLUDE
     });
 
     res.status(201).json({ message: 'Item added to wishlist', item: wishlistItem });
@@ -89,26 +164,22 @@ router.post('/items', [
   }
 });
 
-// Remove item from wishlist
+// Remove item from any of the user's wishlists
 router.delete('/items/:itemId', authenticateToken, async (req, res) => {
   try {
     const { itemId } = req.params;
 
-    const wishlistItem = await prisma.wishlist.findFirst({
+    const result = await prisma.wishlistItem.deleteMany({
       where: {
         id: parseInt(itemId),
-        userId: req.user.id
+        wishlist: { userId: req.user.id }
       }
     });
 
-    if (!wishlistItem) {
+    if (result.count === 0) {
       return res.status(404).json({ error: 'Wishlist item not found' });
     }
 
-    await prisma.wishlist.delete({
-      where: { id: parseInt(itemId) }
-    });
-
     res.json({ message: 'Item removed from wishlist' });
   } catch (error) {
     console.error('Error removing from wishlist:', error);
@@ -116,14 +187,22 @@ router.delete('/items/:itemId', authenticateToken, async (req, res) => {
   }
 });
 
-// Remove by product ID (alternative endpoint)
+// Remove a product (all of its variants) from the default list, or from ?wishlistId=
 router.delete('/products/:productId', authenticateToken, async (req, res) => {
   try {
     const { productId } = req.params;
 
-    const result = await prisma.wishlist.deleteMany({
+    const wishlist = req.query.wishlistId
+      ? await findOwnWishlist(req.user.id, req.query.wishlistId)
+      : await getDefaultWishlist(req.user.id);
+
+    if (!wishlist) {
+      return res.status(404).json({ error: 'Wishlist not found' });
+    }
+
+    const result = await prisma.wishlistItem.deleteMany({
       where: {
-        userId: req.user.id,
+        wishlistId: wishlist.id,
         productId: parseInt(productId)
       }
     });
@@ -139,4 +218,454 @@ router.delete('/products/:productId', authenticateToken, async (req, res) => {
   }
 });
 
+// Get user's named wishlists
+router.get('/lists', authenticateToken, async (req, res) => {
+  try {
+    await getDefaultWishlist(req.user.id);
+
+    const wishlists = await prisma.wishlist.findMany({
+      where: { userId: req.user.id },
+      include: {
+        _count: {
+          select: { items: true }
+        }
+      },
+      orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }]
+    });
+
+    res.json(wishlists.map(({ _count, ...wishlist }) => ({
+      ...wishlist,
+      itemCount: _count.items,
+      shareUrl: shareUrl(wishlist.shareSlug)
+    })));
+  } catch (error) {
+    console.error('Error fetching wishlists:', error);
+    res.status(500).json({ error: 'Failed to fetch wishlists' });
+  }
+});
+
+// Create a named wishlist
+router.post('/lists', [
+  authenticateToken,
+  body('name').trim().isLength({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Make sure the new list doesn't end up as the user's only, non-default one
+    await getDefaultWishlist(req.user.id);
+
+    const wishlist = await prisma.wishlist.create({
+      data: {
+        userId: req.user.id,
+        name: req.body.name
+      }
+    });
+
+    res.status(201).json({ message: 'Wishlist created', wishlist });
+  } catch (error) {
+    console.error('Error creating wishlist:', error);
+    res.status(500).json({ error: 'Failed to create wishlist' });
+  }
+});
+
+// Get one of the user's wishlists with its items
+router.get('/lists/:id', authenticateToken, async (req, res) => {
+  try {
+    const wishlist = await prisma.wishlist.findFirst({
+      where: { id: parseInt(req.params.id), userId: req.user.id },
+      include: {
+        items: {
+          include: ITEM_INCLUDE,
+          orderBy: { createdAt: 'desc' }
+        }
+      }
+    });
+
+    if (!wishlist) {
+      return res.status(404).json({ error: 'Wishlist not found' });
+    }
+
+    res.json({ ...wishlist, shareUrl: shareUrl(wishlist.shareSlug) });
+  } catch (error) {
+    console.error('Error fetching wishlist:', error);
+    res.status(500).json({ error: 'Failed to fetch wishlist' });
+  }
+});
+
+// Rename a wishlist, or make it the default one
+router.put('/lists/:id', [
+  authenticateToken,
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('isDefault').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const wishlist = await findOwnWishlist(req.user.id, req.params.id);
+    if (!wishlist) {
+      return res.status(404).json({ error: 'Wishlist not found' });
+    }
+
+    const { name, isDefault } = req.body;
+
+    if (isDefault === false && wishlist.isDefault) {
+      return res.status(400).json({ error: 'Make another wishlist the default instead' });
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      if (isDefault && !wishlist.isDefault) {
+        await tx.wishlist.updateMany({
+          where: { userId: req.user.id, isDefault: true },
+          data: { isDefault: false }
+        });
+      }
+
+      return tx.wishlist.update({
+        where: { id: wishlist.id },
+        data: {
+          ...(name && { name }),
+          ...(isDefault && { isDefault: true })
+        }
+      });
+    });
+
+    res.json({ message: 'Wishlist updated', wishlist: updated });
+  } catch (error) {
+    console.error('Error updating wishlist:', error);
+    res.status(500).json({ error: 'Failed to update wishlist' });
+  }
+});
+
+// Delete a wishlist and its items (the default list can't be deleted)
+router.delete('/lists/:id', authenticateToken, async (req, res) => {
+  try {
+    const wishlist = await findOwnWishlist(req.user.id, req.params.id);
+    if (!wishlist) {
+      return res.status(404).json({ error: 'Wishlist not found' });
+    }
+
+    if (wishlist.isDefault) {
+      return res.status(400).json({ error: 'The default wishlist cannot be deleted' });
+    }
+
+    await prisma.wishlist.delete({
+      where: { id: wishlist.id }
+    });
+
+    res.json({ message: 'Wishlist deleted' });
+  } catch (error) {
+    console.error('Error deleting wishlist:', error);
+    res.status(500).json({ error: 'Failed to delete wishlist' });
+  }
+});
+
+// Share a wishlist: anyone with the link can view it. Sharing again returns the same link.
+router.post('/lists/:id/share', authenticateToken, async (req, res) => {
+  try {
+    const wishlist = await findOwnWishlist(req.user.id, req.params.id);
+    if (!wishlist) {
+      return res.status(404).json({ error: 'Wishlist not found' });
+    }
+
+    const shared = wishlist.shareSlug ? wishlist : await prisma.wishlist.update({
+      where: { id: wishlist.id },
+      data: { shareSlug: crypto.randomBytes(16).toString('base64url') }
+    });
+
+    res.json({ shareSlug: shared.shareSlug, shareUrl: shareUrl(shared.shareSlug) });
+  } catch (error) {
+    console.error('Error sharing wishlist:', error);
+    res.status(500).json({ error: 'Failed to share wishlist' });
+  }
+});
+
+// Stop sharing: the old link stops working, sharing again creates a new one
+router.delete('/lists/:id/share', authenticateToken, async (req, res) => {
+  try {
+    const wishlist = await findOwnWishlist(req.user.id, req.params.id);
+    if (!wishlist) {
+      return res.status(404).json({ error: 'Wishlist not found' });
+    }
+
+    await prisma.wishlist.update({
+      where: { id: wishlist.id },
+      data: { shareSlug: null }
+    });
+
+    res.json({ message: 'Wishlist is no longer shared' });
+  } catch (error) {
+    console.error('Error unsharing wishlist:', error);
+    res.status(500).json({ error: 'Failed to stop sharing wishlist' });
+  }
+});
+
+// Move every item of a wishlist into the cart, one of each, with the same
+// checks as POST /api/cart/items. Items that can't be added stay in the list.
+// With includePreorders, out-of-stock items of preorderable products are
+// added as preorders instead.
+router.post('/lists/:id/move-to-cart', [
+  authenticateToken,
+  body('includePreorders').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const wishlist = await prisma.wishlist.findFirst({
+      where: { id: parseInt(req.params.id), userId: req.user.id },
+      include: {
+        items: {
+          include: ITEM_INCLUDE,
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!wishlist) {
+      return res.status(404).json({ error: 'Wishlist not found' });
+    }
+
+    const cart = await getOrCreateCart(req.user.id);
+    const moved = [];
+    const failed = [];
+
+    for (const item of wishlist.items) {
+      const outOfStock = item.productVariant && availableQuantity(item.productVariant.inventory) < 1;
+      const isPreorder = Boolean(req.body.includePreorders && outOfStock && item.product.allowPreorder);
+
+      try {
+        // The item leaves the list only if it made it into the cart
+        const cartItem = await prisma.$transaction(async (tx) => {
+          const { item: added } = await addCartItem(cart.id, {
+            productId: item.productId,
+            productVariantId: item.productVariantId,
+            quantity: 1,
+            isPreorder
+          }, { tx });
+
+          await tx.wishlistItem.delete({
+            where: { id: item.id }
+          });
+
+          return added;
+        });
+
+        moved.push({ wishlistItemId: item.id, cartItemId: cartItem.id, isPreorder });
+      } catch (error) {
+        if (!error.status) {
+          throw error;
+        }
+
+        failed.push({
+          wishlistItemId: item.id,
+          productId: item.productId,
+          productVariantId: item.productVariantId,
+          error: error.message
+        });
+      }
+    }
+
+    res.json({
+      message: `Moved ${moved.length} item(s) to cart${failed.length > 0 ? `, ${failed.length} could not be added` : ''}`,
+      moved,
+      failed
+    });
+  } catch (error) {
+    console.error('Error moving wishlist to cart:', error);
+    res.status(500).json({ error: 'Failed to move wishlist to cart' });
+  }
+});
+
+// View a shared wishlist (no login needed)
+router.get('/shared/:slug', async (req, res) => {
+  try {
+    const wishlist = await prisma.wishlist.findUnique({
+      where: { shareSlug: req.params.slug },
+      include: {
+        user: {
+          select: { firstName: true }
+        },
+        items: {
+          where: { product: { isActive: true } },
+          include: SHARED_ITEM_INCLUDE,
+          orderBy: { createdAt: 'desc' }
+        }
+      }
+    });
+
+    if (!wishlist) {
+      return res.status(404).json({ error: 'Wishlist not found' });
+    }
+
+    res.json({
+      name: wishlist.name,
+      owner: wishlist.user.firstName,
+      items: wishlist.items
+    });
+  } catch (error) {
+    console.error('Error fetching shared wishlist:', error);
+    res.status(500).json({ error: 'Failed to fetch wishlist' });
+  }
+});
+
+// Get user's back-in-stock and price-drop alerts
+router.get('/alerts', authenticateToken, async (req, res) => {
+  try {
+    const [stockAlerts, priceAlerts] = await Promise.all([
+      prisma.stockAlert.findMany({
+        where: { userId: req.user.id },
+        include: {
+          productVariant: {
+            include: {
+              color: true,
+              size: true,
+              product: {
+                select: { id: true, name: true, images: true }
+              }
+            }
+          }
+        },
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.priceAlert.findMany({
+        where: { userId: req.user.id },
+        include: {
+          product: {
+            select: { id: true, name: true, images: true }
+          }
+        },
+        orderBy: { createdAt: 'desc' }
+      })
+    ]);
+
+    res.json({
+      stock: stockAlerts.map(alert => ({ ...alert, active: alert.notifiedAt === null })),
+      price: priceAlerts
+    });
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({ error: 'Failed to fetch alerts' });
+  }
+});
+
+// Get told when an out-of-stock variant (color and size) is back
+router.post('/alerts/stock', [
+  authenticateToken,
+  body('productVariantId').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const productVariantId = parseInt(req.body.productVariantId);
+
+    const variant = await prisma.productVariant.findFirst({
+      where: {
+        id: productVariantId,
+        isActive: true,
+        product: { isActive: true }
+      },
+      include: { inventory: true }
+    });
+
+    if (!variant) {
+      return res.status(404).json({ error: 'Product variant not found' });
+    }
+
+    if (availableQuantity(variant.inventory) > 0) {
+      return res.status(400).json({ error: 'This variant is in stock' });
+    }
+
+    const alert = await subscribeStockAlert(req.user.id, productVariantId);
+
+    res.status(201).json({ message: 'We will email you when it is back in stock', alert });
+  } catch (error) {
+    console.error('Error creating stock alert:', error);
+    res.status(500).json({ error: 'Failed to create stock alert' });
+  }
+});
+
+// Stop a back-in-stock alert
+router.delete('/alerts/stock/:productVariantId', authenticateToken, async (req, res) => {
+  try {
+    const result = await prisma.stockAlert.deleteMany({
+      where: {
+        userId: req.user.id,
+        productVariantId: parseInt(req.params.productVariantId)
+      }
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Stock alert not found' });
+    }
+
+    res.json({ message: 'Stock alert removed' });
+  } catch (error) {
+    console.error('Error removing stock alert:', error);
+    res.status(500).json({ error: 'Failed to remove stock alert' });
+  }
+});
+
+// Get told when a product's price drops below what it is now
+router.post('/alerts/price', [
+  authenticateToken,
+  body('productId').isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const productId = parseInt(req.body.productId);
+
+    const product = await prisma.product.findFirst({
+      where: { id: productId, isActive: true }
+    });
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const alert = await subscribePriceAlert(req.user.id, productId);
+
+    res.status(201).json({ message: 'We will email you when the price drops below its current price', alert });
+  } catch (error) {
+    console.error('Error creating price alert:', error);
+    res.status(500).json({ error: 'Failed to create price alert' });
+  }
+});
+
+// Stop a price-drop alert
+router.delete('/alerts/price/:productId', authenticateToken, async (req, res) => {
+  try {
+    const result = await prisma.priceAlert.deleteMany({
+      where: {
+        userId: req.user.id,
+        productId: parseInt(req.params.productId)
+      }
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Price alert not found' });
+    }
+
+    res.json({ message: 'Price alert removed' });
+  } catch (error) {
+    console.error('Error removing price alert:', error);
+    res.status(500).json({ error: 'Failed to remove price alert' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,36 @@
+// Run background jobs once and exit, e.g. from cron:
+//   node scripts/run-jobs.js                  run every job
+//   node scripts/run-jobs.js expire-preorders run the named job(s)
+//   node scripts/run-jobs.js --list           list the jobs
+require('dotenv').config();
+const prisma = require('../lib/prisma');
+const { jobs, runJob } = require('../lib/scheduler');
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--list')) {
+    Object.entries(jobs).forEach(([name, job]) => {
+      console.log(`${name.padEnd(30)} every ${job.intervalSeconds}s  ${job.description}`);
+    });
+    return;
+  }
+
+  const names = args.length > 0 ? args : Object.keys(jobs);
+  const unknown = names.filter(name => !jobs[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown job(s): ${unknown.join(', ')}. Use --list to see the available jobs.`);
+  }
+
+  for (const name of names) {
+    const count = await runJob(name);
+    console.log(`${name}: ${count} handled`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
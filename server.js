@@ -4,12 +4,19 @@ const helmet = require('helmet');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
 const { specs, swaggerUi } = require('./config/swagger');
+const { startScheduler } = require('./lib/scheduler');
 require('dotenv').config();
+const { UPLOADS_DIR, UPLOADS_PUBLIC_URL, storageDriver } = require('./lib/storage');
+const { getPaymentProvider } = require('./lib/payments');
+
+// Fail at startup, not on the first checkout, when payments are misconfigured
+getPaymentProvider();
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const productRoutes = require('./routes/products');
+const productImageRoutes = require('./routes/productImages');
 const cartRoutes = require('./routes/cart');
 const orderRoutes = require('./routes/orders');
 const paymentRoutes = require('./routes/payments');
@@ -18,7 +25,12 @@ const addressRoutes = require('./routes/addresses');
 const reviewRoutes = require('./routes/reviews');
 const wishlistRoutes = require('./routes/wishlist');
 const adminRoutes = require('./routes/admin');
+const promotionRoutes = require('./routes/promotions');
+const shippingRoutes = require('./routes/shipping');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const categoryRoutes = require('./routes/categories');
 const colorRoutes = require('./routes/colors');
+const sizeRoutes = require('./routes/sizes');
 const preorderRoutes = require('./routes/preorders');
 const findSimilar = require('./routes/findSimilar');
 
@@ -54,10 +66,15 @@ app.use(cors({
     return callback(null, true);
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  // Guest carts hand their token to the browser in this header
+  exposedHeaders: ['X-Cart-Token'],
   credentials: true
 }));
 
 // Body parsing middleware
+// Payment webhooks need the raw body for signature verification, so they are
+// parsed before (and therefore skipped by) express.json
+app.use('/api/payments/webhooks', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -80,6 +97,15 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
   }
 }));
 
+// Uploaded product images on local storage. Helmet's default
+// Cross-Origin-Resource-Policy would stop the storefronts on other origins
+// from displaying them.
+if (storageDriver() === 'local') {
+  app.use(UPLOADS_PUBLIC_URL, express.static(UPLOADS_DIR, {
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // Redirect root to API docs for development
 if (process.env.NODE_ENV === 'development') {
   app.get('/', (req, res) => {
@@ -114,6 +140,7 @@ app.get('/api/health', (req, res) => {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/products/:productId/images', productImageRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
@@ -122,8 +149,13 @@ app.use('/api/inventory', inventoryRoutes);
 app.use('/api/addresses', addressRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/admin/promotions', promotionRoutes);
+app.use('/api/admin/shipping', shippingRoutes);
+app.use('/api/admin/exchange-rates', exchangeRateRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/categories', categoryRoutes);
 app.use('/api/colors', colorRoutes);
+app.use('/api/sizes', sizeRoutes);
 app.use('/api/preorders', preorderRoutes);
 app.use('/api', findSimilar);
 
@@ -144,4 +176,7 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Admin health check available at http://localhost:${PORT}/api/health`);
   console.log(`👑 Admin dashboard can connect at http://localhost:3300`);
+
+  // Reservation sweeps, preorder expiry and other background jobs
+  startScheduler();
 });